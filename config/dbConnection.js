@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const config = require('./index');
 const User = require('../models/user.model');
+const { ensureBuiltInRoles } = require('../utils/permissions');
 
 // Connect to MongoDB
 const connectDB = async () => {
@@ -14,8 +15,11 @@ const connectDB = async () => {
         
         console.log('MongoDB Connected Successfully');
         
-        // Check if admin user exists, if not create one
-        await createFirstAdminIfNeeded();
+        // Create the built-in roles (user, chef, admin, staff roles)
+        await ensureBuiltInRoles();
+        
+        // Point to the seed CLI if there is no admin yet
+        await warnIfNoAdmin();
         
     } catch (err) {
         console.error('MongoDB Connection Error:', err.message);
@@ -24,26 +28,16 @@ const connectDB = async () => {
     }
 };
 
-// Create first admin user if no admin exists
-const createFirstAdminIfNeeded = async () => {
+// Admins are no longer created with a default password on startup
+const warnIfNoAdmin = async () => {
     try {
-        const adminExists = await User.findOne({ role: 'admin' });
+        const adminExists = await User.exists({ role: 'admin' });
         
         if (!adminExists) {
-            console.log('No admin user found. Creating first admin user...');
-            
-            await User.create({
-                fullName: config.firstAdmin.fullName,
-                email: config.firstAdmin.email,
-                password: config.firstAdmin.password,
-                role: 'admin',
-                isEmailVerified: true // Admin is automatically verified
-            });
-            
-            console.log('First admin user created successfully');
+            console.warn('No admin user found. Create one with: npm run seed -- create-admin --email <email>');
         }
     } catch (err) {
-        console.error('Error creating first admin:', err.message);
+        console.error('Error checking for an admin user:', err.message);
     }
 };
 
@@ -1,7 +0,0 @@
-module.exports = {
-    clientID: process.env.GOOGLE_CLIENT_ID || 'your-google-client-id',
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET || 'your-google-client-secret',
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback',
-    // Add these scopes to access the user's profile information and email
-    scopes: ['profile', 'email']
-};
\ No newline at end of file
@@ -1,5 +1,36 @@
 // Add this to your config/index.js file
 require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
+
+// Parse master encryption keys from ENCRYPTION_KEYS="keyId:base64Key,otherId:base64Key".
+// Without it, a key derived from the JWT secret is used outside production.
+const parseEncryptionKeys = () => {
+    const keys = {};
+    
+    (process.env.ENCRYPTION_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+        const [keyId, encodedKey] = entry.trim().split(':');
+        const key = Buffer.from(encodedKey || '', 'base64');
+        if (key.length !== 32) {
+            throw new Error(`Encryption key "${keyId}" must be 32 bytes encoded as base64`);
+        }
+        keys[keyId] = key;
+    });
+    
+    if (Object.keys(keys).length === 0) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('ENCRYPTION_KEYS must be set in production');
+        }
+        keys.default = crypto
+            .createHash('sha256')
+            .update(process.env.JWT_SECRET || 'your_jwt_secret_key')
+            .digest();
+    }
+    
+    return keys;
+};
+
+const encryptionKeys = parseEncryptionKeys();
 
 module.exports = {
     port: process.env.PORT || 3000,
@@ -10,7 +41,9 @@ module.exports = {
     get jwtSecret() {
         return this.jwtSecretKey;
     },
-    jwtExpiresIn: '7d',
+    // Short-lived access tokens; sessions are kept alive with rotating refresh tokens
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenExpiresIn: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_MS || String(30 * 24 * 60 * 60 * 1000)), // 30 days
     
     // MongoDB connection
     mongoURI: process.env.MONGO_URI || 'mongodb://localhost:27017/foodhub',
@@ -18,6 +51,16 @@ module.exports = {
     // Client URL for reset password links
     clientUrl: process.env.CLIENT_URL || 'http://localhost:4200',
     
+    // Local time of the kitchens: chefs' working hours and delivery slots are in this
+    // time zone, and daily portion limits start again at midnight here
+    timeZone: process.env.TIME_ZONE || 'Asia/Kathmandu',
+    
+    // Portions put in a cart are held for the customer for a while (see utils/inventory.js)
+    cartHolds: {
+        durationMs: parseInt(process.env.CART_HOLD_MS || String(15 * 60 * 1000)), // 15 minutes
+        releaseIntervalMs: 60 * 1000 // How often expired holds are given back (1 minute)
+    },
+    
     // Email configuration
     email: {
         service: process.env.EMAIL_SERVICE || 'gmail',
@@ -36,11 +79,117 @@ module.exports = {
         fromEmail: process.env.SMTP_FROM_EMAIL || process.env.SMTP_USERNAME || process.env.EMAIL_USER || 'noreply@foodhub.com'
     },
     
-    // First admin configuration
-    firstAdmin: {
-        fullName: process.env.FIRST_ADMIN_NAME || 'Admin User',
-        email: process.env.FIRST_ADMIN_EMAIL || 'admin@foodhub.com',
-        password: process.env.FIRST_ADMIN_PASSWORD || 'Admin@123456'
+    // SMS delivery (phone verification and SMS 2FA)
+    sms: {
+        driver: process.env.SMS_DRIVER || 'console', // 'console' or 'file', or a registered driver
+        outboxPath: process.env.SMS_OUTBOX_PATH || 'logs/sms-outbox.log', // Used by the 'file' driver
+        defaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || null, // e.g. '977' for national numbers
+        otpExpiresIn: 10 * 60 * 1000, // 10 minutes
+        otpMaxAttempts: 5,
+        otpResendInterval: 60 * 1000 // 1 minute
+    },
+    
+    // Passwordless magic sign-in links
+    magicLinkExpiresIn: 15 * 60 * 1000, // 15 minutes
+    
+    // Time to complete login with a second factor after the first step
+    twoFactorChallengeExpiresIn: 10 * 60 * 1000, // 10 minutes
+    
+    // Linking a sign-in provider (Google etc.) to an existing account
+    oauthLinkExpiresIn: 10 * 60 * 1000, // 10 minutes
+    
+    // Sensitive changes without a password need a sign-in this recent
+    recentLoginWindowMs: 10 * 60 * 1000, // 10 minutes
+    
+    // How long the old address can undo an email change
+    emailChangeUndoExpiresIn: 7 * 24 * 60 * 60 * 1000, // 7 days
+    
+    // Password rules for registration, resets and changes (see utils/password-policy.js)
+    passwordPolicy: {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+        maxLength: 72, // bcrypt ignores everything after 72 bytes
+        requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false', // Any character other than a letter or digit
+        // Passphrases at least this long don't need the character classes (0 turns this off)
+        passphraseLength: parseInt(process.env.PASSWORD_PASSPHRASE_LENGTH || '20'),
+        historyDepth: parseInt(process.env.PASSWORD_HISTORY_DEPTH || '5'), // Previous passwords that can't be reused
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0'), // 0 = passwords never expire
+        // One common or breached password per line; an empty setting turns the check off
+        blocklistPath: process.env.PASSWORD_BLOCKLIST_PATH !== undefined
+            ? process.env.PASSWORD_BLOCKLIST_PATH
+            : path.join(__dirname, 'common-passwords.txt')
+    },
+    
+    // Per-account login throttling and lockout
+    loginThrottle: {
+        delayAfterAttempts: 3, // Failures before progressive delays kick in
+        baseDelayMs: 1000, // First delay, doubled for every further failure
+        maxDelayMs: 60 * 1000,
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '10'), // Failures before the account is locked
+        lockoutDurationMs: parseInt(process.env.LOGIN_LOCKOUT_MS || String(30 * 60 * 1000)) // 30 minutes
+    },
+    
+    // API keys for chefs' and admins' own integrations (see /api/users/me/api-keys)
+    apiKeys: {
+        maxPerUser: 10, // Active keys per user
+        defaultRateLimitPerMinute: 60,
+        maxRateLimitPerMinute: parseInt(process.env.API_KEY_MAX_RATE_LIMIT || '600')
+    },
+    
+    // Card payments (see utils/payments.js). Cash on delivery needs no provider.
+    payments: {
+        // 'mock' simulates a gateway locally, so it is only the default outside production
+        provider: process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'mock'),
+        currency: process.env.PAYMENT_CURRENCY || 'NPR',
+        // Shared secret the provider signs its webhooks with
+        webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || `${process.env.JWT_SECRET || 'your_jwt_secret_key'}:payments`,
+        webhookToleranceMs: 5 * 60 * 1000, // Older signatures are rejected (replays)
+        mock: {
+            serverUrl: process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`,
+            webhookDelayMs: parseInt(process.env.PAYMENT_MOCK_WEBHOOK_DELAY_MS || '2000')
+        }
+    },
+    
+    // Delivery fees (see utils/delivery-zones.js). Chefs can set their own.
+    delivery: {
+        baseFee: parseFloat(process.env.DELIVERY_BASE_FEE || '50'),
+        perKmFee: parseFloat(process.env.DELIVERY_PER_KM_FEE || '20')
+    },
+    
+    // Finding the coordinates of delivery addresses (see utils/geocoding.js)
+    geocoding: {
+        // 'offline' knows a fixed list of places and needs no network
+        provider: process.env.GEOCODING_PROVIDER || 'offline'
+    },
+    
+    // Idempotency-Key header on mutating endpoints (see middleware/idempotency.js)
+    idempotency: {
+        keyTtlMs: 24 * 60 * 60 * 1000, // How long a key's response is replayed (24 hours)
+        leaseMs: 60 * 1000, // Lease on a running request's key, renewed while it runs (1 minute)
+        maxHoldMs: 10 * 60 * 1000 // Longest a request that doesn't answer keeps renewing it (10 minutes)
+    },
+    
+    // Support staff acting as another user (see POST /api/admin/impersonate/:id)
+    impersonation: {
+        expiresInMs: parseInt(process.env.IMPERSONATION_EXPIRES_MS || String(15 * 60 * 1000)), // 15 minutes
+        // Impersonation is read-only apart from these paths (plus ending the impersonation)
+        writablePaths: ['/api/cart']
+    },
+
+    // Self-service account deletion
+    accountDeletion: {
+        gracePeriodMs: parseInt(process.env.ACCOUNT_DELETION_GRACE_MS || String(14 * 24 * 60 * 60 * 1000)), // 14 days
+        purgeIntervalMs: 60 * 60 * 1000 // How often scheduled deletions are processed (1 hour)
+    },
+
+    // Master keys for encrypting secrets at rest (e.g. TOTP secrets).
+    // To rotate: add a new key, make it active, then run `npm run migrate:2fa-secrets`.
+    // Keep the old key configured until the migration has finished.
+    encryption: {
+        keys: encryptionKeys,
+        activeKeyId: process.env.ENCRYPTION_ACTIVE_KEY_ID || Object.keys(encryptionKeys)[0]
     },
     
     // Log SMTP configuration on startup (without showing the full password)
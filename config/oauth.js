@@ -0,0 +1,80 @@
+// config/oauth.js
+require('dotenv').config();
+
+const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+const clientUrl = process.env.CLIENT_URL || 'http://localhost:4200';
+
+// The mock provider signs anyone in, so it is off in production unless forced on
+const mockEnabled = process.env.OAUTH_MOCK_ENABLED
+    ? process.env.OAUTH_MOCK_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'production';
+
+// More OpenID Connect providers can be added without code changes through
+// OAUTH_PROVIDERS='{"acme": {"displayName": "Acme", "clientID": "...", "clientSecret": "...",
+// "authorizationURL": "...", "tokenURL": "...", "userInfoURL": "..."}}'
+const parseExtraProviders = () => {
+    if (!process.env.OAUTH_PROVIDERS) return {};
+
+    let providers;
+    try {
+        providers = JSON.parse(process.env.OAUTH_PROVIDERS);
+    } catch (err) {
+        throw new Error(`OAUTH_PROVIDERS is not valid JSON: ${err.message}`);
+    }
+
+    const result = {};
+    for (const [name, provider] of Object.entries(providers)) {
+        if (!/^[a-z][a-z0-9_-]{1,31}$/.test(name)) {
+            throw new Error(`Invalid OAuth provider name "${name}"`);
+        }
+        result[name] = {
+            type: 'oidc',
+            enabled: true,
+            scopes: ['openid', 'profile', 'email'],
+            ...provider
+        };
+    }
+    return result;
+};
+
+module.exports = {
+    // Each provider's callback defaults to `${callbackBaseUrl}/<name>/callback`
+    callbackBaseUrl: `${serverUrl}/api/auth/oauth`,
+
+    // Where the frontend receives the one-time sign-in code after a provider login
+    clientCallbackUrl: process.env.OAUTH_CLIENT_CALLBACK_URL || `${clientUrl}/auth/oauth-callback`,
+
+    // How long the frontend has to exchange the sign-in code for tokens
+    loginCodeExpiresIn: 60 * 1000, // 1 minute
+
+    providers: {
+        google: {
+            type: 'google',
+            displayName: 'Google',
+            enabled: process.env.GOOGLE_OAUTH_ENABLED !== 'false',
+            clientID: process.env.GOOGLE_CLIENT_ID || 'your-google-client-id',
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET || 'your-google-client-secret',
+            // Kept at the path registered with Google before the provider registry existed
+            callbackURL: process.env.GOOGLE_CALLBACK_URL || `${serverUrl}/api/auth/google/callback`,
+            // Add these scopes to access the user's profile information and email
+            scopes: ['profile', 'email'],
+            authorizeOptions: { prompt: 'select_account' } // Force account selection
+        },
+
+        // Built-in OpenID Connect provider served by this API under /mock-oidc,
+        // so the whole sign-in flow can be tried offline
+        mock: {
+            type: 'oidc',
+            displayName: 'Mock Provider',
+            enabled: mockEnabled,
+            clientID: 'foodhub-mock-client',
+            clientSecret: process.env.OAUTH_MOCK_CLIENT_SECRET || 'foodhub-mock-secret',
+            authorizationURL: `${serverUrl}/mock-oidc/authorize`,
+            tokenURL: `${serverUrl}/mock-oidc/token`,
+            userInfoURL: `${serverUrl}/mock-oidc/userinfo`,
+            scopes: ['openid', 'profile', 'email']
+        },
+
+        ...parseExtraProviders()
+    }
+};
@@ -0,0 +1,581 @@
+// controllers/account.controller.js
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/api-key.model');
+const config = require('../config');
+const { validationResult } = require('express-validator');
+const sendEmail = require('../utils/email');
+const emailTemplates = require('../utils/email-templates');
+const { recordAudit } = require('../utils/audit');
+const { buildDataExport, hasActiveOrders } = require('../utils/account-data');
+const { getOAuthProvider } = require('../utils/oauth-providers');
+
+// Display names of the providers linked to the account
+const getLinkedProviderNames = (user) => user.oauthAccounts.map(account => {
+    const provider = getOAuthProvider(account.provider);
+    return provider ? provider.displayName : account.provider;
+});
+
+// Re-authenticate before a sensitive change: with the password if the account
+// has one, otherwise the current sign-in must be recent.
+// Returns null when confirmed, or { status, body } to send back.
+const checkReauthentication = async (user, req) => {
+    if (user.password) {
+        if (await user.comparePassword(req.body.password || '')) return null;
+
+        return {
+            status: 400,
+            body: { success: false, message: 'Password is incorrect' }
+        };
+    }
+
+    if (Date.now() - req.authSession.createdAt.getTime() <= config.recentLoginWindowMs) {
+        return null;
+    }
+
+    return {
+        status: 401,
+        body: {
+            success: false,
+            message: 'Please sign in again to confirm this change',
+            reauthenticate: true
+        }
+    };
+};
+
+// @route   GET /api/users/me/export
+// @desc    Download everything stored about the current user as a .tar.gz archive
+// @access  Private
+exports.exportMyData = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        const archive = await buildDataExport(user);
+
+        await recordAudit(req, {
+            action: 'account.data_exported',
+            metadata: { bytes: archive.length }
+        });
+
+        const fileName = `foodhub-export-${user._id}-${new Date().toISOString().slice(0, 10)}.tar.gz`;
+
+        res.set({
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Content-Length': archive.length,
+            'Cache-Control': 'no-store'
+        });
+        res.send(archive);
+    } catch (err) {
+        console.error('Export user data error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting account data'
+        });
+    }
+};
+
+// @route   POST /api/users/me/deletion
+// @desc    Schedule the current user's account for deletion after the grace period
+// @access  Private
+exports.requestAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.isPendingDeletion()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account deletion has already been requested',
+                deletionScheduledFor: user.deletionScheduledFor
+            });
+        }
+
+        // Re-authenticate: password accounts confirm with their password,
+        // provider-only accounts by typing their email address
+        const confirmed = user.password
+            ? await user.comparePassword(req.body.password || '')
+            : (req.body.confirmEmail || '').toLowerCase().trim() === user.email;
+
+        if (!confirmed) {
+            return res.status(400).json({
+                success: false,
+                message: user.password
+                    ? 'Password is incorrect'
+                    : 'Please confirm your email address to delete your account'
+            });
+        }
+
+        if (user.role === 'admin') {
+            const adminCount = await User.countDocuments({ role: 'admin' });
+            if (adminCount <= 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot delete the only admin user'
+                });
+            }
+        }
+
+        if (await hasActiveOrders(user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have orders in progress. Please wait until they are delivered or cancelled.'
+            });
+        }
+
+        user.deletionRequestedAt = new Date();
+        user.deletionScheduledFor = new Date(Date.now() + config.accountDeletion.gracePeriodMs);
+        await user.save();
+
+        // Sign out everywhere else in case the request came from a compromised session
+        await Session.revokeAllForUser(user._id, 'account_deletion_requested', req.authSession._id);
+        await ApiKey.revokeAllForUser(user._id, 'account_deletion_requested');
+
+        await recordAudit(req, {
+            action: 'account.deletion_requested',
+            metadata: { deletionScheduledFor: user.deletionScheduledFor }
+        });
+
+        const emailTemplate = emailTemplates.accountDeletionScheduled({
+            fullName: user.fullName,
+            deletionDate: user.deletionScheduledFor.toUTCString(),
+            loginUrl: `${config.clientUrl}/login`
+        });
+
+        try {
+            await sendEmail({
+                email: user.email,
+                subject: emailTemplate.subject,
+                message: emailTemplate.text,
+                html: emailTemplate.html
+            });
+        } catch (emailError) {
+            console.error('Failed to send account deletion email:', emailError.message);
+        }
+
+        res.json({
+            success: true,
+            message: 'Your account is scheduled for deletion. You can cancel this until the date below.',
+            deletionScheduledFor: user.deletionScheduledFor
+        });
+    } catch (err) {
+        console.error('Request account deletion error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting account deletion'
+        });
+    }
+};
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+exports.cancelAccountDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.isPendingDeletion()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account is not scheduled for deletion'
+            });
+        }
+
+        user.deletionRequestedAt = null;
+        user.deletionScheduledFor = null;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'account.deletion_cancelled'
+        });
+
+        res.json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+    } catch (err) {
+        console.error('Cancel account deletion error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling account deletion'
+        });
+    }
+};
+
+// @route   POST /api/users/me/email
+// @desc    Start an email change: confirm link to the new address, undo link to the old one
+// @access  Private
+exports.requestEmailChange = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+        const newEmail = req.body.newEmail.toLowerCase().trim();
+
+        if (newEmail === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'This is already your email address'
+            });
+        }
+
+        // Re-authenticate password accounts
+        if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        // Provider identities belong to the current address, so they are
+        // unlinked once the new address is confirmed
+        const linkedProviders = getLinkedProviderNames(user);
+        if (linkedProviders.length > 0) {
+            if (!user.password) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Your account signs in with ${linkedProviders.join(' and ')}. Set a password first (POST /api/users/me/password), then change your email address.`,
+                    linkedProviders
+                });
+            }
+
+            if (req.body.unlinkProviders !== true && req.body.unlinkProviders !== 'true') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Changing your email address disconnects sign-in with ${linkedProviders.join(' and ')}. Send unlinkProviders: true to continue.`,
+                    linkedProviders
+                });
+            }
+        }
+
+        // Another change would replace the undo link the old address received
+        if (user.hasRecentEmailChange()) {
+            return res.status(400).json({
+                success: false,
+                message: `You changed your email address recently. You can change it again after ${user.emailChangeUndoExpires.toUTCString()}.`
+            });
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This email address is already in use'
+            });
+        }
+
+        const { confirmToken, undoToken } = user.startEmailChange(newEmail);
+        await user.save();
+
+        const confirmUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${confirmToken}`;
+        const undoUrl = `${req.protocol}://${req.get('host')}/api/auth/email-change/undo/${undoToken}`;
+
+        const confirmTemplate = emailTemplates.emailChangeConfirmation({
+            fullName: user.fullName,
+            confirmUrl
+        });
+        const noticeTemplate = emailTemplates.emailChangeNotice({
+            fullName: user.fullName,
+            newEmail,
+            undoUrl,
+            linkedProviders
+        });
+
+        await sendEmail({
+            email: newEmail,
+            subject: confirmTemplate.subject,
+            message: confirmTemplate.text,
+            html: confirmTemplate.html
+        });
+
+        try {
+            await sendEmail({
+                email: user.email,
+                subject: noticeTemplate.subject,
+                message: noticeTemplate.text,
+                html: noticeTemplate.html
+            });
+        } catch (emailError) {
+            console.error('Failed to send email change notice:', emailError.message);
+        }
+
+        await recordAudit(req, {
+            action: 'email.change_requested',
+            metadata: { from: user.email, to: newEmail }
+        });
+
+        res.json({
+            success: true,
+            message: `We sent a confirmation link to ${newEmail}. Your email address changes once you open it.`,
+            pendingEmail: newEmail
+        });
+    } catch (err) {
+        console.error('Request email change error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting email change'
+        });
+    }
+};
+
+// @route   DELETE /api/users/me/email
+// @desc    Cancel a pending email change
+// @access  Private
+exports.cancelEmailChange = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.pendingEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'There is no pending email change'
+            });
+        }
+
+        const pendingEmail = user.pendingEmail;
+        user.cancelPendingEmailChange();
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'email.change_cancelled',
+            metadata: { to: pendingEmail }
+        });
+
+        res.json({
+            success: true,
+            message: 'Email change cancelled'
+        });
+    } catch (err) {
+        console.error('Cancel email change error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling email change'
+        });
+    }
+};
+
+// @route   GET /api/auth/email-change/undo/:token
+// @desc    Cancel or revert an email change from the link sent to the old address
+// @access  Public
+exports.undoEmailChange = async (req, res) => {
+    try {
+        const emailChangeUndoToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        const user = await User.findOne({
+            emailChangeUndoToken,
+            emailChangeUndoExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Undo link is invalid or has expired'
+            });
+        }
+
+        const changedEmail = user.pendingEmail || user.email;
+        const previousEmail = user.previousEmail;
+        const alreadyChanged = !user.pendingEmail && user.email !== previousEmail;
+
+        if (alreadyChanged) {
+            // The old address may have been taken in the meantime
+            if (await User.exists({ email: previousEmail, _id: { $ne: user._id } })) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The previous email address is now used by another account. Please contact support.'
+                });
+            }
+            user.email = previousEmail;
+            user.isEmailVerified = true;
+        }
+
+        user.cancelPendingEmailChange();
+        await user.save();
+
+        // Whoever made the change should not stay signed in
+        await Session.revokeAllForUser(user._id, 'email_change_undone');
+        await ApiKey.revokeAllForUser(user._id, 'email_change_undone');
+
+        await recordAudit(req, {
+            action: 'email.change_undone',
+            actor: null,
+            target: user._id,
+            metadata: { from: changedEmail, to: previousEmail, reverted: alreadyChanged }
+        });
+
+        // Send them on to reset the password, which may be known to whoever made the change
+        res.redirect(`${config.clientUrl}/login?emailChangeUndone=true`);
+    } catch (err) {
+        console.error('Undo email change error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while undoing email change'
+        });
+    }
+};
+
+// @route   POST /api/users/me/oauth/:provider/link
+// @desc    Re-authenticate and get a one-time URL that links a sign-in provider to the account
+// @access  Private
+exports.requestOAuthLink = async (req, res) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown sign-in provider'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        if (user.getOAuthAccount(provider.name)) {
+            return res.status(400).json({
+                success: false,
+                message: `${provider.displayName} sign-in is already linked to your account`
+            });
+        }
+
+        const rejection = await checkReauthentication(user, req);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        const linkToken = user.generateOAuthLinkToken(provider.name);
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'oauth.link_requested',
+            metadata: { provider: provider.name }
+        });
+
+        res.json({
+            success: true,
+            message: `Open the link in this browser and sign in to the ${provider.displayName} account for ${user.email}`,
+            url: `${req.protocol}://${req.get('host')}/api/auth/oauth/${provider.name}/link/${linkToken}`,
+            expiresAt: user.oauthLinkExpires
+        });
+    } catch (err) {
+        console.error('Request provider link error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while linking sign-in provider'
+        });
+    }
+};
+
+// @route   DELETE /api/users/me/oauth/:provider
+// @desc    Re-authenticate and unlink a sign-in provider
+// @access  Private
+exports.unlinkOAuth = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const account = user.getOAuthAccount(req.params.provider);
+
+        if (!account) {
+            return res.status(400).json({
+                success: false,
+                message: 'This sign-in provider is not linked to your account'
+            });
+        }
+
+        // Never remove the only way into the account
+        if (!user.password && user.oauthAccounts.length === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'This is your only sign-in method. Set a password before unlinking it.'
+            });
+        }
+
+        const rejection = await checkReauthentication(user, req);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        user.oauthAccounts = user.oauthAccounts.filter(linked => linked.provider !== account.provider);
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'oauth.unlinked',
+            metadata: { provider: account.provider, subject: account.subject }
+        });
+
+        res.json({
+            success: true,
+            message: 'Sign-in provider unlinked'
+        });
+    } catch (err) {
+        console.error('Unlink provider error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlinking sign-in provider'
+        });
+    }
+};
+
+// @route   POST /api/users/me/password
+// @desc    Set a password on an account that only signs in through providers
+// @access  Private (recent sign-in)
+exports.setPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account already has a password. Use change password instead.'
+            });
+        }
+
+        const rejection = await checkReauthentication(user, req);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        user.password = req.body.newPassword;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'password.set'
+        });
+
+        // Other sessions were started before the account had a password
+        await Session.revokeAllForUser(user._id, 'password_set', req.authSession._id);
+
+        res.json({
+            success: true,
+            message: 'Password set. You can now sign in with your email and password.'
+        });
+    } catch (err) {
+        if (err.name === 'PasswordPolicyError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+                passwordErrors: err.failures
+            });
+        }
+
+        console.error('Set password error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while setting password'
+        });
+    }
+};
@@ -0,0 +1,153 @@
+// controllers/api-key.controller.js
+const ApiKey = require('../models/api-key.model');
+const config = require('../config');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const { API_KEY_SCOPES, getGrantableScopes } = require('../utils/permissions');
+
+// @route   GET /api/users/me/api-keys
+// @desc    List the current user's API keys and the scopes they can have
+// @access  Private (chefs and staff with a permission behind an API key scope)
+exports.getApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: apiKeys.length,
+            apiKeys: apiKeys.map(apiKey => apiKey.toSummary()),
+            availableScopes: getGrantableScopes(req.permissions).map(scope => ({
+                name: scope,
+                description: API_KEY_SCOPES[scope].description
+            }))
+        });
+    } catch (err) {
+        console.error('Get API keys error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching API keys'
+        });
+    }
+};
+
+// @route   POST /api/users/me/api-keys
+// @desc    Create an API key (the key is shown only in this response)
+// @access  Private (chefs and staff with a permission behind an API key scope)
+exports.createApiKey = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const grantableScopes = getGrantableScopes(req.permissions);
+        const scopes = [...new Set(req.body.scopes)];
+        const notGrantable = scopes.filter(scope => !grantableScopes.includes(scope));
+
+        if (notGrantable.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `You cannot create API keys with these scopes: ${notGrantable.join(', ')}`,
+                availableScopes: grantableScopes
+            });
+        }
+
+        const activeKeys = await ApiKey.countDocuments({
+            user: req.user._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        });
+        if (activeKeys >= config.apiKeys.maxPerUser) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${config.apiKeys.maxPerUser} active API keys. Revoke one you no longer use first.`
+            });
+        }
+
+        const rateLimitPerMinute = req.body.rateLimitPerMinute || config.apiKeys.defaultRateLimitPerMinute;
+        if (rateLimitPerMinute > config.apiKeys.maxRateLimitPerMinute) {
+            return res.status(400).json({
+                success: false,
+                message: `Rate limit can be at most ${config.apiKeys.maxRateLimitPerMinute} requests per minute`
+            });
+        }
+
+        const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+        if (expiresAt && expiresAt <= Date.now()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The expiry date must be in the future'
+            });
+        }
+
+        const { apiKey, key } = await ApiKey.issue(req.user._id, {
+            name: req.body.name,
+            scopes,
+            rateLimitPerMinute,
+            expiresAt
+        });
+
+        await recordAudit(req, {
+            action: 'api_key.created',
+            metadata: { apiKeyId: apiKey._id, name: apiKey.name, scopes }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now, it will not be shown again.',
+            key,
+            apiKey: apiKey.toSummary()
+        });
+    } catch (err) {
+        console.error('Create API key error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating API key'
+        });
+    }
+};
+
+// @route   DELETE /api/users/me/api-keys/:id
+// @desc    Revoke one of the current user's API keys
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        await apiKey.revoke('revoked_by_user');
+
+        await recordAudit(req, {
+            action: 'api_key.revoked',
+            metadata: { apiKeyId: apiKey._id, name: apiKey.name }
+        });
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (err) {
+        console.error('Revoke API key error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking API key'
+        });
+    }
+};
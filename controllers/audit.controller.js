@@ -0,0 +1,114 @@
+// controllers/audit.controller.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/audit-log.model');
+
+// @route   GET /api/admin/audit
+// @desc    Query the security audit log
+// @access  Private (audit:read)
+exports.getAuditLogs = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            action,
+            actor,
+            target,
+            outcome,
+            ip,
+            from,
+            to
+        } = req.query;
+
+        // Build filter query
+        const filterQuery = {};
+
+        if (action) {
+            // Allow a prefix such as "2fa." to match every 2FA event
+            filterQuery.action = action.endsWith('.')
+                ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+                : action;
+        }
+        for (const [field, value] of Object.entries({ actor, target })) {
+            if (!value) continue;
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid ${field} ID`
+                });
+            }
+            filterQuery[field] = value;
+        }
+        if (outcome) filterQuery.outcome = outcome;
+        if (ip) filterQuery.ip = ip;
+        if (from || to) {
+            filterQuery.createdAt = {};
+            if (from) filterQuery.createdAt.$gte = new Date(from);
+            if (to) filterQuery.createdAt.$lte = new Date(to);
+        }
+
+        // Set up pagination
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const skip = (pageNum - 1) * limitNum;
+
+        const logs = await AuditLog.find(filterQuery)
+            .populate('actor', 'fullName email role')
+            .populate('target', 'fullName email role')
+            .sort('-createdAt')
+            .skip(skip)
+            .limit(limitNum);
+
+        const totalLogs = await AuditLog.countDocuments(filterQuery);
+
+        res.json({
+            success: true,
+            logs,
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalLogs / limitNum),
+            totalLogs
+        });
+    } catch (err) {
+        console.error('Get audit logs error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching audit logs'
+        });
+    }
+};
+
+// @route   GET /api/users/me/security-activity
+// @desc    Recent security activity on the current user's account
+// @access  Private
+exports.getSecurityActivity = async (req, res) => {
+    try {
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const events = await AuditLog.find({ target: req.user._id })
+            .select('action outcome ip userAgent createdAt actor')
+            .sort('-createdAt')
+            .limit(limitNum);
+
+        // Only say whether someone else (e.g. an admin) acted on the account
+        const activity = events.map(event => ({
+            _id: event._id,
+            action: event.action,
+            outcome: event.outcome,
+            ip: event.ip,
+            userAgent: event.userAgent,
+            createdAt: event.createdAt,
+            byOtherUser: !!event.actor && event.actor.toString() !== req.user._id.toString()
+        }));
+
+        res.json({
+            success: true,
+            count: activity.length,
+            activity
+        });
+    } catch (err) {
+        console.error('Get security activity error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching security activity'
+        });
+    }
+};
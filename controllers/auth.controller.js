@@ -1,21 +1,26 @@
 const User = require('../models/user.model');
 const ChefProfile = require('../models/chef.profile.model');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
 const config = require('../config');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const sendEmail = require('../utils/email');
 const emailTemplates = require('../utils/email-templates');
-
-
-
-// Generate JWT token
-const generateToken = (id) => {
-    console.log('Generating token with secret key:', config.jwtSecretKey.substring(0, 5) + '...');
-    return jwt.sign({ id }, config.jwtSecretKey, {
-        expiresIn: config.jwtExpiresIn
-    });
-};
+const { describePasswordPolicy } = require('../utils/password-policy');
+const {
+    issueAuthTokens,
+    rotateRefreshToken,
+    findSessionByRefreshToken,
+    setRefreshCookie,
+    clearRefreshCookie
+} = require('../utils/token');
+const {
+    checkLoginAllowed,
+    sendLoginRejection,
+    recordFailedLogin,
+    recordSuccessfulLogin
+} = require('../utils/login-throttle');
+const { recordAudit } = require('../utils/audit');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -31,7 +36,8 @@ exports.register = async (req, res) => {
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        console.log('Validation errors:', errors.array());
+        // Log only which fields failed - the values may be passwords
+        console.log('Validation errors:', errors.array().map(({ param, msg }) => ({ param, msg })));
         return res.status(400).json({ 
             success: false, 
             errors: errors.array() 
@@ -106,6 +112,14 @@ exports.register = async (req, res) => {
             userId: user._id
         });
     } catch (err) {
+        if (err.name === 'PasswordPolicyError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+                passwordErrors: err.failures
+            });
+        }
+
         console.error('Register error:', err.message);
         console.error(err.stack);
         res.status(500).json({
@@ -115,6 +129,16 @@ exports.register = async (req, res) => {
     }
 };
 
+// @route   GET /api/auth/password-policy
+// @desc    Rules new passwords must follow, so clients can show them up front
+// @access  Public
+exports.getPasswordPolicy = (req, res) => {
+    res.json({
+        success: true,
+        policy: describePasswordPolicy()
+    });
+};
+
 // @route   GET /api/auth/verify-email/:token
 // @desc    Verify user email
 // @access  Public
@@ -139,15 +163,50 @@ exports.verifyEmail = async (req, res) => {
             });
         }
 
+        // The token confirms a new address rather than a new account
+        if (user.pendingEmail) {
+            const newEmail = user.pendingEmail;
+            const previousEmail = user.email;
+
+            if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+                user.cancelPendingEmailChange();
+                await user.save();
+                return res.status(400).json({
+                    success: false,
+                    message: 'This email address is already in use'
+                });
+            }
+
+            const unlinkedProviders = user.applyPendingEmailChange();
+            await user.save();
+
+            await recordAudit(req, {
+                action: 'email.changed',
+                actor: user._id,
+                metadata: { from: previousEmail, to: newEmail }
+            });
+
+            for (const provider of unlinkedProviders) {
+                await recordAudit(req, {
+                    action: 'oauth.unlinked',
+                    actor: user._id,
+                    metadata: { provider, reason: 'email_changed' }
+                });
+            }
+
+            return res.redirect(`${config.clientUrl}/login?emailChanged=true`);
+        }
+
         // Update user verification status
         user.isEmailVerified = true;
         user.emailVerificationToken = undefined;
         user.emailVerificationExpires = undefined;
 
         await user.save();
-
-        // Generate token
-        const token = generateToken(user._id);
+        await recordAudit(req, {
+            action: 'email.verified',
+            actor: user._id
+        });
 
         // Send verification success email
         const loginUrl = `${config.clientUrl}/login`;
@@ -174,8 +233,7 @@ exports.verifyEmail = async (req, res) => {
         /*
         res.json({
             success: true,
-            message: 'Email verified successfully. You can now log in.',
-            token
+            message: 'Email verified successfully. You can now log in.'
         });
         */
     } catch (err) {
@@ -274,16 +332,37 @@ exports.login = async (req, res) => {
 
         // Check if user exists
         if (!user) {
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: null,
+                outcome: 'failure',
+                metadata: { method: 'password', email, reason: 'unknown_email' }
+            });
             return res.status(400).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        // Refuse the attempt while the account is locked or cooling down
+        const rejection = await checkLoginAllowed(user);
+        if (rejection) {
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: user._id,
+                outcome: 'blocked',
+                metadata: { method: 'password', status: rejection.status }
+            });
+            return sendLoginRejection(res, rejection);
+        }
+
         // Compare passwords
         const isMatch = await user.comparePassword(password);
 
         if (!isMatch) {
+            await recordFailedLogin(user, req, 'password');
             return res.status(400).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -301,19 +380,32 @@ exports.login = async (req, res) => {
         }
 
         // Check if 2FA is enabled
-        if (user.twoFactorEnabled) {
-            // If 2FA is enabled, return a response indicating 2FA is required
+        if (user.hasTwoFactor()) {
+            // No session yet - only a challenge token that lets the client send the second factor
+            const challengeToken = user.generateTwoFactorChallenge();
+            await user.save();
+
             return res.json({
                 success: true,
                 requiresTwoFactor: true,
-                email: user.email,  // Send back email for the second step, but don't send a token yet
+                challengeToken,
+                email: user.email,
+                twoFactorMethods: user.getTwoFactorMethods(),
                 message: 'Please enter your 2FA code to complete login'
             });
         }
 
         // If 2FA is not enabled, continue with normal login flow
-        // Generate token
-        const token = generateToken(user._id);
+        await recordSuccessfulLogin(user);
+        await recordAudit(req, {
+            action: 'auth.login',
+            actor: user._id,
+            metadata: { method: 'password' }
+        });
+
+        // Start a new session and issue its tokens
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
 
         // Return user data (excluding password)
         const userData = await User.findById(user._id).select('-password');
@@ -321,7 +413,10 @@ exports.login = async (req, res) => {
         res.json({
             success: true,
             token,
-            user: userData
+            refreshToken,
+            user: userData,
+            // The client should ask for a new password (see passwordPolicy.maxAgeDays)
+            passwordExpired: user.isPasswordExpired()
         });
     } catch (err) {
         console.error('Login error:', err.message);
@@ -332,13 +427,56 @@ exports.login = async (req, res) => {
     }
 };
 
+// @route   GET /api/auth/unlock/:token
+// @desc    Unlock an account locked after too many failed logins
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+    try {
+        // Get hashed token
+        const accountUnlockToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        // Find user by token and check if token is expired
+        const user = await User.findOne({
+            accountUnlockToken,
+            accountUnlockExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock link is invalid or has expired'
+            });
+        }
+
+        await user.resetLoginAttempts();
+        await recordAudit(req, {
+            action: 'account.unlocked',
+            actor: user._id,
+            metadata: { via: 'email_link' }
+        });
+
+        // Send the user back to the login page
+        res.redirect(`${config.clientUrl}/login?unlocked=true`);
+    } catch (err) {
+        console.error('Unlock account error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlocking account'
+        });
+    }
+};
+
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
 exports.getCurrentUser = async (req, res) => {
     try {
         // req.user is set by the auth middleware
-        const user = await User.findById(req.user._id).select('-password');
+        // The password hash is stripped when serialising; it's only read for signInMethods
+        const user = await User.findById(req.user._id);
         
         // If user is a chef, get chef profile data
         let chefProfile = null;
@@ -349,6 +487,19 @@ exports.getCurrentUser = async (req, res) => {
         res.json({
             success: true,
             user,
+            permissions: req.permissions,
+            // Lets the client offer linking, unlinking or setting a password
+            signInMethods: [
+                ...(user.password ? ['password'] : []),
+                ...user.oauthAccounts.map(account => account.provider)
+            ],
+            // Lets the client show a banner while support staff is acting as the user
+            impersonatedBy: req.impersonator
+                ? { _id: req.impersonator._id, fullName: req.impersonator.fullName }
+                : null,
+            // Suspended users can only reach this and the appeal endpoints
+            suspension: user.getSuspensionSummary(),
+            passwordExpired: user.isPasswordExpired(),
             chefProfile
         });
     } catch (err) {
@@ -495,8 +646,15 @@ exports.resetPassword = async (req, res) => {
         await user.save();
         console.log(`Password reset successful for ${user.email}`);
 
-        // Generate new token
-        const token = generateToken(user._id);
+        await recordAudit(req, {
+            action: 'password.reset',
+            actor: user._id
+        });
+
+        // Log out every existing session, then start a fresh one
+        await Session.revokeAllForUser(user._id, 'password_reset');
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
 
         // Send confirmation email
         const loginUrl = `${config.clientUrl}/login`;
@@ -521,9 +679,18 @@ exports.resetPassword = async (req, res) => {
         res.json({
             success: true,
             message: 'Password has been reset successfully',
-            token
+            token,
+            refreshToken
         });
     } catch (err) {
+        if (err.name === 'PasswordPolicyError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+                passwordErrors: err.failures
+            });
+        }
+
         console.error('Reset password error:', err.message);
         res.status(500).json({
             success: false,
@@ -564,11 +731,31 @@ exports.changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        await recordAudit(req, {
+            action: 'password.changed',
+            actor: user._id
+        });
+
+        // Log out every session (including this one) and hand back fresh tokens
+        await Session.revokeAllForUser(user._id, 'password_change');
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            token,
+            refreshToken
         });
     } catch (err) {
+        if (err.name === 'PasswordPolicyError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message,
+                passwordErrors: err.failures
+            });
+        }
+
         console.error('Change password error:', err.message);
         res.status(500).json({
             success: false,
@@ -586,4 +773,241 @@ exports.testToken = (req, res) => {
         message: 'Token is valid',
         user: req.user
     });
-};
\ No newline at end of file
+};
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public (requires a valid refresh token)
+exports.refreshToken = async (req, res) => {
+    const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!presentedToken) {
+        return res.status(401).json({
+            success: false,
+            message: 'Refresh token is required'
+        });
+    }
+
+    try {
+        const tokens = await rotateRefreshToken(presentedToken, req);
+
+        if (!tokens) {
+            clearRefreshCookie(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is invalid, expired or revoked'
+            });
+        }
+
+        setRefreshCookie(res, tokens.refreshToken);
+
+        res.json({
+            success: true,
+            token: tokens.token,
+            refreshToken: tokens.refreshToken
+        });
+    } catch (err) {
+        console.error('Refresh token error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh'
+        });
+    }
+};
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session a refresh token belongs to
+// @access  Public (requires a valid refresh token)
+exports.logout = async (req, res) => {
+    const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    try {
+        const session = presentedToken ? await findSessionByRefreshToken(presentedToken) : null;
+
+        if (session) {
+            await session.revoke('logout');
+        }
+
+        clearRefreshCookie(res);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+};
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time passwordless sign-in link
+// @access  Public
+exports.requestMagicLink = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so this can't be used to probe emails
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for this email, a sign-in link has been sent.'
+    };
+
+    try {
+        const user = await User.findOne({ email });
+
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        // Don't send a new link if one was sent less than a minute ago
+        const issuedAt = user.magicLinkExpires
+            ? user.magicLinkExpires.getTime() - config.magicLinkExpiresIn
+            : 0;
+        if (Date.now() - issuedAt < 60 * 1000) {
+            return res.json(genericResponse);
+        }
+
+        const magicLinkToken = user.generateMagicLinkToken();
+        await user.save();
+
+        // The frontend page exchanges the token through GET /api/auth/magic-link/:token
+        const loginUrl = `${config.clientUrl}/auth/magic-link/${magicLinkToken}`;
+        const emailTemplate = emailTemplates.magicLink({
+            fullName: user.fullName,
+            loginUrl,
+            expiresMinutes: Math.round(config.magicLinkExpiresIn / 60000)
+        });
+
+        try {
+            await sendEmail({
+                email: user.email,
+                subject: emailTemplate.subject,
+                message: emailTemplate.text,
+                html: emailTemplate.html
+            });
+        } catch (emailErr) {
+            console.error('Send magic link email error:', emailErr.message);
+
+            user.magicLinkToken = undefined;
+            user.magicLinkExpires = undefined;
+            await user.save();
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error sending sign-in link. Please try again.'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'auth.magic_link_requested',
+            actor: null,
+            target: user._id
+        });
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error('Magic link request error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in link request'
+        });
+    }
+};
+
+// @route   GET /api/auth/magic-link/:token
+// @desc    Sign in with a magic link token
+// @access  Public
+exports.magicLinkLogin = async (req, res) => {
+    try {
+        // Get hashed token
+        const magicLinkToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        // Find user by token and check if token is expired
+        const user = await User.findOne({
+            magicLinkToken,
+            magicLinkExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in link is invalid or has expired'
+            });
+        }
+
+        // A locked account can't get in through a link either. The link stays
+        // valid, so it can still be used once the lock is over.
+        const rejection = await checkLoginAllowed(user);
+        if (rejection) {
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: user._id,
+                outcome: 'blocked',
+                metadata: { method: 'magic_link', status: rejection.status }
+            });
+            return sendLoginRejection(res, rejection);
+        }
+
+        // Links are single use. Following the link also proves the user owns the email.
+        user.magicLinkToken = undefined;
+        user.magicLinkExpires = undefined;
+        user.isEmailVerified = true;
+
+        // The link replaces the password only - 2FA still has to be completed,
+        // with the challenge token the link is exchanged for
+        const challengeToken = user.hasTwoFactor() ? user.generateTwoFactorChallenge() : null;
+        await user.save();
+
+        if (challengeToken) {
+            return res.json({
+                success: true,
+                requiresTwoFactor: true,
+                challengeToken,
+                email: user.email,
+                twoFactorMethods: user.getTwoFactorMethods(),
+                message: 'Please enter your 2FA code to complete login'
+            });
+        }
+
+        await recordSuccessfulLogin(user);
+        await recordAudit(req, {
+            action: 'auth.login',
+            actor: user._id,
+            metadata: { method: 'magic_link' }
+        });
+
+        // Start a new session and issue its tokens
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
+
+        const userData = await User.findById(user._id).select('-password');
+
+        res.json({
+            success: true,
+            token,
+            refreshToken,
+            user: userData
+        });
+    } catch (err) {
+        console.error('Magic link login error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during magic link login'
+        });
+    }
+};
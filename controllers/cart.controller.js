@@ -1,7 +1,9 @@
 const CartItem = require('../models/cart.model');
 const Product = require('../models/product.model');
+const User = require('../models/user.model');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { holdCartPortions, releasePortions, deleteCartItems } = require('../utils/inventory');
 
 // @route   GET /api/cart
 // @desc    Get user's cart
@@ -14,7 +16,7 @@ exports.getCart = async (req, res) => {
         const cartItems = await CartItem.find({ user: req.user._id })
             .populate({
                 path: 'product',
-                select: 'name price images description chef isAvailable category tags condiments',
+                select: 'name price images description chef isAvailable stock dailyCapacity portionsSold capacityDate category tags condiments',
                 populate: {
                     path: 'chef',
                     select: 'fullName profileImage'
@@ -135,7 +137,7 @@ exports.addToCart = async (req, res) => {
             });
         }
 
-        if (!product.isAvailable) {
+        if (!product.isAvailable || await User.exists({ _id: product.chef, ...User.suspendedQuery() })) {
             console.log(`Product ${productId} is unavailable`);
             return res.status(400).json({
                 success: false,
@@ -216,7 +218,30 @@ exports.addToCart = async (req, res) => {
             product: productId
         });
 
-        if (cartItem) {
+        if (!cartItem) {
+            cartItem = new CartItem({
+                user: req.user._id,
+                product: productId,
+                quantity: parseInt(quantity),
+                selectedCondiments: validatedCondiments,
+                totalPrice: totalPrice
+            });
+        }
+
+        // Hold the portions for the customer while they finish ordering
+        const portionsRejection = await holdCartPortions(
+            cartItem,
+            product,
+            (cartItem.isNew ? 0 : cartItem.quantity) + parseInt(quantity)
+        );
+        if (portionsRejection) {
+            return res.status(portionsRejection.status).json({
+                success: false,
+                message: portionsRejection.message
+            });
+        }
+
+        if (!cartItem.isNew) {
             console.log(`Product ${productId} already in cart, updating quantity from ${cartItem.quantity} to ${cartItem.quantity + parseInt(quantity)}`);
             // Update quantity if already in cart
             cartItem.quantity += parseInt(quantity);
@@ -233,17 +258,17 @@ exports.addToCart = async (req, res) => {
             await cartItem.save();
         } else {
             console.log(`Adding new cart item for product ${productId}`);
-            // Add new item to cart
-            cartItem = new CartItem({
-                user: req.user._id,
-                product: productId,
-                quantity: parseInt(quantity),
-                selectedCondiments: validatedCondiments,
-                totalPrice: totalPrice
-            });
-            
             console.log(`Created new cart item with totalPrice: ${totalPrice}`);
-            await cartItem.save();
+            
+            try {
+                await cartItem.save();
+            } catch (saveError) {
+                // Nothing holds the portions without the cart item
+                if (cartItem.hold.quantity > 0) {
+                    await releasePortions(product._id, cartItem.hold, cartItem.hold.quantity);
+                }
+                throw saveError;
+            }
         }
 
         // Return updated cart
@@ -311,6 +336,14 @@ exports.updateCartItem = async (req, res) => {
         
         // Update quantity if provided
         if (quantity) {
+            const portionsRejection = await holdCartPortions(cartItem, product, parseInt(quantity));
+            if (portionsRejection) {
+                return res.status(portionsRejection.status).json({
+                    success: false,
+                    message: portionsRejection.message
+                });
+            }
+            
             cartItem.quantity = parseInt(quantity);
         }
         
@@ -454,13 +487,13 @@ exports.removeFromCart = async (req, res) => {
     try {
         console.log(`Removing cart item ${req.params.id} for user ${req.user._id}`);
         
-        // Find and remove cart item
-        const result = await CartItem.findOneAndDelete({ 
+        // Find and remove cart item, giving back the portions it held
+        const deleted = await deleteCartItems({
             _id: req.params.id,
             user: req.user._id
         });
 
-        if (!result) {
+        if (!deleted) {
             console.log(`Cart item ${req.params.id} not found for user ${req.user._id}`);
             return res.status(404).json({
                 success: false,
@@ -488,10 +521,10 @@ exports.clearCart = async (req, res) => {
     try {
         console.log(`Clearing entire cart for user ${req.user._id}`);
         
-        // Delete all cart items for this user
-        const result = await CartItem.deleteMany({ user: req.user._id });
+        // Delete all cart items for this user, giving back the portions they held
+        const deleted = await deleteCartItems({ user: req.user._id });
         
-        console.log(`Cleared ${result.deletedCount} items from cart`);
+        console.log(`Cleared ${deleted} items from cart`);
 
         res.json({
             success: true,
@@ -520,7 +553,7 @@ async function getUpdatedCart(req, res) {
         const cartItems = await CartItem.find({ user: req.user._id })
             .populate({
                 path: 'product',
-                select: 'name price images description chef isAvailable category tags condiments',
+                select: 'name price images description chef isAvailable stock dailyCapacity portionsSold capacityDate category tags condiments',
                 populate: {
                     path: 'chef',
                     select: 'fullName profileImage'
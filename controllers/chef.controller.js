@@ -1,6 +1,19 @@
 const ChefProfile = require('../models/chef.profile.model');
+const Product = require('../models/product.model');
 const User = require('../models/user.model');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const { getPreparationMinutes, getBookableSlots } = require('../utils/delivery-slots');
+const config = require('../config');
+
+// Schedule fields chefs can change (see ChefProfile.schedule)
+const SCHEDULE_FIELDS = ['weeklyHours', 'holidays', 'slotMinutes', 'ordersPerSlot', 'bookingWindowDays'];
+
+// Delivery fields chefs can change (see ChefProfile.delivery)
+const DELIVERY_FIELDS = ['location', 'zones', 'baseFee', 'perKmFee'];
+
+// The kitchen is often the chef's home, so customers don't see where it is
+const PUBLIC_PROFILE_FIELDS = '-delivery.location';
 
 // @route   POST /api/chefs/apply
 // @desc    Apply to become a chef
@@ -27,6 +40,15 @@ exports.applyForChef = async (req, res) => {
             });
         }
         
+        // Chefs must be reachable by phone at delivery time
+        if (!req.user.phoneNumber || !req.user.isPhoneVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number verification required',
+                details: 'Please add and verify your phone number before applying to become a chef.'
+            });
+        }
+        
         // Create new chef profile
         const { specialization, experience, bio } = req.body;
         
@@ -59,7 +81,7 @@ exports.applyForChef = async (req, res) => {
 
 // @route   GET /api/chefs/applications
 // @desc    Get all chef applications
-// @access  Private/Admin
+// @access  Private (chefs:approve)
 // In chef.controller.js - Update getChefApplications
 exports.getChefApplications = async (req, res) => {
     try {
@@ -93,7 +115,7 @@ exports.getChefApplications = async (req, res) => {
 
 // @route   PUT /api/chefs/applications/:id/approve
 // @desc    Approve a chef application
-// @access  Private/Admin
+// @access  Private (chefs:approve)
 exports.approveChefApplication = async (req, res) => {
     try {
         // Find the application
@@ -116,6 +138,12 @@ exports.approveChefApplication = async (req, res) => {
             { role: 'chef' }
         );
         
+        await recordAudit(req, {
+            action: 'chef.application_approved',
+            target: application.user,
+            metadata: { applicationId: application._id }
+        });
+        
         res.json({
             success: true,
             message: 'Chef application approved successfully',
@@ -155,6 +183,12 @@ exports.rejectChefApplication = async (req, res) => {
         // Use deleteOne instead of remove
         await ChefProfile.deleteOne({ _id: application._id });
         
+        await recordAudit(req, {
+            action: 'chef.application_rejected',
+            target: application.user,
+            metadata: { applicationId: application._id }
+        });
+        
         res.json({
             success: true,
             message: 'Chef application rejected and removed'
@@ -180,7 +214,11 @@ exports.rejectChefApplication = async (req, res) => {
 // @access  Public
 exports.getAllChefs = async (req, res) => {
     try {
-        const chefProfiles = await ChefProfile.find({ isApproved: true })
+        const chefProfiles = await ChefProfile.find({
+            isApproved: true,
+            user: { $nin: await User.getSuspendedUserIds() }
+        })
+            .select(PUBLIC_PROFILE_FIELDS)
             .populate('user', 'fullName email profileImage');
         
         res.json({
@@ -205,9 +243,11 @@ exports.getChefById = async (req, res) => {
         const chefProfile = await ChefProfile.findOne({ 
             user: req.params.id,
             isApproved: true
-        }).populate('user', 'fullName email profileImage');
+        })
+            .select(PUBLIC_PROFILE_FIELDS)
+            .populate('user', 'fullName email profileImage');
         
-        if (!chefProfile) {
+        if (!chefProfile || await User.exists({ _id: req.params.id, ...User.suspendedQuery() })) {
             return res.status(404).json({
                 success: false,
                 message: 'Chef not found'
@@ -235,9 +275,177 @@ exports.getChefById = async (req, res) => {
     }
 };
 
+// @route   GET /api/chefs/:id/slots
+// @desc    Get the delivery slots a chef can still take orders for
+// @access  Public
+exports.getChefSlots = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const chefProfile = await ChefProfile.findOne({
+            user: req.params.id,
+            isApproved: true
+        });
+
+        if (!chefProfile || await User.exists({ _id: req.params.id, ...User.suspendedQuery() })) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chef not found'
+            });
+        }
+
+        // The dishes must be ready when the slot starts. Without a choice of
+        // dishes, the slots leave time for anything on the chef's menu.
+        const products = await Product.find(req.query.products
+            ? { _id: { $in: req.query.products.split(',') }, chef: req.params.id }
+            : { chef: req.params.id, ...Product.availableQuery() })
+            .select('preparationTime');
+        const preparationMinutes = getPreparationMinutes(products);
+
+        const slots = await getBookableSlots(req.params.id, chefProfile.schedule, {
+            from: req.query.from,
+            days: req.query.days ? parseInt(req.query.days) : undefined,
+            preparationMinutes
+        });
+
+        res.json({
+            success: true,
+            timeZone: config.timeZone,
+            slotMinutes: chefProfile.schedule.slotMinutes,
+            preparationMinutes,
+            count: slots.length,
+            slots
+        });
+    } catch (err) {
+        console.error('Get chef slots error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Chef not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching delivery slots'
+        });
+    }
+};
+
+// @route   PUT /api/chefs/profile/schedule
+// @desc    Update the chef's working hours, holidays and orders per delivery slot
+// @access  Private (chefs:manage_profile)
+exports.updateChefSchedule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const chefProfile = await ChefProfile.findOne({ user: req.user._id });
+
+        if (!chefProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chef profile not found'
+            });
+        }
+
+        // Orders already booked keep their slots
+        SCHEDULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                chefProfile.schedule[field] = req.body[field];
+            }
+        });
+        await chefProfile.save();
+
+        res.json({
+            success: true,
+            message: 'Schedule updated successfully',
+            schedule: chefProfile.schedule
+        });
+    } catch (err) {
+        console.error('Update chef schedule error:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating schedule'
+        });
+    }
+};
+
+// @route   PUT /api/chefs/profile/delivery
+// @desc    Update where the chef delivers (zones) and the delivery fees
+// @access  Private (chefs:manage_profile)
+exports.updateChefDelivery = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const chefProfile = await ChefProfile.findOne({ user: req.user._id });
+
+        if (!chefProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chef profile not found'
+            });
+        }
+
+        // Orders already placed keep their delivery fees
+        DELIVERY_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                chefProfile.delivery[field] = req.body[field];
+            }
+        });
+        await chefProfile.save();
+
+        res.json({
+            success: true,
+            message: 'Delivery settings updated successfully',
+            delivery: chefProfile.delivery
+        });
+    } catch (err) {
+        console.error('Update chef delivery error:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating delivery settings'
+        });
+    }
+};
+
 // @route   PUT /api/chefs/profile
 // @desc    Update chef profile
-// @access  Private (Chef only)
+// @access  Private (chefs:manage_profile)
 exports.updateChefProfile = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -0,0 +1,121 @@
+// controllers/impersonation.controller.js
+const User = require('../models/user.model');
+const config = require('../config');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const { issueImpersonationToken } = require('../utils/token');
+const { getRolePermissions, canGrant, ALL_PERMISSIONS } = require('../utils/permissions');
+
+// @route   POST /api/admin/impersonate/:id
+// @desc    Get a short-lived, read-mostly token that acts as another user
+// @access  Private (users:impersonate)
+exports.startImpersonation = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.params.id).select('-password');
+
+        if (!user || user.isDeletedUserPlaceholder) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot impersonate yourself'
+            });
+        }
+
+        // Never act as someone with full access or with rights the staff member lacks
+        const userPermissions = await getRolePermissions(user.role);
+        if (userPermissions.includes(ALL_PERMISSIONS) || !canGrant(req.permissions, userPermissions)) {
+            await recordAudit(req, {
+                action: 'impersonation.started',
+                target: user._id,
+                outcome: 'blocked',
+                metadata: { reason: req.body.reason, role: user.role }
+            });
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot impersonate a user with more privileges than you'
+            });
+        }
+
+        const { token, session } = await issueImpersonationToken(user, req.user, req.body.reason, req);
+
+        await recordAudit(req, {
+            action: 'impersonation.started',
+            target: user._id,
+            metadata: {
+                reason: req.body.reason,
+                sessionId: session._id,
+                expiresAt: session.expiresAt
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `You are now acting as ${user.fullName}. Changes are limited and every request is audited.`,
+            impersonating: true,
+            token,
+            expiresAt: session.expiresAt,
+            expiresInMinutes: Math.round(config.impersonation.expiresInMs / 60000),
+            user
+        });
+    } catch (err) {
+        console.error('Start impersonation error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting impersonation'
+        });
+    }
+};
+
+// @route   DELETE /api/admin/impersonation
+// @desc    End the current impersonation session
+// @access  Private (impersonation token)
+exports.stopImpersonation = async (req, res) => {
+    try {
+        if (!req.impersonator) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not impersonating anyone'
+            });
+        }
+
+        await req.authSession.revoke('impersonation_ended');
+
+        await recordAudit(req, {
+            action: 'impersonation.ended',
+            metadata: { sessionId: req.authSession._id }
+        });
+
+        res.json({
+            success: true,
+            message: 'Impersonation ended'
+        });
+    } catch (err) {
+        console.error('Stop impersonation error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while ending impersonation'
+        });
+    }
+};
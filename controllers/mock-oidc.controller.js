@@ -0,0 +1,209 @@
+// controllers/mock-oidc.controller.js
+//
+// A tiny OpenID Connect provider for development and tests. It signs in as
+// whoever is typed into its form, so it is only mounted while the "mock"
+// provider is enabled (never by default in production). State lives in memory.
+const crypto = require('crypto');
+const oauthConfig = require('../config/oauth');
+const { getOAuthProvider } = require('../utils/oauth-providers');
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+// Drop expired codes and tokens so the maps don't grow forever
+const pruneExpired = () => {
+    const now = Date.now();
+    for (const store of [authorizationCodes, accessTokens]) {
+        for (const [key, value] of store) {
+            if (value.expiresAt <= now) store.delete(key);
+        }
+    }
+};
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[char]));
+
+// Only the registered client and its own callback are accepted, so the mock
+// can't be used to redirect anywhere else
+const checkClient = (params) => {
+    const provider = getOAuthProvider('mock');
+
+    if (!provider || params.client_id !== provider.clientID) {
+        return 'Unknown client_id';
+    }
+    if (params.redirect_uri !== provider.callbackURL) {
+        return 'redirect_uri does not match the registered callback';
+    }
+    return null;
+};
+
+// Stable subject per email address, like a real provider's user id
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+// @route   GET /mock-oidc/.well-known/openid-configuration
+// @desc    Discovery document
+// @access  Public
+exports.getConfiguration = (req, res) => {
+    const provider = oauthConfig.providers.mock;
+    const issuer = provider.authorizationURL.replace(/\/authorize$/, '');
+
+    res.json({
+        issuer,
+        authorization_endpoint: provider.authorizationURL,
+        token_endpoint: provider.tokenURL,
+        userinfo_endpoint: provider.userInfoURL,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        scopes_supported: ['openid', 'profile', 'email'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name']
+    });
+};
+
+// @route   GET /mock-oidc/authorize
+// @desc    Sign-in form: pick the email and name to sign in as
+// @access  Public
+exports.showAuthorizeForm = (req, res) => {
+    const clientError = checkClient(req.query);
+    if (clientError) {
+        return res.status(400).json({
+            success: false,
+            message: clientError
+        });
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'scope']
+        .filter(name => req.query[name])
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n            ');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Mock sign-in provider</title>
+</head>
+<body>
+    <h1>Mock sign-in provider</h1>
+    <p>For development only. You will be signed in as whoever you enter here.</p>
+    <form method="post" action="authorize">
+        ${hidden}
+        <p><label>Email <input type="email" name="email" value="${escapeHtml(req.query.login_hint)}" required></label></p>
+        <p><label>Name <input type="text" name="name"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`);
+};
+
+// @route   POST /mock-oidc/authorize
+// @desc    Approve the sign-in and redirect back with an authorization code
+// @access  Public
+exports.authorize = (req, res) => {
+    const clientError = checkClient(req.body);
+    if (clientError) {
+        return res.status(400).json({
+            success: false,
+            message: clientError
+        });
+    }
+
+    const email = (req.body.email || '').toLowerCase().trim();
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'A valid email is required'
+        });
+    }
+
+    pruneExpired();
+
+    const code = crypto.randomBytes(24).toString('hex');
+    authorizationCodes.set(code, {
+        clientId: req.body.client_id,
+        redirectUri: req.body.redirect_uri,
+        claims: {
+            sub: subjectFor(email),
+            email,
+            email_verified: req.body.email_verified === 'true',
+            name: (req.body.name || '').trim() || email.split('@')[0]
+        },
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const redirectUrl = new URL(req.body.redirect_uri);
+    redirectUrl.searchParams.set('code', code);
+    if (req.body.state) {
+        redirectUrl.searchParams.set('state', req.body.state);
+    }
+
+    res.redirect(redirectUrl.toString());
+};
+
+// @route   POST /mock-oidc/token
+// @desc    Exchange an authorization code for an access token
+// @access  Public (client credentials)
+exports.token = (req, res) => {
+    const provider = getOAuthProvider('mock');
+
+    // Client credentials may come in the body or as HTTP Basic auth
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Basic ')) {
+        [clientId, clientSecret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+    }
+
+    if (!provider || clientId !== provider.clientID || clientSecret !== provider.clientSecret) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (req.body.grant_type !== 'authorization_code') {
+        return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    // Codes work once
+    const entry = authorizationCodes.get(req.body.code);
+    authorizationCodes.delete(req.body.code);
+
+    if (!entry || entry.expiresAt <= Date.now() ||
+        entry.clientId !== clientId || entry.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    accessTokens.set(accessToken, {
+        claims: entry.claims,
+        expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS
+    });
+
+    res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+        scope: 'openid profile email'
+    });
+};
+
+// @route   GET /mock-oidc/userinfo
+// @desc    Claims of the signed-in user
+// @access  Public (Bearer access token)
+exports.userInfo = (req, res) => {
+    const authHeader = req.headers.authorization || '';
+    const accessToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    const entry = accessToken && accessTokens.get(accessToken);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(entry.claims);
+};
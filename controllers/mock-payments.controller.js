@@ -0,0 +1,70 @@
+// controllers/mock-payments.controller.js
+//
+// The customer's side of the mock payment gateway: a 3-D Secure style page
+// where a payment started with the "mock_3ds" token is approved or declined.
+// Only mounted while the mock gateway is the payment provider.
+const { getPaymentProvider } = require('../utils/payments');
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[char]));
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+</head>
+<body>
+    <h1>${title}</h1>
+    ${body}
+</body>
+</html>`;
+
+// @route   GET /mock-payments/authenticate/:intentId
+// @desc    Confirmation page for a payment that needs the customer's approval
+// @access  Public
+exports.showAuthenticationForm = (req, res) => {
+    const intent = getPaymentProvider().getIntent(req.params.intentId);
+
+    if (!intent || intent.status !== 'requires_action') {
+        return res.status(404).json({
+            success: false,
+            message: 'Payment not found or already confirmed'
+        });
+    }
+
+    res.send(renderPage('Mock card verification', `
+    <p>For development only. Confirm a payment of ${escapeHtml(intent.amount.toFixed(2))} ${escapeHtml(intent.currency)}.</p>
+    <form method="post" action="${escapeHtml(intent.id)}">
+        <button type="submit" name="decision" value="approve">Approve</button>
+        <button type="submit" name="decision" value="decline">Decline</button>
+    </form>`));
+};
+
+// @route   POST /mock-payments/authenticate/:intentId
+// @desc    Approve or decline the payment (the result arrives as a webhook)
+// @access  Public
+exports.authenticate = (req, res) => {
+    const approved = req.body.decision === 'approve';
+    const intent = getPaymentProvider().completeAuthentication(req.params.intentId, approved);
+
+    if (!intent) {
+        return res.status(404).json({
+            success: false,
+            message: 'Payment not found or already confirmed'
+        });
+    }
+
+    const backLink = intent.returnUrl
+        ? `<p><a href="${escapeHtml(intent.returnUrl)}">Back to your order</a></p>`
+        : '';
+
+    res.send(renderPage(approved ? 'Payment approved' : 'Payment declined', `
+    <p>${approved ? 'Your order will be confirmed in a moment.' : 'Your order has not been paid.'}</p>
+    ${backLink}`));
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const passport = require('passport');
+const { issueAuthTokens, setRefreshCookie } = require('../utils/token');
+const {
+    checkLoginAllowed,
+    sendLoginRejection,
+    recordSuccessfulLogin
+} = require('../utils/login-throttle');
+const User = require('../models/user.model');
+const OAuthLoginCode = require('../models/oauth-login-code.model');
+const config = require('../config');
+const oauthConfig = require('../config/oauth');
+const { recordAudit } = require('../utils/audit');
+const { getOAuthProvider, getOAuthProviders } = require('../utils/oauth-providers');
+
+// Cookie that ties a provider link to the browser that started it
+const linkCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth'
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List the sign-in providers the frontend can offer
+// @access  Public
+exports.getProviders = (req, res) => {
+    res.json({
+        success: true,
+        providers: getOAuthProviders().map(provider => ({
+            name: provider.name,
+            displayName: provider.displayName,
+            loginUrl: `${req.protocol}://${req.get('host')}/api/auth/oauth/${provider.name}`
+        }))
+    });
+};
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start signing in with a provider
+// @access  Public
+exports.startLogin = (req, res, next) => {
+    const provider = getOAuthProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            message: 'Unknown sign-in provider'
+        });
+    }
+
+    passport.authenticate(provider.name, {
+        scope: provider.scopes,
+        session: false,
+        ...provider.authorizeOptions
+    })(req, res, next);
+};
+
+// @route   GET /api/auth/oauth/:provider/link/:token
+// @desc    Send a signed-in user to a provider to link it to their account
+// @access  Public (link token from POST /api/users/me/oauth/:provider/link)
+exports.startLink = async (req, res, next) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+
+        const oauthLinkToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        const user = provider && await User.findOne({
+            oauthLinkToken,
+            oauthLinkProvider: provider.name,
+            oauthLinkExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.redirect(`${config.clientUrl}/settings?oauthLinkError=link_expired`);
+        }
+
+        res.cookie('oauthLinkToken', req.params.token, {
+            ...linkCookieOptions,
+            maxAge: config.oauthLinkExpiresIn
+        });
+
+        passport.authenticate(provider.name, {
+            scope: provider.scopes,
+            state: req.params.token,
+            session: false,
+            ...provider.authorizeOptions
+        })(req, res, next);
+    } catch (err) {
+        console.error('Start provider link error:', err);
+        res.redirect(`${config.clientUrl}/settings?oauthLinkError=oauth_failed`);
+    }
+};
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Handle a provider's callback for sign-in and account linking
+// @access  Public
+exports.handleCallback = (req, res, next) => {
+    const provider = getOAuthProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({
+            success: false,
+            message: 'Unknown sign-in provider'
+        });
+    }
+
+    passport.authenticate(provider.name, { session: false }, async (authErr, user, info) => {
+        const linking = !!req.query.state;
+
+        if (linking) {
+            res.clearCookie('oauthLinkToken', linkCookieOptions);
+        }
+
+        if (authErr || !user) {
+            if (authErr) {
+                console.error(`${provider.name} callback error:`, authErr);
+            }
+            const reason = (info && info.reason) || 'oauth_failed';
+
+            return linking
+                ? res.redirect(`${config.clientUrl}/settings?oauthLinkError=${reason}&provider=${provider.name}`)
+                : res.redirect(`${config.clientUrl}/auth/login?error=${reason}&provider=${provider.name}`);
+        }
+
+        // Linking keeps the user's current session; nothing to issue
+        if (info && info.linked) {
+            return res.redirect(`${config.clientUrl}/settings?oauthLinked=${provider.name}`);
+        }
+
+        try {
+            // Hand over a one-time code; the frontend exchanges it for tokens
+            const code = await OAuthLoginCode.issue(user, provider.name);
+
+            res.redirect(`${oauthConfig.clientCallbackUrl}?code=${code}`);
+        } catch (err) {
+            console.error(`${provider.name} callback error:`, err);
+
+            // Redirect to frontend error page
+            res.redirect(`${config.clientUrl}/auth/login?error=oauth_failed&provider=${provider.name}`);
+        }
+    })(req, res, next);
+};
+
+// @route   POST /api/auth/oauth/exchange
+// @desc    Exchange the one-time code from a provider sign-in for tokens
+// @access  Public
+exports.exchangeLoginCode = async (req, res) => {
+    try {
+        const loginCode = await OAuthLoginCode.redeem(req.body.code);
+        const user = loginCode && await User.findById(loginCode.user);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in code is invalid or has expired'
+            });
+        }
+
+        // Refuse the sign-in while the account is locked
+        const rejection = await checkLoginAllowed(user);
+        if (rejection) {
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: user._id,
+                outcome: 'blocked',
+                metadata: { method: loginCode.provider, status: rejection.status }
+            });
+            return sendLoginRejection(res, rejection);
+        }
+
+        // The provider replaces the password only - 2FA still has to be completed,
+        // with the challenge token the sign-in code is exchanged for
+        if (user.hasTwoFactor()) {
+            const challengeToken = user.generateTwoFactorChallenge();
+            await user.save();
+
+            return res.json({
+                success: true,
+                requiresTwoFactor: true,
+                challengeToken,
+                email: user.email,
+                twoFactorMethods: user.getTwoFactorMethods(),
+                message: 'Please enter your 2FA code to complete login'
+            });
+        }
+
+        await recordSuccessfulLogin(user);
+        await recordAudit(req, {
+            action: 'auth.login',
+            actor: user._id,
+            metadata: { method: loginCode.provider }
+        });
+
+        // Start a new session; the refresh token also travels in an httpOnly cookie
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken,
+            user
+        });
+    } catch (err) {
+        console.error('Exchange sign-in code error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in'
+        });
+    }
+};
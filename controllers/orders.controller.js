@@ -1,9 +1,149 @@
 // controllers/orders.controller.js
+const mongoose = require('mongoose');
 const Order = require('../models/order.model');
 const Product = require('../models/product.model');
 const CartItem = require('../models/cart.model');
 const Chat = require('../models/chat.model');
+const User = require('../models/user.model');
 const { validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+const {
+    FINAL_STATUSES,
+    createHistoryEntry,
+    transitionChefItems,
+    transitionOrder,
+    checkItemRemoval
+} = require('../utils/order-state-machine');
+const { notifyStatusChange } = require('../utils/order-notifications');
+const { startCardPayment } = require('../utils/payment-ledger');
+const { settleOrder } = require('../utils/order-settlement');
+const { emitToUser } = require('../socket');
+const { runInTransaction } = require('../utils/transaction');
+const { checkPortions, takeCartPortions, releasePortions } = require('../utils/inventory');
+const {
+    getChefSchedule,
+    getPreparationMinutes,
+    checkSlot,
+    bookSlot,
+    releaseSlot
+} = require('../utils/delivery-slots');
+const { quoteDeliveries, resolveDeliveryLocation } = require('../utils/delivery-zones');
+const sendEmail = require('../utils/email');
+const emailTemplates = require('../utils/email-templates');
+const config = require('../config');
+
+// Create a chat channel between the customer and each chef of a new order
+const createChatsForOrder = async (order, session) => {
+    const chefIds = [...new Set(order.chefItems.map(item => item.chef.toString()))];
+
+    await Chat.create(chefIds.map(chefId => ({
+        order: order._id,
+        customer: order.user,
+        chef: chefId,
+        messages: []
+    })), { session });
+    console.log(`Created ${chefIds.length} chat channels for order ${order._id}`);
+};
+
+// Put the cart back after an order could not be paid. Items added to the cart
+// in the meantime win over the old ones. The portions went back with the
+// order, so the items hold none.
+const restoreCart = async (cartItems) => {
+    try {
+        await CartItem.insertMany(cartItems.map(cartItem => {
+            cartItem.depopulate('product');
+            return { ...cartItem.toObject(), hold: { quantity: 0, stock: false, date: null, expiresAt: null } };
+        }), { ordered: false });
+    } catch (error) {
+        console.error('Error restoring cart:', error.message);
+    }
+};
+
+// Load an order with what the change endpoints respond with and notify about
+const findOrderForChange = (orderId) => {
+    return Order.findById(orderId)
+        .populate({
+            path: 'user',
+            select: 'fullName email profileImage'
+        })
+        .populate({
+            path: 'items.product',
+            select: 'name price images description chef category'
+        })
+        .populate({
+            path: 'chefItems.items.product',
+            select: 'name'
+        })
+        .populate({
+            path: 'chefItems.chef',
+            select: 'fullName profileImage'
+        });
+};
+
+// Describe a change for the customer's email
+const describeOrderChange = (change) => {
+    const chefName = change.chef.fullName || 'A chef';
+
+    switch (change.type) {
+        case 'chef_rejected':
+            return `${chefName} cannot prepare their part of your order`;
+        case 'item_removed':
+            return `${change.item.product.name || 'An item'} (x${change.item.quantity}) was removed`;
+        default:
+            return `the items from ${chefName} were cancelled`;
+    }
+};
+
+/**
+ * Tell the other side about a change to part of an order: the chef when the
+ * customer made it, the customer (also by email) when a chef made it, and
+ * both when staff made it
+ * @param {Object} order - The saved order, loaded with findOrderForChange()
+ * @param {Object} change - { type, chef, item, role, actor, reason }
+ */
+const notifyOrderChange = async (order, change) => {
+    const chefId = (change.chef._id || change.chef).toString();
+    const payload = {
+        orderId: order._id,
+        type: change.type,
+        chef: chefId,
+        item: change.item || null,
+        reason: change.reason || null,
+        actorRole: change.role,
+        status: order.status,
+        subtotal: order.subtotal,
+        serviceFee: order.serviceFee,
+        totalAmount: order.totalAmount
+    };
+
+    if (change.role !== 'chef') {
+        emitToUser(chefId, 'orderChanged', payload);
+    }
+
+    if (change.role === 'customer' || !order.user) return;
+
+    emitToUser(order.user._id, 'orderChanged', payload);
+
+    const emailTemplate = emailTemplates.orderChanged({
+        fullName: order.user.fullName,
+        orderId: order._id.toString(),
+        change: describeOrderChange(change),
+        reason: change.reason,
+        totalAmount: order.totalAmount,
+        orderUrl: `${config.clientUrl}/orders/${order._id}`
+    });
+
+    try {
+        await sendEmail({
+            email: order.user.email,
+            subject: emailTemplate.subject,
+            message: emailTemplate.text,
+            html: emailTemplate.html
+        });
+    } catch (emailError) {
+        console.error('Failed to send order change email:', emailError.message);
+    }
+};
 
 // @route   POST /api/orders
 // @desc    Create a new order
@@ -18,18 +158,6 @@ exports.createOrder = async (req, res) => {
     }
 
     try {
-        // Get cart items for the user
-        const cartItems = await CartItem.find({ user: req.user._id }).populate('product');
-        
-        if (cartItems.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Your cart is empty. Add items before placing an order.'
-            });
-        }
-        
-        console.log(`Creating order for user ${req.user._id} with ${cartItems.length} items in cart`);
-        
         // Extract order data
         const {
             deliveryAddress,
@@ -39,128 +167,241 @@ exports.createOrder = async (req, res) => {
             paymentMethod
         } = req.body;
         
-        // Create order items array and organize by chef
-        const orderItems = [];
-        const chefItemsMap = new Map(); // Map to group items by chef
-        let subtotal = 0;
+        // Find where the order goes, for the chefs' delivery zones and fees
+        let deliveryLocation;
+        try {
+            deliveryLocation = await resolveDeliveryLocation(deliveryAddress, req.body.deliveryLocation);
+        } catch (geocodingError) {
+            return res.status(503).json({
+                success: false,
+                message: 'Addresses cannot be looked up right now. Please pick your location on the map or try again later.'
+            });
+        }
+        
+        if (!deliveryLocation) {
+            return res.status(400).json({
+                success: false,
+                message: 'We could not find this delivery address. Please add the area and city, or pick your location on the map.'
+            });
+        }
+        
+        // Suspended chefs can't take orders
+        const suspendedChefIds = (await User.getSuspendedUserIds()).map(id => id.toString());
         
-        for (const cartItem of cartItems) {
-            // Skip unavailable products
-            if (!cartItem.product || !cartItem.product.isAvailable) {
-                console.log(`Skipping unavailable product ${cartItem.product?._id || 'unknown'}`);
-                continue;
+        // The order, its chats, the portions and slots taken and the emptied cart are written together
+        // or not at all. Two requests racing for the same cart conflict, and the retry finds it empty.
+        const result = await runInTransaction(async (session) => {
+            // Get cart items for the user
+            const cartItems = await CartItem.find({ user: req.user._id }).populate('product').session(session);
+            
+            if (cartItems.length === 0) {
+                return { rejection: { status: 400, message: 'Your cart is empty. Add items before placing an order.' } };
             }
             
-            // Get the chef ID
-            const chefId = cartItem.product.chef.toString();
+            console.log(`Creating order for user ${req.user._id} with ${cartItems.length} items in cart`);
+            
+            // Create order items array and organize by chef
+            const orderItems = [];
+            const chefItemsMap = new Map(); // Map to group items by chef
+            const chefProducts = new Map(); // Each chef's products, for their preparation time
+            const reserved = []; // Portions taken so far, given back if the order can't be placed
+            const bookedChefIds = []; // Chefs whose delivery slot was taken, likewise
+            let subtotal = 0;
             
-            // Calculate item subtotal with condiments
-            let itemPrice = Number(cartItem.product.price) || 0;
+            const giveBack = async () => {
+                for (const taken of reserved) {
+                    await releasePortions(taken.product, taken.reservation, taken.quantity, session);
+                }
+                for (const chefId of bookedChefIds) {
+                    await releaseSlot(chefId, { date: deliveryDate, time: deliveryTime }, session);
+                }
+            };
             
-            // Add condiment prices
-            if (cartItem.selectedCondiments && cartItem.selectedCondiments.length > 0) {
-                for (const condiment of cartItem.selectedCondiments) {
-                    const condimentPrice = Number(condiment.price) || 0;
-                    if (!isNaN(condimentPrice)) {
-                        itemPrice += condimentPrice;
+            for (const cartItem of cartItems) {
+                // Skip unavailable products
+                if (!cartItem.product || !cartItem.product.isAvailable ||
+                    suspendedChefIds.includes(cartItem.product.chef.toString())) {
+                    console.log(`Skipping unavailable product ${cartItem.product?._id || 'unknown'}`);
+                    continue;
+                }
+                
+                // Take over the portions the cart holds, or take them from the product's stock and today's capacity
+                const reservation = await takeCartPortions(cartItem, session);
+                
+                if (!reservation) {
+                    await giveBack();
+                    
+                    const rejection = checkPortions(cartItem.product, cartItem.quantity) ||
+                        { status: 409, message: `${cartItem.product.name} sold out while your order was being placed` };
+                    return { rejection };
+                }
+                reserved.push({ product: cartItem.product._id, reservation, quantity: cartItem.quantity });
+                
+                // Get the chef ID
+                const chefId = cartItem.product.chef.toString();
+                
+                // Calculate item subtotal with condiments
+                let itemPrice = Number(cartItem.product.price) || 0;
+                
+                // Add condiment prices
+                if (cartItem.selectedCondiments && cartItem.selectedCondiments.length > 0) {
+                    for (const condiment of cartItem.selectedCondiments) {
+                        const condimentPrice = Number(condiment.price) || 0;
+                        if (!isNaN(condimentPrice)) {
+                            itemPrice += condimentPrice;
+                        }
                     }
                 }
+                
+                const itemSubtotal = itemPrice * cartItem.quantity;
+                subtotal += itemSubtotal;
+                
+                console.log(`Item: ${cartItem.product.name}, Base price: ${cartItem.product.price}, With condiments: ${itemPrice}, Quantity: ${cartItem.quantity}, Subtotal: ${itemSubtotal}`);
+                
+                // Create order item (the same id is used in the chef's items)
+                const orderItem = {
+                    _id: new mongoose.Types.ObjectId(),
+                    product: cartItem.product._id,
+                    quantity: cartItem.quantity,
+                    price: cartItem.product.price,
+                    selectedCondiments: cartItem.selectedCondiments || [],
+                    subtotal: itemSubtotal
+                };
+                
+                orderItems.push(orderItem);
+                
+                // Add to chef's items
+                if (!chefItemsMap.has(chefId)) {
+                    chefItemsMap.set(chefId, {
+                        chef: chefId,
+                        items: [],
+                        status: 'pending',
+                        statusHistory: [createHistoryEntry('pending', { role: 'customer', actor: req.user._id })]
+                    });
+                }
+                
+                chefItemsMap.get(chefId).items.push({ ...orderItem, reservation });
+                chefProducts.set(chefId, [...(chefProducts.get(chefId) || []), cartItem.product]);
             }
             
-            const itemSubtotal = itemPrice * cartItem.quantity;
-            subtotal += itemSubtotal;
+            if (orderItems.length === 0) {
+                return { rejection: { status: 400, message: 'None of the items in your cart are available any more.' } };
+            }
             
-            console.log(`Item: ${cartItem.product.name}, Base price: ${cartItem.product.price}, With condiments: ${itemPrice}, Quantity: ${cartItem.quantity}, Subtotal: ${itemSubtotal}`);
+            // Every chef must deliver to the address; each charges their own delivery fee
+            const quotes = await quoteDeliveries([...chefItemsMap.keys()], deliveryLocation.coordinates);
+            let deliveryFee = 0;
+            for (const [chefId, chefEntry] of chefItemsMap) {
+                const quote = quotes.get(chefId);
+                
+                if (!quote) {
+                    await giveBack();
+                    return { rejection: {
+                        status: 400,
+                        message: `The chef of ${chefProducts.get(chefId)[0].name} does not deliver to this address.`
+                    } };
+                }
+                
+                chefEntry.deliveryFee = quote.fee;
+                chefEntry.deliveryZone = quote.zone;
+                chefEntry.deliveryDistanceKm = quote.distanceKm;
+                deliveryFee += quote.fee;
+            }
             
-            // Create order item
-            const orderItem = {
-                product: cartItem.product._id,
-                quantity: cartItem.quantity,
-                price: cartItem.product.price,
-                selectedCondiments: cartItem.selectedCondiments || [],
-                subtotal: itemSubtotal
-            };
+            // Every chef must be open in the delivery slot, have room in it and have time to cook
+            const slot = { date: deliveryDate, time: deliveryTime };
+            for (const [chefId, chefEntry] of chefItemsMap) {
+                const schedule = await getChefSchedule(chefId);
+                const slotRejection = checkSlot(schedule, slot, getPreparationMinutes(chefProducts.get(chefId)));
+                
+                if (slotRejection) {
+                    await giveBack();
+                    return { rejection: slotRejection };
+                }
+                
+                if (!await bookSlot(chefId, slot, schedule.ordersPerSlot, session)) {
+                    await giveBack();
+                    return { rejection: { status: 409, message: `The ${deliveryTime} delivery slot on ${deliveryDate} is fully booked. Please choose another one.` } };
+                }
+                bookedChefIds.push(chefId);
+                chefEntry.slotBooked = true;
+            }
             
-            orderItems.push(orderItem);
+            // Round subtotal and add the service and delivery fees
+            const totals = Order.calculateTotals(subtotal, deliveryFee);
+            subtotal = totals.subtotal;
+            const { serviceFee, totalAmount } = totals;
+            console.log(`Order subtotal: ${subtotal}, service fee: ${serviceFee}, delivery fee: ${totals.deliveryFee}, total: ${totalAmount}`);
             
-            // Add to chef's items
-            if (!chefItemsMap.has(chefId)) {
-                chefItemsMap.set(chefId, {
-                    chef: chefId,
-                    items: [],
-                    status: 'pending',
-                    statusHistory: [{ status: 'pending' }]
-                });
-            }
+            // Convert chef items map to array
+            const chefItems = Array.from(chefItemsMap.values());
             
-            chefItemsMap.get(chefId).items.push(orderItem);
-        }
-        
-        // Round subtotal to 2 decimal places
-        subtotal = Math.round(subtotal * 100) / 100;
-        console.log(`Order subtotal: ${subtotal}`);
-        
-        // Calculate service fee (10%)
-        const serviceFee = Math.round(subtotal * 0.1 * 100) / 100;
-        console.log(`Service fee: ${serviceFee}`);
-        
-        // Calculate total
-        const totalAmount = Math.round((subtotal + serviceFee) * 100) / 100;
-        console.log(`Order total: ${totalAmount}`);
-        
-        // Convert chef items map to array
-        const chefItems = Array.from(chefItemsMap.values());
-        
-        // Create the order
-        const newOrder = new Order({
-            user: req.user._id,
-            items: orderItems,
-            chefItems,
-            subtotal,
-            serviceFee,
-            totalAmount,
-            deliveryAddress,
-            deliveryDate,
-            deliveryTime,
-            deliveryNotes: deliveryNotes || '',
-            paymentMethod,
-            paymentStatus: 'paid', // For now, assume all orders are paid
-            status: 'pending',
-            statusHistory: [{ status: 'pending' }]
+            // Create the order
+            const newOrder = new Order({
+                user: req.user._id,
+                items: orderItems,
+                chefItems,
+                subtotal,
+                serviceFee,
+                deliveryFee: totals.deliveryFee,
+                totalAmount,
+                deliveryAddress,
+                deliveryLocation,
+                deliveryDate,
+                deliveryTime,
+                deliveryNotes: deliveryNotes || '',
+                paymentMethod,
+                status: 'pending',
+                statusHistory: [createHistoryEntry('pending', { role: 'customer', actor: req.user._id })]
+            });
+            
+            // Save the order, a chat channel for each chef, and empty the cart
+            const savedOrder = await newOrder.save({ session });
+            await createChatsForOrder(savedOrder, session);
+            await CartItem.deleteMany({ user: req.user._id }, { session });
+            
+            return { order: savedOrder, cartItems };
         });
         
-        // Save the order
-        const savedOrder = await newOrder.save();
+        if (result.rejection) {
+            return res.status(result.rejection.status).json({
+                success: false,
+                message: result.rejection.message
+            });
+        }
+        
+        const savedOrder = result.order;
         
-        // Create chat channels for each chef in the order
-        const createChatsForOrder = async (orderId, userId, chefIds) => {
+        // Card payments go to the payment provider; cash is collected on delivery.
+        // This happens after the transaction so that a retried transaction can't charge twice.
+        let payment = null;
+        if (paymentMethod === 'card') {
             try {
-                const chatPromises = chefIds.map(chefId => {
-                    return Chat.create({
-                        order: orderId,
-                        customer: userId,
-                        chef: chefId,
-                        messages: []
-                    });
+                payment = await startCardPayment(savedOrder, {
+                    paymentToken: req.body.paymentToken,
+                    returnUrl: `${config.clientUrl}/orders/${savedOrder._id}`
                 });
+            } catch (paymentError) {
+                console.error('Start payment error:', paymentError.message);
+                savedOrder.paymentStatus = 'failed';
+                transitionOrder(savedOrder, 'cancelled', { role: 'system', reason: 'Payment could not be started' });
+            }
+            // A declined order gives its portions and slot back
+            await settleOrder(savedOrder, { role: 'system' });
+            
+            // Put the cart back so the customer can try again
+            if (!payment || payment.status === 'failed') {
+                await restoreCart(result.cartItems);
                 
-                await Promise.all(chatPromises);
-                console.log(`Created ${chefIds.length} chat channels for order ${orderId}`);
-            } catch (error) {
-                console.error('Error creating chat channels:', error);
-                // We don't want to fail the order creation if chat creation fails
-                // Just log the error
+                return res.status(402).json({
+                    success: false,
+                    message: payment
+                        ? 'Your payment was declined. Your cart has been kept so you can try again.'
+                        : 'Payment is not available right now. Your cart has been kept so you can try again.',
+                    order: savedOrder
+                });
             }
-        };
-        
-        // Get unique chef IDs from the order
-        const chefIds = [...new Set(chefItems.map(item => item.chef.toString()))];
-        
-        // Create chat channels
-        await createChatsForOrder(savedOrder._id, req.user._id, chefIds);
-        
-        // Clear the user's cart
-        await CartItem.deleteMany({ user: req.user._id });
+        }
         
         // Populate chef details
         const populatedOrder = await Order.findById(savedOrder._id)
@@ -179,8 +420,12 @@ exports.createOrder = async (req, res) => {
         
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
-            order: populatedOrder
+            message: payment && payment.status !== 'succeeded'
+                ? 'Order placed. It will be sent to the chefs once your payment is confirmed.'
+                : 'Order placed successfully',
+            order: populatedOrder,
+            // e.g. a 3-D Secure page the customer has to be sent to
+            nextAction: payment ? payment.nextAction : null
         });
     } catch (err) {
         console.error('Create order error:', err);
@@ -247,7 +492,7 @@ exports.getUserOrders = async (req, res) => {
 
 // @route   GET /api/orders/chef
 // @desc    Get all orders for a chef
-// @access  Private (Chef only)
+// @access  Private (orders:fulfil)
 exports.getChefOrders = async (req, res) => {
     try {
         const chefId = req.user._id;
@@ -258,11 +503,13 @@ exports.getChefOrders = async (req, res) => {
         // Exclude deleted orders
         const deletedFilter = { deleted: { $ne: true } };
         
-        // Find orders that have items with products created by this chef
+        // Find orders that have items with products created by this chef,
+        // once they are paid (or will be paid in cash)
         const orders = await Order.find({
             'chefItems.chef': chefId,
             ...statusFilter,
-            ...deletedFilter
+            ...deletedFilter,
+            ...Order.chefVisibleQuery()
         })
         .populate({
             path: 'user',
@@ -328,12 +575,12 @@ exports.getOrderById = async (req, res) => {
 
         // Check if the user is authorized to view this order
         if (order.user._id.toString() !== req.user._id.toString() && 
-            req.user.role !== 'admin') {
+            !hasPermission(req.permissions, 'orders:read_any')) {
             
-            // If user is a chef, verify they have items in this order
-            if (req.user.role === 'chef') {
+            // If user is a chef, verify they have items in this order (and it is paid)
+            if (hasPermission(req.permissions, 'orders:fulfil')) {
                 const chefId = req.user._id.toString();
-                const hasChefItems = order.chefItems.some(item => 
+                const hasChefItems = order.isVisibleToChefs() && order.chefItems.some(item => 
                     item.chef._id.toString() === chefId
                 );
 
@@ -386,10 +633,10 @@ exports.getOrderById = async (req, res) => {
 };
 
 // @route   PATCH /api/orders/:id/status
-// @desc    Update order status for a chef's items
-// @access  Private (Chef or Admin)
+// @desc    Update order status for a chef's items (staff: the whole order)
+// @access  Private (orders:fulfil or orders:manage_any)
 exports.updateOrderStatus = async (req, res) => {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
     if (!status) {
         return res.status(400).json({
@@ -398,15 +645,6 @@ exports.updateOrderStatus = async (req, res) => {
         });
     }
 
-    // Validate status value
-    const validStatuses = ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-            success: false,
-            message: 'Invalid status value'
-        });
-    }
-
     try {
         const order = await Order.findById(req.params.id)
             .populate({
@@ -433,57 +671,47 @@ exports.updateOrderStatus = async (req, res) => {
             });
         }
 
-        // Check authorization (chef or admin)
-        if (req.user.role !== 'admin' && req.user.role !== 'chef') {
+        // Check authorization (chef or staff who can manage any order)
+        const canFulfil = hasPermission(req.permissions, 'orders:fulfil');
+        const canManageAny = hasPermission(req.permissions, 'orders:manage_any');
+
+        if (!canFulfil && !canManageAny) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update order status'
             });
         }
 
-        if (req.user.role === 'chef') {
-            const chefId = req.user._id.toString();
-            
-            // Find the chef's items in the order
-            const chefItemIndex = order.chefItems.findIndex(item => 
-                item.chef._id.toString() === chefId
-            );
-
-            if (chefItemIndex === -1) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Not authorized to update this order'
-                });
-            }
+        // Find the chef's items in the order (chefs don't see unpaid orders)
+        const chefItemIndex = canFulfil && order.isVisibleToChefs()
+            ? order.chefItems.findIndex(item => item.chef._id.toString() === req.user._id.toString())
+            : -1;
 
-            // Update status for this chef's items only
-            order.chefItems[chefItemIndex].status = status;
-            order.chefItems[chefItemIndex].statusHistory.push({
-                status,
-                timestamp: new Date()
+        if (chefItemIndex === -1 && !canManageAny) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this order'
             });
+        }
 
-            // Update overall order status based on chef items statuses
-            updateOverallOrderStatus(order);
-        } else if (req.user.role === 'admin') {
-            // Admins can update the entire order status
-            order.status = status;
-            order.statusHistory.push({
-                status,
-                timestamp: new Date()
-            });
-            
-            // Update all chef items to match
-            order.chefItems.forEach(chefItem => {
-                chefItem.status = status;
-                chefItem.statusHistory.push({
-                    status,
-                    timestamp: new Date()
-                });
+        // Chefs move their own items; staff move the whole order
+        const chefItem = chefItemIndex !== -1 ? order.chefItems[chefItemIndex] : null;
+        const context = { role: chefItem ? 'chef' : 'admin', actor: req.actor._id, reason };
+        const rejection = chefItem
+            ? transitionChefItems(order, chefItem, status, context)
+            : transitionOrder(order, status, context);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
+                success: false,
+                message: rejection.message
             });
         }
 
-        await order.save();
+        // Give back what was paid and the portions and slots taken for anything
+        // cancelled, or record the cash collected once everything was delivered
+        await settleOrder(order, { ...context, chefItem });
+        notifyStatusChange(order);
 
         res.json({
             success: true,
@@ -507,60 +735,6 @@ exports.updateOrderStatus = async (req, res) => {
     }
 };
 
-// Helper function to determine overall order status
-function updateOverallOrderStatus(order) {
-    // If any chef has cancelled, the order stays as cancelled
-    if (order.status === 'cancelled') {
-        return;
-    }
-    
-    // If all chefs have delivered, mark the order as delivered
-    if (order.chefItems.every(item => item.status === 'delivered')) {
-        order.status = 'delivered';
-        order.statusHistory.push({
-            status: 'delivered',
-            timestamp: new Date()
-        });
-        return;
-    }
-    
-    // If all chefs have at least marked as ready, mark the order as ready
-    if (order.chefItems.every(item => 
-        ['ready', 'delivered'].includes(item.status)
-    )) {
-        order.status = 'ready';
-        order.statusHistory.push({
-            status: 'ready',
-            timestamp: new Date()
-        });
-        return;
-    }
-    
-    // If any chef has started preparing, mark as in_progress
-    if (order.chefItems.some(item => 
-        ['in_progress', 'ready', 'delivered'].includes(item.status)
-    )) {
-        order.status = 'in_progress';
-        order.statusHistory.push({
-            status: 'in_progress',
-            timestamp: new Date()
-        });
-        return;
-    }
-    
-    // If all chefs have at least received the order, mark as received
-    if (order.chefItems.every(item => 
-        item.status !== 'pending'
-    )) {
-        order.status = 'received';
-        order.statusHistory.push({
-            status: 'received',
-            timestamp: new Date()
-        });
-        return;
-    }
-}
-
 // @route   PATCH /api/orders/:id/cancel
 // @desc    Cancel an order
 // @access  Private
@@ -593,10 +767,10 @@ exports.cancelOrder = async (req, res) => {
 
         // Check authorization
         const isOrderOwner = order.user._id.toString() === req.user._id.toString();
-        const isAdmin = req.user.role === 'admin';
+        const isAdmin = hasPermission(req.permissions, 'orders:manage_any');
         let isChefWithItems = false;
         
-        if (req.user.role === 'chef') {
+        if (hasPermission(req.permissions, 'orders:fulfil') && order.isVisibleToChefs()) {
             const chefId = req.user._id.toString();
             isChefWithItems = order.chefItems.some(item => 
                 item.chef._id.toString() === chefId
@@ -612,9 +786,19 @@ exports.cancelOrder = async (req, res) => {
 
         // Check if we're getting a "delete" action in the request body
         const isDelete = req.body.action === 'delete';
+        const isFinished = FINAL_STATUSES.includes(order.status);
+        
+        // An active order still holds portions, a delivery slot and maybe money,
+        // which are only given back when it is cancelled
+        if (isDelete && !isFinished) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only delivered or cancelled orders can be removed. Cancel the order first.'
+            });
+        }
         
         // If it's a delete request or the order is already delivered/cancelled, mark as deleted
-        if (isDelete || order.status === 'delivered' || order.status === 'cancelled') {
+        if (isDelete || isFinished) {
             // Add a "deleted" flag to the order
             order.deleted = true;
             order.deletedAt = new Date();
@@ -628,31 +812,37 @@ exports.cancelOrder = async (req, res) => {
             });
         }
 
-        // Otherwise, if it's a normal cancel and order is active, check it can be cancelled
-        if (order.status !== 'pending') {
-            return res.status(400).json({
+        // Customers and staff call off the whole order, a chef only their own items
+        let role = 'admin';
+        let chefItem = null;
+        if (isOrderOwner) {
+            role = 'customer';
+        } else if (isChefWithItems) {
+            role = 'chef';
+            chefItem = order.chefItems.find(item => item.chef._id.toString() === req.user._id.toString());
+        }
+
+        const context = { role, actor: req.actor._id, reason: req.body.reason };
+        const rejection = chefItem
+            ? transitionChefItems(order, chefItem, 'cancelled', context)
+            : transitionOrder(order, 'cancelled', context);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
                 success: false,
-                message: 'Cannot cancel order - it has already been processed'
+                message: isOrderOwner ? 'Cannot cancel order - it has already been processed' : rejection.message
             });
         }
 
-        // Update status to cancelled
-        order.status = 'cancelled';
-        order.statusHistory.push({
-            status: 'cancelled',
-            timestamp: new Date()
-        });
-        
-        // Update all chef items to cancelled
-        order.chefItems.forEach(chefItem => {
-            chefItem.status = 'cancelled';
-            chefItem.statusHistory.push({
-                status: 'cancelled',
-                timestamp: new Date()
+        await settleOrder(order, { ...context, chefItem });
+        notifyStatusChange(order);
+        if (chefItem) {
+            await notifyOrderChange(order, {
+                type: 'chef_rejected',
+                chef: chefItem.chef,
+                ...context
             });
-        });
-
-        await order.save();
+        }
 
         res.json({
             success: true,
@@ -676,9 +866,258 @@ exports.cancelOrder = async (req, res) => {
     }
 };
 
+// @route   PATCH /api/orders/:id/reject
+// @desc    Reject the current chef's part of an order (e.g. out of an ingredient)
+// @access  Private (orders:fulfil)
+exports.rejectChefItems = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const order = await findOrderForChange(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const chefItem = order.isVisibleToChefs()
+            ? order.chefItems.find(item => item.chef._id.toString() === req.user._id.toString())
+            : null;
+
+        if (!chefItem) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this order'
+            });
+        }
+
+        const context = { role: 'chef', actor: req.actor._id, reason: req.body.reason };
+        const rejection = transitionChefItems(order, chefItem, 'cancelled', context);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
+                success: false,
+                message: rejection.message
+            });
+        }
+
+        await settleOrder(order, { ...context, chefItem });
+        notifyStatusChange(order);
+        await notifyOrderChange(order, {
+            type: 'chef_rejected',
+            chef: chefItem.chef,
+            ...context
+        });
+
+        res.json({
+            success: true,
+            message: 'Your part of the order has been rejected',
+            order
+        });
+    } catch (err) {
+        console.error('Reject order error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @route   PATCH /api/orders/:id/chefs/:chefId/cancel
+// @desc    Cancel one chef's part of an order, keeping the rest
+// @access  Private (order owner, or orders:manage_any)
+exports.cancelChefItems = async (req, res) => {
+    try {
+        const order = await findOrderForChange(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const isOrderOwner = order.user._id.toString() === req.user._id.toString();
+        const isAdmin = hasPermission(req.permissions, 'orders:manage_any');
+
+        if (!isOrderOwner && !isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this order'
+            });
+        }
+
+        const chefItem = order.chefItems.find(item => item.chef._id.toString() === req.params.chefId);
+
+        if (!chefItem) {
+            return res.status(404).json({
+                success: false,
+                message: 'This chef has no items in the order'
+            });
+        }
+
+        const context = { role: isOrderOwner ? 'customer' : 'admin', actor: req.actor._id, reason: req.body.reason };
+        const rejection = transitionChefItems(order, chefItem, 'cancelled', context);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
+                success: false,
+                message: isOrderOwner && !FINAL_STATUSES.includes(chefItem.status)
+                    ? 'Cannot cancel these items - the chef has already accepted them'
+                    : rejection.message
+            });
+        }
+
+        await settleOrder(order, { ...context, chefItem });
+        notifyStatusChange(order);
+        await notifyOrderChange(order, {
+            type: 'chef_items_cancelled',
+            chef: chefItem.chef,
+            ...context
+        });
+
+        res.json({
+            success: true,
+            message: 'Items cancelled successfully',
+            order
+        });
+    } catch (err) {
+        console.error('Cancel chef items error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @route   DELETE /api/orders/:id/items/:itemId
+// @desc    Remove a single item from an order
+// @access  Private (order owner, the item's chef, or orders:manage_any)
+exports.removeOrderItem = async (req, res) => {
+    try {
+        const order = await findOrderForChange(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const chefItem = order.chefItems.find(group => group.items.id(req.params.itemId));
+
+        if (!chefItem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in this order'
+            });
+        }
+
+        const item = chefItem.items.id(req.params.itemId);
+
+        // The customer, the chef making the item, or staff, in that order of precedence
+        let role = null;
+        if (order.user._id.toString() === req.user._id.toString()) {
+            role = 'customer';
+        } else if (hasPermission(req.permissions, 'orders:fulfil') && order.isVisibleToChefs() &&
+            chefItem.chef._id.toString() === req.user._id.toString()) {
+            role = 'chef';
+        } else if (hasPermission(req.permissions, 'orders:manage_any')) {
+            role = 'admin';
+        }
+
+        if (!role) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to modify this order'
+            });
+        }
+
+        const context = { role, actor: req.actor._id, reason: req.body.reason };
+
+        // Removing the last of a chef's items cancels their part of the order
+        const cancelsChefItems = chefItem.items.length === 1;
+        const rejection = cancelsChefItems
+            ? transitionChefItems(order, chefItem, 'cancelled', context)
+            : checkItemRemoval(chefItem, context);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
+                success: false,
+                message: rejection.message
+            });
+        }
+
+        if (!cancelsChefItems) {
+            order.removeItem(chefItem, item, context);
+        }
+
+        await settleOrder(order, { ...context, chefItem });
+        if (cancelsChefItems) {
+            notifyStatusChange(order);
+        }
+        await notifyOrderChange(order, {
+            type: cancelsChefItems ? 'chef_items_cancelled' : 'item_removed',
+            chef: chefItem.chef,
+            item: {
+                _id: item._id,
+                product: item.product,
+                quantity: item.quantity
+            },
+            ...context
+        });
+
+        res.json({
+            success: true,
+            message: cancelsChefItems
+                ? 'Item removed and the chef\'s part of the order cancelled'
+                : 'Item removed from the order',
+            order
+        });
+    } catch (err) {
+        console.error('Remove order item error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @route   DELETE /api/orders/:id
-// @desc    Delete an order permanently
-// @access  Private (Admin only)
+// @desc    Delete a delivered or cancelled order permanently
+// @access  Private (orders:delete)
 exports.deleteOrder = async (req, res) => {
     try {
         const order = await Order.findById(req.params.id);
@@ -690,14 +1129,23 @@ exports.deleteOrder = async (req, res) => {
             });
         }
 
-        // Check authorization (admin only for permanent deletion)
-        if (req.user.role !== 'admin') {
+        // Check authorization (permanent deletion needs its own permission)
+        if (!hasPermission(req.permissions, 'orders:delete')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to permanently delete this order'
             });
         }
 
+        // An active order still holds portions, a delivery slot and maybe money,
+        // which are given back when it is cancelled
+        if (!FINAL_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only delivered or cancelled orders can be deleted. Cancel the order first.'
+            });
+        }
+
         // Use findByIdAndDelete for more reliable deletion
         const deletedOrder = await Order.findByIdAndDelete(req.params.id);
         
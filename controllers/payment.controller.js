@@ -0,0 +1,357 @@
+// controllers/payment.controller.js
+const Order = require('../models/order.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const config = require('../config');
+const { SIGNATURE_HEADER, verifyWebhookSignature } = require('../utils/payments');
+const {
+    getRefundableAmount,
+    syncPaymentTotals,
+    checkRefund,
+    issueRefund,
+    recordAdjustment,
+    applyPaymentIntent,
+    settleRefund
+} = require('../utils/payment-ledger');
+const { notifyStatusChange } = require('../utils/order-notifications');
+const { settleOrder } = require('../utils/order-settlement');
+const { emitToUser } = require('../socket');
+
+// The order's running payment totals
+const summarizePayments = (order) => ({
+    paymentStatus: order.paymentStatus,
+    totalAmount: order.totalAmount,
+    amountPaid: order.amountPaid,
+    amountRefunded: order.amountRefunded,
+    refundable: getRefundableAmount(order)
+});
+
+// @route   GET /api/orders/:id/payments
+// @desc    Get the payment ledger of an order
+// @access  Private (order owner, chefs for their part, or orders:read_any / orders:refund)
+exports.getOrderPayments = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const isOrderOwner = order.user.toString() === req.user._id.toString();
+        const isStaff = hasPermission(req.permissions, 'orders:read_any') ||
+            hasPermission(req.permissions, 'orders:refund');
+        const chefItem = hasPermission(req.permissions, 'orders:fulfil') && order.isVisibleToChefs()
+            ? order.chefItems.find(item => item.chef.toString() === req.user._id.toString())
+            : null;
+
+        if (!isOrderOwner && !isStaff && !chefItem) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this order'
+            });
+        }
+
+        // Chefs only see the entries about their own part of the order
+        const filter = { order: order._id };
+        if (!isOrderOwner && !isStaff) {
+            filter.chefItem = chefItem._id;
+        }
+
+        const transactions = await PaymentTransaction.find(filter).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            ...(isOrderOwner || isStaff ? summarizePayments(order) : {}),
+            count: transactions.length,
+            transactions
+        });
+    } catch (err) {
+        console.error('Get order payments error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching payments'
+        });
+    }
+};
+
+// @route   POST /api/orders/:id/refunds
+// @desc    Refund an order in full or in part (optionally for one chef's part)
+// @access  Private (orders:refund)
+exports.refundOrder = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        let chefItem = null;
+        if (req.body.chefItemId) {
+            chefItem = order.chefItems.id(req.body.chefItemId);
+
+            if (!chefItem) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'This part of the order was not found'
+                });
+            }
+        }
+
+        // Check against the ledger, which may be ahead of the order
+        await syncPaymentTotals(order);
+
+        // Without an amount, everything still held is refunded
+        const amount = req.body.amount !== undefined ? Number(req.body.amount) : getRefundableAmount(order);
+        const rejection = checkRefund(order, amount);
+
+        if (rejection) {
+            return res.status(rejection.status).json({
+                success: false,
+                message: rejection.message
+            });
+        }
+
+        const transaction = await issueRefund(order, amount, {
+            chefItem,
+            role: 'admin',
+            actor: req.actor._id,
+            reason: req.body.reason
+        });
+        // The money has moved; bring the totals in line even if the order changed meanwhile
+        const savedOrder = await order.saveWithRetry(syncPaymentTotals) || order;
+
+        await recordAudit(req, {
+            action: 'order.refunded',
+            target: order.user,
+            outcome: transaction.status === 'failed' ? 'failure' : 'success',
+            metadata: {
+                orderId: order._id,
+                transactionId: transaction._id,
+                type: transaction.type,
+                amount: transaction.amount,
+                chefItemId: chefItem ? chefItem._id : null,
+                reason: transaction.reason
+            }
+        });
+
+        if (transaction.status === 'failed') {
+            return res.status(502).json({
+                success: false,
+                message: 'The payment provider could not process the refund. Please try again later.',
+                transaction,
+                ...summarizePayments(savedOrder)
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: transaction.type === 'refund' ? 'Order refunded' : 'Order partially refunded',
+            transaction,
+            ...summarizePayments(savedOrder)
+        });
+    } catch (err) {
+        console.error('Refund order error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refunding order'
+        });
+    }
+};
+
+// @route   POST /api/orders/:id/adjustments
+// @desc    Correct the amount recorded as paid for an order
+// @access  Private (orders:refund)
+exports.adjustOrderPayment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const amount = Number(req.body.amount);
+
+        // Check against the ledger, which may be ahead of the order
+        await syncPaymentTotals(order);
+        if (order.amountPaid + amount < order.amountRefunded) {
+            return res.status(400).json({
+                success: false,
+                message: 'The amount paid cannot be lowered below what has already been refunded'
+            });
+        }
+
+        const transaction = await recordAdjustment(order, amount, {
+            role: 'admin',
+            actor: req.actor._id,
+            reason: req.body.reason
+        });
+        // Bring the totals in line with the ledger even if the order changed meanwhile
+        const savedOrder = await order.saveWithRetry(syncPaymentTotals) || order;
+
+        await recordAudit(req, {
+            action: 'order.payment_adjusted',
+            target: order.user,
+            metadata: {
+                orderId: order._id,
+                transactionId: transaction._id,
+                amount: transaction.amount,
+                reason: transaction.reason
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment adjusted',
+            transaction,
+            ...summarizePayments(savedOrder)
+        });
+    } catch (err) {
+        console.error('Adjust order payment error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adjusting payment'
+        });
+    }
+};
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive payment results from the payment provider
+// @access  Public (signed with the shared webhook secret)
+exports.handleWebhook = async (req, res) => {
+    let verified = false;
+    try {
+        verified = req.params.provider === config.payments.provider &&
+            Buffer.isBuffer(req.body) &&
+            verifyWebhookSignature(req.body, req.get(SIGNATURE_HEADER));
+    } catch (signatureError) {
+        console.error('Webhook signature error:', signatureError.message);
+    }
+
+    if (!verified) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid webhook signature'
+        });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(req.body.toString('utf8'));
+    } catch (parseError) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid webhook payload'
+        });
+    }
+
+    try {
+        const data = event.data || {};
+
+        switch (event.type) {
+            case 'payment_intent.succeeded':
+            case 'payment_intent.payment_failed': {
+                // Unknown payments are acknowledged too, so the provider stops retrying
+                const loadedOrder = await Order.findOne({ 'payment.intentId': data.intentId });
+                if (!loadedOrder) break;
+
+                // Settle the payment first, again on a fresh copy when a cancellation
+                // or refund saved the order in the meantime
+                let wasVisibleToChefs = false;
+                let order = await loadedOrder.saveWithRetry(async (current) => {
+                    wasVisibleToChefs = current.isVisibleToChefs();
+                    await applyPaymentIntent(current, {
+                        id: data.intentId,
+                        status: event.type === 'payment_intent.succeeded' ? 'succeeded' : 'failed',
+                        failureReason: data.failureReason,
+                        amount: data.amount
+                    });
+                });
+                if (!order) break;
+
+                // Then refund anything cancelled while the payment was pending; an order
+                // cancelled because the payment failed gives its portions and slot back
+                order = await settleOrder(order, { role: 'system' });
+
+                emitToUser(order.user, 'orderPaymentUpdated', {
+                    orderId: order._id,
+                    paymentStatus: order.paymentStatus,
+                    status: order.status
+                });
+                // Chefs hear about the order once it is paid
+                if (!wasVisibleToChefs && order.isVisibleToChefs()) {
+                    notifyStatusChange(order);
+                }
+                break;
+            }
+            case 'refund.succeeded':
+            case 'refund.failed':
+                await settleRefund(data.refundId, event.type === 'refund.succeeded');
+                break;
+            default:
+                console.log(`Ignoring payment webhook ${event.type}`);
+        }
+
+        res.json({
+            success: true,
+            received: true
+        });
+    } catch (err) {
+        // A 500 makes the provider deliver the event again later
+        console.error('Payment webhook error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing webhook'
+        });
+    }
+};
@@ -0,0 +1,178 @@
+// controllers/phone.controller.js
+const User = require('../models/user.model');
+const config = require('../config');
+const { validationResult } = require('express-validator');
+const { sendSms } = require('../utils/sms');
+const { normalizePhoneNumber, maskPhoneNumber } = require('../utils/phone');
+const { recordAudit } = require('../utils/audit');
+
+// Text a fresh verification code to the user's current phone number
+const sendVerificationCode = async (user) => {
+    const code = user.generatePhoneOtp('verify_phone');
+    await user.save();
+
+    await sendSms({
+        to: user.phoneNumber,
+        body: `Your ${config.smtp.fromName || 'Food Hub'} verification code is ${code}. It expires in ${Math.round(config.sms.otpExpiresIn / 60000)} minutes.`
+    });
+};
+
+// @route   POST /api/users/me/phone
+// @desc    Set (or change) the phone number and text a verification code
+// @access  Private
+exports.setPhoneNumber = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+
+        if (!phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number must be in international format, e.g. +9779841234567'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        // Moving SMS 2FA to another number needs the password
+        if (user.smsTwoFactorEnabled && user.phoneNumber !== phoneNumber) {
+            const isMatch = await user.comparePassword(req.body.password || '');
+            if (!isMatch) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password is required to change the phone number used for 2FA'
+                });
+            }
+        }
+
+        if (user.phoneNumber !== phoneNumber) {
+            user.phoneNumber = phoneNumber;
+            user.isPhoneVerified = false;
+            user.smsTwoFactorEnabled = false;
+        } else if (user.isPhoneVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'This phone number is already verified'
+            });
+        }
+
+        if (!user.canResendPhoneOtp()) {
+            await user.save();
+            return res.status(429).json({
+                success: false,
+                message: 'A code was sent recently. Please wait a minute before requesting another.'
+            });
+        }
+
+        await sendVerificationCode(user);
+
+        res.json({
+            success: true,
+            message: `Verification code sent to ${maskPhoneNumber(phoneNumber)}`,
+            phoneNumber
+        });
+    } catch (err) {
+        console.error('Set phone number error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating phone number'
+        });
+    }
+};
+
+// @route   POST /api/users/me/phone/resend
+// @desc    Text a new verification code
+// @access  Private
+exports.resendPhoneCode = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add a phone number first'
+            });
+        }
+
+        if (user.isPhoneVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number is already verified'
+            });
+        }
+
+        if (!user.canResendPhoneOtp()) {
+            return res.status(429).json({
+                success: false,
+                message: 'A code was sent recently. Please wait a minute before requesting another.'
+            });
+        }
+
+        await sendVerificationCode(user);
+
+        res.json({
+            success: true,
+            message: `Verification code sent to ${maskPhoneNumber(user.phoneNumber)}`
+        });
+    } catch (err) {
+        console.error('Resend phone code error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending verification code'
+        });
+    }
+};
+
+// @route   POST /api/users/me/phone/verify
+// @desc    Confirm the phone number with the texted code
+// @access  Private
+exports.verifyPhoneNumber = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        const isValid = user.verifyPhoneOtp(req.body.code, 'verify_phone');
+
+        if (!isValid) {
+            await user.save(); // Persist the failed attempt count
+            return res.status(400).json({
+                success: false,
+                message: 'Verification code is invalid or has expired'
+            });
+        }
+
+        user.isPhoneVerified = true;
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'phone.verified',
+            metadata: { phoneNumber: maskPhoneNumber(user.phoneNumber) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Phone number verified successfully',
+            phoneNumber: user.phoneNumber
+        });
+    } catch (err) {
+        console.error('Verify phone number error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying phone number'
+        });
+    }
+};
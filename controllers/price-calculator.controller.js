@@ -1,6 +1,7 @@
 // controllers/price-calculator.controller.js
 const Product = require('../models/product.model');
 const { validationResult } = require('express-validator');
+const { quoteDeliveries, resolveDeliveryLocation } = require('../utils/delivery-zones');
 
 /**
  * Calculate price for a product with selected condiments
@@ -114,7 +115,8 @@ exports.calculatePrice = async (req, res) => {
  * Calculate cart totals
  * 
  * @route   POST /api/calculate-cart
- * @desc    Calculate the totals for cart items
+ * @desc    Calculate the totals for cart items, with the chefs' delivery fees
+ *          when a deliveryAddress (or deliveryLocation) is given
  * @access  Public
  */
 exports.calculateCart = async (req, res) => {
@@ -127,7 +129,7 @@ exports.calculateCart = async (req, res) => {
     }
 
     try {
-        const { items } = req.body;
+        const { items, deliveryAddress, deliveryLocation } = req.body;
         
         if (!items || !Array.isArray(items) || items.length === 0) {
             return res.status(400).json({
@@ -140,6 +142,7 @@ exports.calculateCart = async (req, res) => {
         
         // Process each item
         const processedItems = [];
+        const chefIds = new Set();
         let subtotal = 0;
         
         for (const item of items) {
@@ -192,6 +195,7 @@ exports.calculateCart = async (req, res) => {
             
             // Add to the subtotal
             subtotal += itemTotal;
+            chefIds.add(product.chef.toString());
             
             // Add to processed items
             processedItems.push({
@@ -214,10 +218,41 @@ exports.calculateCart = async (req, res) => {
         // Calculate service fee
         const serviceFee = Math.round(subtotal * 0.1 * 100) / 100;
         
+        // Each chef charges for delivering their items, if they deliver there at all
+        let deliveryFee = 0;
+        let deliveries = null;
+        if (deliveryAddress || deliveryLocation) {
+            let location;
+            try {
+                location = await resolveDeliveryLocation(deliveryAddress || '', deliveryLocation);
+            } catch (geocodingError) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'Addresses cannot be looked up right now. Please pick your location on the map or try again later.'
+                });
+            }
+
+            if (!location) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'We could not find this delivery address. Please add the area and city, or pick your location on the map.'
+                });
+            }
+            
+            const quotes = await quoteDeliveries([...chefIds], location.coordinates);
+            deliveries = [...quotes].map(([chef, quote]) => ({
+                chef,
+                deliverable: !!quote,
+                ...(quote || {})
+            }));
+            deliveryFee = deliveries.reduce((sum, delivery) => sum + (delivery.fee || 0), 0);
+            deliveryFee = Math.round(deliveryFee * 100) / 100;
+        }
+        
         // Calculate total
-        const total = Math.round((subtotal + serviceFee) * 100) / 100;
+        const total = Math.round((subtotal + serviceFee + deliveryFee) * 100) / 100;
         
-        console.log(`Calculation complete - Subtotal: ${subtotal}, Service fee: ${serviceFee}, Total: ${total}`);
+        console.log(`Calculation complete - Subtotal: ${subtotal}, Service fee: ${serviceFee}, Delivery fee: ${deliveryFee}, Total: ${total}`);
         
         return res.json({
             success: true,
@@ -225,6 +260,11 @@ exports.calculateCart = async (req, res) => {
             count: processedItems.length,
             subtotal,
             serviceFee,
+            deliveryFee,
+            // Per chef; null without an address
+            deliveries,
+            // Whether every chef delivers to the address
+            deliverable: deliveries ? deliveries.every(delivery => delivery.deliverable) : null,
             total
         });
     } catch (err) {
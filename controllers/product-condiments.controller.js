@@ -1,6 +1,7 @@
 const Product = require('../models/product.model');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * @route   GET /api/products/:id/condiments
@@ -66,7 +67,7 @@ exports.addProductCondiment = async (req, res) => {
         }
         
         // Check ownership
-        if (product.chef.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (product.chef.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'products:manage_any')) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only update your own products'
@@ -128,7 +129,7 @@ exports.updateProductCondiment = async (req, res) => {
         }
         
         // Check ownership
-        if (product.chef.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (product.chef.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'products:manage_any')) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only update your own products'
@@ -185,7 +186,7 @@ exports.deleteProductCondiment = async (req, res) => {
         }
         
         // Check ownership
-        if (product.chef.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (product.chef.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'products:manage_any')) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only update your own products'
@@ -1,6 +1,8 @@
 const Product = require('../models/product.model');
+const User = require('../models/user.model');
 const { validationResult } = require('express-validator');
 const { deleteFile } = require('../utils/file-utils');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * @route   POST /api/products
@@ -63,7 +65,8 @@ exports.getAllProducts = async (req, res) => {
 
         // Build filter query
         const filterQuery = {
-            isAvailable: true // Only show available products by default
+            ...Product.availableQuery(), // Only show available products (not sold out) by default
+            chef: { $nin: await User.getSuspendedUserIds() } // Nor those of suspended chefs
         };
 
         if (category) filterQuery.category = category;
@@ -140,7 +143,8 @@ exports.searchProducts = async (req, res) => {
         const searchRegex = new RegExp(q, 'i');
         
         const products = await Product.find({
-            isAvailable: true,
+            ...Product.availableQuery(),
+            chef: { $nin: await User.getSuspendedUserIds() },
             $or: [
                 { name: searchRegex },
                 { description: searchRegex },
@@ -170,6 +174,15 @@ exports.searchProducts = async (req, res) => {
  */
 exports.getChefProducts = async (req, res) => {
     try {
+        // A suspended chef's menu is hidden as if the chef didn't exist
+        const suspendedChef = await User.exists({ _id: req.params.id, ...User.suspendedQuery() });
+        if (suspendedChef) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chef not found'
+            });
+        }
+
         const products = await Product.find({ chef: req.params.id })
             .sort({ createdAt: -1 });
         
@@ -205,7 +218,7 @@ exports.getProductById = async (req, res) => {
         const product = await Product.findById(req.params.id)
             .populate('chef', 'name profileImage biography');
         
-        if (!product) {
+        if (!product || await User.exists({ _id: product.chef, ...User.suspendedQuery() })) {
             return res.status(404).json({
                 success: false,
                 message: 'Product not found'
@@ -258,7 +271,7 @@ exports.updateProduct = async (req, res) => {
         }
         
         // Check ownership
-        if (product.chef.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (product.chef.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'products:manage_any')) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only update your own products'
@@ -316,7 +329,7 @@ exports.deleteProduct = async (req, res) => {
         }
         
         // Check ownership
-        if (product.chef.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (product.chef.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'products:manage_any')) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only delete your own products'
@@ -3,6 +3,7 @@ const Review = require('../models/review.model');
 const Order = require('../models/order.model');
 const Product = require('../models/product.model');
 const { validationResult } = require('express-validator');
+const { hasPermission } = require('../utils/permissions');
 
 // @route   POST /api/reviews
 // @desc    Create a new review
@@ -322,7 +323,7 @@ exports.updateReview = async (req, res) => {
         }
 
         // Check ownership
-        if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (review.user.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'reviews:moderate')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this review'
@@ -389,7 +390,7 @@ exports.deleteReview = async (req, res) => {
         }
 
         // Check ownership
-        if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (review.user.toString() !== req.user._id.toString() && !hasPermission(req.permissions, 'reviews:moderate')) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to delete this review'
@@ -0,0 +1,253 @@
+// controllers/role.controller.js
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const { validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
+const {
+    PERMISSIONS,
+    canGrant,
+    findUnknownPermissions,
+    invalidateRoleCache
+} = require('../utils/permissions');
+
+// Check a requested permission list; returns an error message or null
+const checkPermissionList = (req, permissions) => {
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+        return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+
+    if (!canGrant(req.permissions, permissions)) {
+        return 'You cannot grant permissions you do not have';
+    }
+
+    return null;
+};
+
+// @route   GET /api/admin/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles:manage)
+exports.getPermissions = async (req, res) => {
+    res.json({
+        success: true,
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+};
+
+// @route   GET /api/admin/roles
+// @desc    List roles with how many users hold each
+// @access  Private (roles:manage)
+exports.getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+        const counts = await User.aggregate([
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]);
+        const countByRole = Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+
+        res.json({
+            success: true,
+            count: roles.length,
+            roles: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 }))
+        });
+    } catch (err) {
+        console.error('Get roles error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching roles'
+        });
+    }
+};
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Private (roles:manage)
+exports.createRole = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { name, displayName, description } = req.body;
+        const permissions = [...new Set(req.body.permissions || [])];
+
+        const permissionError = checkPermissionList(req, permissions);
+        if (permissionError) {
+            return res.status(400).json({
+                success: false,
+                message: permissionError
+            });
+        }
+
+        if (await Role.exists({ name: name.toLowerCase() })) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            displayName,
+            description,
+            permissions
+        });
+
+        await recordAudit(req, {
+            action: 'role.created',
+            target: null,
+            metadata: { role: role.name, permissions }
+        });
+
+        res.status(201).json({
+            success: true,
+            role
+        });
+    } catch (err) {
+        console.error('Create role error:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating role'
+        });
+    }
+};
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's display name, description or permissions
+// @access  Private (roles:manage)
+exports.updateRole = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const role = await Role.findOne({ name: req.params.name });
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        const previousPermissions = [...role.permissions];
+
+        if (req.body.permissions) {
+            if (role.name === 'admin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The admin role always has every permission'
+                });
+            }
+
+            const permissions = [...new Set(req.body.permissions)];
+
+            // Both the permissions added and the ones removed must be within the editor's own
+            const permissionError = checkPermissionList(req, permissions) ||
+                (canGrant(req.permissions, previousPermissions) ? null : 'You cannot edit a role with permissions you do not have');
+            if (permissionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: permissionError
+                });
+            }
+
+            role.permissions = permissions;
+        }
+
+        if (req.body.displayName) role.displayName = req.body.displayName;
+        if (req.body.description !== undefined) role.description = req.body.description;
+
+        await role.save();
+        invalidateRoleCache(role.name);
+
+        await recordAudit(req, {
+            action: 'role.updated',
+            target: null,
+            metadata: {
+                role: role.name,
+                from: previousPermissions,
+                to: role.permissions
+            }
+        });
+
+        res.json({
+            success: true,
+            role
+        });
+    } catch (err) {
+        console.error('Update role error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating role'
+        });
+    }
+};
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that nobody holds
+// @access  Private (roles:manage)
+exports.deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findOne({ name: req.params.name });
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `This role is still assigned to ${userCount} user(s)`
+            });
+        }
+
+        await Role.deleteOne({ _id: role._id });
+        invalidateRoleCache(role.name);
+
+        await recordAudit(req, {
+            action: 'role.deleted',
+            target: null,
+            metadata: { role: role.name, permissions: role.permissions }
+        });
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (err) {
+        console.error('Delete role error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting role'
+        });
+    }
+};
@@ -0,0 +1,108 @@
+// controllers/session.controller.js
+const Session = require('../models/session.model');
+
+// Shape a session for the device list
+const formatSession = (session, currentSessionId) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    // Support staff acting as the user
+    impersonated: !!session.impersonatedBy,
+    current: session._id.toString() === currentSessionId
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the logged-in devices of the current user
+// @access  Private
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort('-lastSeenAt');
+
+        const currentSessionId = req.authSession._id.toString();
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions.map(session => formatSession(session, currentSessionId))
+        });
+    } catch (err) {
+        console.error('Get sessions error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching sessions'
+        });
+    }
+};
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out a single device
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!session || !session.isActive()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await session.revoke('user_revoked');
+
+        res.json({
+            success: true,
+            message: 'Session has been logged out',
+            current: session._id.toString() === req.authSession._id.toString()
+        });
+    } catch (err) {
+        console.error('Revoke session error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking session'
+        });
+    }
+};
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere except the current device
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+    try {
+        const result = await Session.revokeAllForUser(
+            req.user._id,
+            'user_revoked_others',
+            req.authSession._id
+        );
+
+        res.json({
+            success: true,
+            message: 'Logged out of all other devices',
+            revokedCount: result.nModified
+        });
+    } catch (err) {
+        console.error('Revoke other sessions error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking sessions'
+        });
+    }
+};
@@ -0,0 +1,348 @@
+// controllers/suspension.controller.js
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const config = require('../config');
+const { validationResult } = require('express-validator');
+const sendEmail = require('../utils/email');
+const emailTemplates = require('../utils/email-templates');
+const { recordAudit } = require('../utils/audit');
+const { getRolePermissions, canGrant, ALL_PERMISSIONS } = require('../utils/permissions');
+const { disconnectUser } = require('../socket');
+
+// Send a suspension email without failing the request
+const sendSuspensionEmail = async (user, emailTemplate) => {
+    try {
+        await sendEmail({
+            email: user.email,
+            subject: emailTemplate.subject,
+            message: emailTemplate.text,
+            html: emailTemplate.html
+        });
+    } catch (emailError) {
+        console.error('Failed to send suspension email:', emailError.message);
+    }
+};
+
+// Return the account to normal, keeping the history in the audit log
+const clearSuspension = (user) => {
+    user.suspension.status = 'active';
+    user.suspension.until = null;
+};
+
+// @route   GET /api/admin/suspensions
+// @desc    List suspended and banned accounts, accounts with pending appeals first
+// @access  Private (users:suspend)
+exports.getSuspendedUsers = async (req, res) => {
+    try {
+        const users = await User.find(User.suspendedQuery())
+            .select('fullName email role suspension +suspension.notes')
+            .populate('suspension.suspendedBy', 'fullName email')
+            .sort({ 'suspension.suspendedAt': -1 });
+
+        // Pending appeals need a decision, so they go first
+        users.sort((a, b) => (b.suspension.appeal.status === 'pending') - (a.suspension.appeal.status === 'pending'));
+
+        res.json({
+            success: true,
+            count: users.length,
+            users: users.map(user => ({
+                _id: user._id,
+                fullName: user.fullName,
+                email: user.email,
+                role: user.role,
+                suspension: user.suspension
+            }))
+        });
+    } catch (err) {
+        console.error('Get suspended users error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching suspended users'
+        });
+    }
+};
+
+// @route   POST /api/admin/users/:id/suspension
+// @desc    Suspend (optionally until a date) or ban a user
+// @access  Private (users:suspend)
+exports.suspendUser = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user || user.isDeletedUserPlaceholder) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user._id.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot suspend yourself'
+            });
+        }
+
+        // Staff can't lock out someone with full access or with rights they lack
+        const userPermissions = await getRolePermissions(user.role);
+        if (userPermissions.includes(ALL_PERMISSIONS) || !canGrant(req.permissions, userPermissions)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot suspend a user with more privileges than you'
+            });
+        }
+
+        const banned = req.body.status === 'banned';
+        const until = !banned && req.body.until ? new Date(req.body.until) : null;
+
+        if (until && until <= Date.now()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The suspension must end in the future'
+            });
+        }
+
+        user.suspension = {
+            status: banned ? 'banned' : 'suspended',
+            reason: req.body.reason,
+            notes: req.body.notes || null,
+            until,
+            suspendedAt: new Date(),
+            suspendedBy: req.user._id,
+            appeal: {}
+        };
+        await user.save();
+
+        // Sign the user out everywhere, including live chat connections
+        await Session.revokeAllForUser(user._id, banned ? 'account_banned' : 'account_suspended');
+        disconnectUser(user._id);
+
+        await recordAudit(req, {
+            action: banned ? 'account.banned' : 'account.suspended',
+            target: user._id,
+            metadata: { reason: user.suspension.reason, until }
+        });
+
+        await sendSuspensionEmail(user, emailTemplates.accountSuspended({
+            fullName: user.fullName,
+            banned,
+            reason: user.suspension.reason,
+            until: until ? until.toUTCString() : null,
+            loginUrl: `${config.clientUrl}/login`
+        }));
+
+        res.json({
+            success: true,
+            message: banned ? 'User has been banned' : 'User has been suspended',
+            suspension: user.getSuspensionSummary()
+        });
+    } catch (err) {
+        console.error('Suspend user error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while suspending user'
+        });
+    }
+};
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a suspension or ban
+// @access  Private (users:suspend)
+exports.liftSuspension = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user || !user.isSuspended()) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active suspension found for this user'
+            });
+        }
+
+        clearSuspension(user);
+        if (user.suspension.appeal.status === 'pending') {
+            user.suspension.appeal.status = 'accepted';
+            user.suspension.appeal.resolvedAt = new Date();
+            user.suspension.appeal.resolvedBy = req.user._id;
+        }
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'account.suspension_lifted',
+            target: user._id,
+            metadata: { note: req.body.note || null }
+        });
+
+        await sendSuspensionEmail(user, emailTemplates.accountSuspensionLifted({
+            fullName: user.fullName,
+            loginUrl: `${config.clientUrl}/login`
+        }));
+
+        res.json({
+            success: true,
+            message: 'Suspension lifted'
+        });
+    } catch (err) {
+        console.error('Lift suspension error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while lifting suspension'
+        });
+    }
+};
+
+// @route   PUT /api/admin/users/:id/suspension/appeal
+// @desc    Accept (lifting the suspension) or reject a user's appeal
+// @access  Private (users:suspend)
+exports.resolveAppeal = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user || !user.isSuspended() || user.suspension.appeal.status !== 'pending') {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending appeal found for this user'
+            });
+        }
+
+        const accepted = req.body.decision === 'accepted';
+
+        user.suspension.appeal.status = accepted ? 'accepted' : 'rejected';
+        user.suspension.appeal.response = req.body.response || null;
+        user.suspension.appeal.resolvedAt = new Date();
+        user.suspension.appeal.resolvedBy = req.user._id;
+        if (accepted) {
+            clearSuspension(user);
+        }
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'account.appeal_resolved',
+            target: user._id,
+            metadata: { decision: user.suspension.appeal.status }
+        });
+
+        await sendSuspensionEmail(user, emailTemplates.suspensionAppealDecision({
+            fullName: user.fullName,
+            accepted,
+            response: user.suspension.appeal.response
+        }));
+
+        res.json({
+            success: true,
+            message: accepted ? 'Appeal accepted and suspension lifted' : 'Appeal rejected'
+        });
+    } catch (err) {
+        console.error('Resolve appeal error:', err.message);
+
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resolving appeal'
+        });
+    }
+};
+
+// @route   GET /api/users/me/suspension
+// @desc    Suspension details of the current user
+// @access  Private (also while suspended)
+exports.getMySuspension = async (req, res) => {
+    res.json({
+        success: true,
+        suspended: req.user.isSuspended(),
+        suspension: req.user.getSuspensionSummary()
+    });
+};
+
+// @route   POST /api/users/me/suspension/appeal
+// @desc    Appeal the current suspension or ban (once per suspension)
+// @access  Private (also while suspended)
+exports.submitAppeal = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user.isSuspended()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account is not suspended'
+            });
+        }
+
+        if (user.suspension.appeal.status) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already appealed this suspension',
+                suspension: user.getSuspensionSummary()
+            });
+        }
+
+        user.suspension.appeal = {
+            message: req.body.message,
+            submittedAt: new Date(),
+            status: 'pending'
+        };
+        await user.save();
+
+        await recordAudit(req, {
+            action: 'account.appeal_submitted'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Your appeal has been sent. We will email you once it has been reviewed.',
+            suspension: user.getSuspensionSummary()
+        });
+    } catch (err) {
+        console.error('Submit appeal error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting appeal'
+        });
+    }
+};
@@ -1,29 +1,29 @@
 // controllers/twofactor.controller.js
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { issueAuthTokens, setRefreshCookie } = require('../utils/token');
+const {
+    checkLoginAllowed,
+    sendLoginRejection,
+    recordFailedLogin,
+    recordSuccessfulLogin
+} = require('../utils/login-throttle');
+const { recordAudit } = require('../utils/audit');
+const { sendSms } = require('../utils/sms');
 const config = require('../config');
 
-// Function to generate JWT token (reusing from auth controller)
-const generateToken = (userId) => {
-    // console.log('Generating token with secret key:', config.jwtSecretKey.substring(0, 5) + '...');
-    return jwt.sign(
-        { id: userId },
-        config.jwtSecretKey,  // Use the same key as in auth.js
-        { expiresIn: config.jwtExpiresIn }
-    );
-};
+const CHALLENGE_EXPIRED_MESSAGE = 'Your sign-in has expired. Please sign in again.';
 
-// Generate backup codes for 2FA recovery
+// Generate plain backup codes for 2FA recovery (only their hashes are stored)
 const generateBackupCodes = (count = 10) => {
     const codes = [];
     for (let i = 0; i < count; i++) {
         // Generate a random 8-character backup code (alphanumeric)
-        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
-        codes.push({ code, used: false });
+        codes.push(crypto.randomBytes(4).toString('hex').toUpperCase());
     }
     return codes;
 };
@@ -50,8 +50,8 @@ exports.setup2FA = async (req, res) => {
             name: `HomemadeApp:${user.email}` // Customize with your app name
         });
         
-        // Save the temp secret to the user
-        user.twoFactorTempSecret = secret.base32;
+        // Save the temp secret (encrypted) to the user
+        user.setTwoFactorTempSecret(secret.base32);
         await user.save();
         
         // Generate QR code image data as data URL
@@ -100,7 +100,7 @@ exports.verify2FA = async (req, res) => {
         
         // Verify the token against the temp secret
         const verified = speakeasy.totp.verify({
-            secret: user.twoFactorTempSecret,
+            secret: user.getTwoFactorTempSecret(),
             encoding: 'base32',
             token,
             window: 1 // Allow 1 period before and after for clock drift
@@ -120,16 +120,16 @@ exports.verify2FA = async (req, res) => {
         user.twoFactorEnabled = true;
         user.twoFactorSecret = user.twoFactorTempSecret;
         user.twoFactorTempSecret = null;
-        user.twoFactorBackupCodes = backupCodes;
+        await user.setBackupCodes(backupCodes);
         await user.save();
         
-        // Return backup codes to user
-        const plainBackupCodes = backupCodes.map(code => code.code);
+        await recordAudit(req, { action: '2fa.enabled', metadata: { method: 'totp' } });
         
+        // Return the plain backup codes to the user - this is the only time they are shown
         res.json({
             success: true,
             message: '2FA has been enabled successfully',
-            backupCodes: plainBackupCodes
+            backupCodes
         });
     } catch (err) {
         console.error('2FA verification error:', err.message);
@@ -146,82 +146,124 @@ exports.verify2FA = async (req, res) => {
  * @access  Public
  */
 exports.validate2FA = async (req, res) => {
-    const { email, token, backupCode } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    const { challengeToken, token, backupCode, smsCode } = req.body;
+    
+    // Which second factor is being used
+    const method = token ? 'totp' : backupCode ? 'backup_code' : smsCode ? 'sms' : null;
 
     try {
-        // Find user by email
-        const user = await User.findOne({ email });
+        // The challenge proves the first login step passed
+        const user = await User.findByTwoFactorChallenge(challengeToken);
         
         if (!user) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: CHALLENGE_EXPIRED_MESSAGE
             });
         }
         
-        if (!user.twoFactorEnabled) {
+        if (!user.hasTwoFactor()) {
             return res.status(400).json({
                 success: false,
                 message: '2FA is not enabled for this account'
             });
         }
         
+        if (!user.getTwoFactorMethods().includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide a code for one of your enabled 2FA methods',
+                twoFactorMethods: user.getTwoFactorMethods()
+            });
+        }
+        
+        // 2FA attempts share the per-account throttle with password attempts
+        const rejection = await checkLoginAllowed(user);
+        if (rejection) {
+            await recordAudit(req, {
+                action: 'auth.login_failed',
+                actor: null,
+                target: user._id,
+                outcome: 'blocked',
+                metadata: { method, status: rejection.status }
+            });
+            return sendLoginRejection(res, rejection);
+        }
+        
         let isValid = false;
 
         // Check if using a token or backup code
         if (token) {
-            console.log('Validating token:', token);
-            console.log('User secret:', user.twoFactorSecret);
-            
-            // Try with different window sizes and make sure token is a string
+            // Make sure token is a string without whitespace
             try {
-                // More permissive verification (larger window)
                 isValid = speakeasy.totp.verify({
-                    secret: user.twoFactorSecret,
+                    secret: user.getTwoFactorSecret(),
                     encoding: 'base32',
                     token: String(token).replace(/\s/g, ''),
-                    window: 4  // Allow for more time drift (±2 minutes)
+                    window: 1 // Allow 1 period before and after for clock drift
                 });
-                
-                console.log('Token validation result:', isValid);
             } catch (verifyError) {
-                console.error('Token verification error:', verifyError);
+                console.error('Token verification error:', verifyError.message);
             }
         } else if (backupCode) {
-            console.log('Checking backup code:', backupCode);
-            console.log('User backup codes:', JSON.stringify(user.twoFactorBackupCodes));
-            
             // More defensive backup code check
             if (Array.isArray(user.twoFactorBackupCodes)) {
                 const normalizedBackupCode = String(backupCode).toUpperCase().replace(/\s/g, '');
                 
-                const backupCodeIndex = user.twoFactorBackupCodes.findIndex(
-                    code => code && 
-                    code.code === normalizedBackupCode && 
-                    code.used === false
-                );
-                
-                console.log('Backup code index found:', backupCodeIndex);
-                
-                if (backupCodeIndex >= 0) {
+                // Compares against the stored hashes and marks the matching code as used
+                if (await user.useBackupCode(normalizedBackupCode)) {
                     isValid = true;
-                    // Mark backup code as used
-                    user.twoFactorBackupCodes[backupCodeIndex].used = true;
                     await user.save();
+                    
+                    await recordAudit(req, {
+                        action: '2fa.backup_code_used',
+                        actor: user._id,
+                        metadata: {
+                            remainingCodes: user.twoFactorBackupCodes.filter(code => !code.used).length
+                        }
+                    });
                 }
             }
+        } else if (smsCode) {
+            isValid = user.verifyPhoneOtp(smsCode, 'two_factor');
+            await user.save(); // Consume the code or persist the failed attempt
         }
         
         if (!isValid) {
+            await recordFailedLogin(user, req, method);
             return res.status(400).json({
                 success: false,
                 message: 'Invalid 2FA token or backup code'
             });
         }
         
+        // The challenge is single use
+        if (!await user.consumeTwoFactorChallenge()) {
+            return res.status(400).json({
+                success: false,
+                message: CHALLENGE_EXPIRED_MESSAGE
+            });
+        }
+        
         // If we got here, validation succeeded
-        // Generate JWT token using the consistent generateToken function
-        const jwtToken = generateToken(user._id);
+        await recordSuccessfulLogin(user);
+        await recordAudit(req, {
+            action: 'auth.login',
+            actor: user._id,
+            metadata: { method }
+        });
+        
+        // Start a new session and issue its tokens
+        const { token: jwtToken, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
         
         // Return user data (excluding password)
         const userData = await User.findById(user._id).select('-password');
@@ -229,10 +271,11 @@ exports.validate2FA = async (req, res) => {
         res.json({
             success: true,
             token: jwtToken,
+            refreshToken,
             user: userData
         });
     } catch (err) {
-        console.error('2FA validation detailed error:', err);
+        console.error('2FA validation detailed error:', err.message);
         res.status(500).json({
             success: false,
             message: 'Server error during 2FA validation',
@@ -283,9 +326,18 @@ exports.disable2FA = async (req, res) => {
         user.twoFactorBackupCodes = [];
         await user.save();
         
+        await recordAudit(req, { action: '2fa.disabled', metadata: { method: 'totp' } });
+        
+        // Log out every session (including this one) and hand back fresh tokens
+        await Session.revokeAllForUser(user._id, '2fa_disabled');
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
+        
         res.json({
             success: true,
-            message: '2FA has been disabled successfully'
+            message: '2FA has been disabled successfully',
+            token,
+            refreshToken
         });
     } catch (err) {
         console.error('2FA disable error:', err.message);
@@ -334,16 +386,16 @@ exports.getNewBackupCodes = async (req, res) => {
         
         // Generate new backup codes
         const backupCodes = generateBackupCodes();
-        user.twoFactorBackupCodes = backupCodes;
+        await user.setBackupCodes(backupCodes);
         await user.save();
         
-        // Return plain backup codes to user
-        const plainBackupCodes = backupCodes.map(code => code.code);
+        await recordAudit(req, { action: '2fa.backup_codes_regenerated' });
         
+        // Return plain backup codes to user
         res.json({
             success: true,
             message: 'New backup codes generated',
-            backupCodes: plainBackupCodes
+            backupCodes
         });
     } catch (err) {
         console.error('Generate new backup codes error:', err.message);
@@ -352,4 +404,183 @@ exports.getNewBackupCodes = async (req, res) => {
             message: 'Server error while generating new backup codes'
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Text a login code to users with SMS 2FA enabled
+ * @route   POST /api/auth/2fa/sms/send
+ * @access  Public
+ */
+exports.sendSms2FACode = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+
+    try {
+        // Codes only go out once the first login step passed
+        const user = await User.findByTwoFactorChallenge(req.body.challengeToken);
+        
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: CHALLENGE_EXPIRED_MESSAGE
+            });
+        }
+        
+        if (!user.getTwoFactorMethods().includes('sms')) {
+            return res.status(400).json({
+                success: false,
+                message: 'SMS 2FA is not enabled for this account'
+            });
+        }
+        
+        if (!user.canResendPhoneOtp()) {
+            return res.status(429).json({
+                success: false,
+                message: 'A code was sent recently. Please wait a minute before requesting another.'
+            });
+        }
+        
+        const code = user.generatePhoneOtp('two_factor');
+        await user.save();
+        
+        await sendSms({
+            to: user.phoneNumber,
+            body: `Your ${config.smtp.fromName || 'Food Hub'} login code is ${code}. Never share this code with anyone.`
+        });
+        
+        res.json({
+            success: true,
+            message: 'A code has been sent to your phone'
+        });
+    } catch (err) {
+        console.error('Send SMS 2FA code error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while sending 2FA code'
+        });
+    }
+};
+
+/**
+ * Enable SMS as a second factor
+ * @route   POST /api/auth/2fa/sms/enable
+ * @access  Private
+ */
+exports.enableSms2FA = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+    
+    try {
+        const user = await User.findById(req.user._id);
+        
+        if (!user.phoneNumber || !user.isPhoneVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verify your phone number before enabling SMS 2FA'
+            });
+        }
+        
+        if (user.smsTwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'SMS 2FA is already enabled for this account'
+            });
+        }
+        
+        // Verify password for security
+        const isMatch = await user.comparePassword(req.body.password);
+        
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+        
+        user.smsTwoFactorEnabled = true;
+        await user.save();
+        
+        await recordAudit(req, { action: '2fa.enabled', metadata: { method: 'sms' } });
+        
+        res.json({
+            success: true,
+            message: 'SMS 2FA has been enabled successfully'
+        });
+    } catch (err) {
+        console.error('Enable SMS 2FA error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while enabling SMS 2FA'
+        });
+    }
+};
+
+/**
+ * Disable SMS as a second factor
+ * @route   POST /api/auth/2fa/sms/disable
+ * @access  Private
+ */
+exports.disableSms2FA = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false, 
+            errors: errors.array() 
+        });
+    }
+    
+    try {
+        const user = await User.findById(req.user._id);
+        
+        if (!user.smsTwoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'SMS 2FA is not enabled for this account'
+            });
+        }
+        
+        // Verify password for security
+        const isMatch = await user.comparePassword(req.body.password);
+        
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+        
+        user.smsTwoFactorEnabled = false;
+        user.clearPhoneOtp();
+        await user.save();
+        
+        await recordAudit(req, { action: '2fa.disabled', metadata: { method: 'sms' } });
+        
+        // Log out every session (including this one) and hand back fresh tokens
+        await Session.revokeAllForUser(user._id, '2fa_disabled');
+        const { token, refreshToken } = await issueAuthTokens(user, req);
+        setRefreshCookie(res, refreshToken);
+        
+        res.json({
+            success: true,
+            message: 'SMS 2FA has been disabled successfully',
+            token,
+            refreshToken
+        });
+    } catch (err) {
+        console.error('Disable SMS 2FA error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while disabling SMS 2FA'
+        });
+    }
+};
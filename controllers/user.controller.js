@@ -1,14 +1,38 @@
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { recordAudit } = require('../utils/audit');
+const { redact } = require('../utils/redact');
+const { normalizePhoneNumber } = require('../utils/phone');
 const { validationResult } = require('express-validator');
 const path = require('path');
 const { deleteFile } = require('../utils/file-utils');
+const { deleteUserAccount } = require('../utils/account-data');
+const Role = require('../models/role.model');
+const { getRolePermissions, hasPermission, canGrant } = require('../utils/permissions');
+
+// Check that the current user may move `user` into `roleName`.
+// Returns an error message, or null if the change is allowed.
+const checkRoleAssignment = async (req, user, roleName) => {
+    const role = await Role.findOne({ name: roleName });
+    if (!role) {
+        return 'Invalid role specified';
+    }
+
+    // Nobody can hand out (or take away) more than they hold themselves
+    const currentPermissions = await getRolePermissions(user.role);
+    if (!canGrant(req.permissions, role.permissions) || !canGrant(req.permissions, currentPermissions)) {
+        return 'You cannot assign a role with permissions you do not have';
+    }
+
+    return null;
+};
 
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
+// @desc    Get all users
+// @access  Private (users:read)
 exports.getAllUsers = async (req, res) => {
     try {
-        const users = await User.find().select('-password');
+        const users = await User.find({ isDeletedUserPlaceholder: { $ne: true } }).select('-password');
         
         res.json({
             success: true,
@@ -26,7 +50,7 @@ exports.getAllUsers = async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Admin or own user only)
+// @access  Private (own user or users:read)
 exports.getUserById = async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-password');
@@ -61,7 +85,7 @@ exports.getUserById = async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user profile
-// @access  Private (Admin or own user only)
+// @access  Private (own user or users:manage)
 exports.updateUser = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -74,7 +98,7 @@ exports.updateUser = async (req, res) => {
     try {
         console.log('Update user request:', {
             userId: req.params.id,
-            body: req.body,
+            body: redact(req.body),
             file: req.file ? {
                 filename: req.file.filename,
                 path: req.file.path
@@ -95,7 +119,30 @@ exports.updateUser = async (req, res) => {
         const updateFields = {};
         
         if (req.body.fullName) updateFields.fullName = req.body.fullName;
-        if (req.body.phoneNumber) updateFields.phoneNumber = req.body.phoneNumber;
+        if (req.body.phoneNumber) {
+            const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+            
+            if (!phoneNumber) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Phone number must be in international format, e.g. +9779841234567'
+                });
+            }
+            
+            if (phoneNumber !== user.phoneNumber) {
+                // The number used for SMS 2FA can only be changed through the phone endpoints
+                if (user.smsTwoFactorEnabled) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Use /api/users/me/phone to change the phone number used for 2FA'
+                    });
+                }
+                
+                // A new number has to be verified again
+                updateFields.phoneNumber = phoneNumber;
+                updateFields.isPhoneVerified = false;
+            }
+        }
         
         // Handle profile image
         if (req.file) {
@@ -108,8 +155,15 @@ exports.updateUser = async (req, res) => {
             }
         }
         
-        // Only admins can update user roles
-        if (req.user.role === 'admin' && req.body.role) {
+        // Only staff who manage roles can update user roles
+        if (hasPermission(req.permissions, 'roles:manage') && req.body.role && req.body.role !== user.role) {
+            const roleError = await checkRoleAssignment(req, user, req.body.role);
+            if (roleError) {
+                return res.status(400).json({
+                    success: false,
+                    message: roleError
+                });
+            }
             updateFields.role = req.body.role;
         }
         
@@ -122,6 +176,16 @@ exports.updateUser = async (req, res) => {
             { new: true, runValidators: true }
         ).select('-password');
         
+        // A role change made by an admin logs the user out everywhere
+        if (updateFields.role && updateFields.role !== user.role) {
+            await Session.revokeAllForUser(user._id, 'role_change');
+            await recordAudit(req, {
+                action: 'user.role_changed',
+                target: user._id,
+                metadata: { from: user.role, to: updateFields.role }
+            });
+        }
+        
         res.json({
             success: true,
             user: updatedUser,
@@ -147,13 +211,13 @@ exports.updateUser = async (req, res) => {
 
 // @route   DELETE /api/users/:id
 // @desc    Delete a user
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 exports.deleteUser = async (req, res) => {
     try {
         // Find user by ID
         const user = await User.findById(req.params.id);
         
-        if (!user) {
+        if (!user || user.isDeletedUserPlaceholder) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -172,14 +236,8 @@ exports.deleteUser = async (req, res) => {
             }
         }
         
-        // Delete user's profile image if exists
-        if (user.profileImage) {
-            console.log('Deleting profile image:', user.profileImage);
-            deleteFile(user.profileImage);
-        }
-        
-        // Use deleteOne instead of remove (deprecated)
-        await User.deleteOne({ _id: user._id });
+        // Anonymise orders, reviews and chats, remove uploads and everything else tied to the user
+        await deleteUserAccount(user, { req, reason: 'admin' });
         
         res.json({
             success: true,
@@ -203,30 +261,31 @@ exports.deleteUser = async (req, res) => {
 };
 
 // @route   PUT /api/users/:id/role
-// @desc    Update user role (admin only)
-// @access  Private/Admin
+// @desc    Update user role
+// @access  Private (roles:manage)
 exports.updateUserRole = async (req, res) => {
     try {
         const { role } = req.body;
         
-        // Validate role
-        if (!['user', 'chef', 'admin'].includes(role)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid role specified'
-            });
-        }
-        
         // Find the user
         const user = await User.findById(req.params.id);
         
-        if (!user) {
+        if (!user || user.isDeletedUserPlaceholder) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
             });
         }
         
+        // Validate role
+        const roleError = await checkRoleAssignment(req, user, role);
+        if (roleError) {
+            return res.status(400).json({
+                success: false,
+                message: roleError
+            });
+        }
+        
         // Check if trying to demote the only admin
         if (user.role === 'admin' && role !== 'admin') {
             const adminCount = await User.countDocuments({ role: 'admin' });
@@ -240,9 +299,20 @@ exports.updateUserRole = async (req, res) => {
         }
         
         // Update role
+        const previousRole = user.role;
         user.role = role;
         await user.save();
         
+        // Force the user to log in again with their new privileges
+        if (previousRole !== role) {
+            await Session.revokeAllForUser(user._id, 'role_change');
+            await recordAudit(req, {
+                action: 'user.role_changed',
+                target: user._id,
+                metadata: { from: previousRole, to: role }
+            });
+        }
+        
         res.json({
             success: true,
             user: await User.findById(req.params.id).select('-password')
@@ -262,4 +332,46 @@ exports.updateUserRole = async (req, res) => {
             message: 'Server error during role update'
         });
     }
-};
\ No newline at end of file
+};
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (users:manage)
+exports.unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        await user.resetLoginAttempts();
+        
+        await recordAudit(req, {
+            action: 'account.unlocked',
+            target: user._id,
+            metadata: { via: 'admin' }
+        });
+        
+        res.json({
+            success: true,
+            message: 'User account unlocked successfully'
+        });
+    } catch (err) {
+        console.error('Unlock user error:', err.message);
+        
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlocking user'
+        });
+    }
+};
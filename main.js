@@ -11,8 +11,12 @@ const xss = require('xss-clean');
 const session = require('express-session');
 const passport = require('./middleware/passport');
 const config = require('./config');
+const oauthConfig = require('./config/oauth');
 const http = require('http');
 const { initializeSocket } = require('./socket');
+const { processScheduledDeletions } = require('./utils/account-data');
+const { releaseExpiredCartHolds } = require('./utils/inventory');
+const { resolveApiKey, rejectInvalidApiKey } = require('./middleware/auth');
 
 // Connect to MongoDB
 const connectDB = require('./config/dbConnection');
@@ -24,12 +28,19 @@ const userRoutes = require('./routes/user.routes');
 const chefRoutes = require('./routes/chef.routes');
 const productRoutes = require('./routes/product.routes');
 const twofactorRoutes = require('./routes/twofactor.routes');
-const googleAuthRoutes = require('./routes/google-auth.routes');
+const oauthRoutes = require('./routes/oauth.routes');
+const mockOidcRoutes = require('./routes/mock-oidc.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const mockPaymentsRoutes = require('./routes/mock-payments.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/orders.routes');
 const priceCalculatorRoutes = require('./routes/price-calculator.routes');
 const reviewRoutes = require('./routes/review.routes');
 const chatRoutes = require('./routes/chat.routes');
+const adminRoutes = require('./routes/admin.routes');
+
+// Payment webhooks read their raw body to check the signature, so they come before the JSON parser
+app.use('/api/payments', paymentRoutes);
 
 // Middleware
 app.use(express.json());
@@ -69,13 +80,19 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Rate limiting
+// API keys have a rate limit of their own, checked here
+app.use('/api/', resolveApiKey);
+
+// Rate limiting. Requests with a valid API key are skipped; those with an
+// invalid one are counted like any other and refused after the limiter.
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again after 15 minutes'
+    message: 'Too many requests from this IP, please try again after 15 minutes',
+    skip: (req) => !!req.apiKey
 });
 app.use('/api/', limiter);
+app.use('/api/', rejectInvalidApiKey);
 
 // Data sanitization against NoSQL query injection
 app.use(mongoSanitize());
@@ -100,7 +117,7 @@ app.use('/uploads', (req, res, next) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/auth', googleAuthRoutes); // Google auth routes
+app.use('/api/auth', oauthRoutes); // Google and other sign-in providers
 app.use('/api/auth/2fa', twofactorRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chefs', chefRoutes);
@@ -110,6 +127,17 @@ app.use('/api/orders', orderRoutes); // Orders routes
 app.use('/api', priceCalculatorRoutes); // Price calculator routes
 app.use('/api/reviews', reviewRoutes); // Reviews routes
 app.use('/api/chats', chatRoutes); // Chat routes
+app.use('/api/admin', adminRoutes); // Admin routes (audit log)
+
+// Built-in OpenID Connect provider for trying provider sign-in offline (see config/oauth.js)
+if (oauthConfig.providers.mock.enabled) {
+    app.use('/mock-oidc', mockOidcRoutes);
+}
+
+// Local stand-in for a card payment gateway (see utils/payments.js)
+if (config.payments.provider === 'mock') {
+    app.use('/mock-payments', mockPaymentsRoutes);
+}
 
 // API status route
 app.get('/api/status', (req, res) => {
@@ -148,6 +176,28 @@ server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
 
+// Delete accounts whose deletion grace period has ended
+setInterval(() => {
+    processScheduledDeletions()
+        .then(({ deleted, postponed }) => {
+            if (deleted || postponed) {
+                console.log(`Scheduled account deletion: ${deleted} deleted, ${postponed} postponed`);
+            }
+        })
+        .catch(err => console.error('Scheduled account deletion error:', err.message));
+}, config.accountDeletion.purgeIntervalMs).unref();
+
+// Give back the portions of cart holds that ran out
+setInterval(() => {
+    releaseExpiredCartHolds()
+        .then(released => {
+            if (released) {
+                console.log(`Released ${released} expired cart holds`);
+            }
+        })
+        .catch(err => console.error('Cart hold release error:', err.message));
+}, config.cartHolds.releaseIntervalMs).unref();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     console.error('UNHANDLED REJECTION:', err);
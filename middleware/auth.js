@@ -1,10 +1,252 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/api-key.model');
+const { getRolePermissions, hasPermission, scopesAllowRequest } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
 
-// Authenticate user from JWT token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Impersonation is read-only except for the configured paths and ending it
+const isAllowedWhileImpersonating = (req) => {
+    if (SAFE_METHODS.includes(req.method)) return true;
+
+    const path = req.originalUrl.split('?')[0];
+    if (path === '/api/admin/impersonation') return true;
+
+    return config.impersonation.writablePaths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+// A suspended user may still see their account, the suspension and appeal it
+const SUSPENDED_ALLOWED_PATHS = ['/api/auth/me', '/api/users/me/suspension'];
+
+const isAllowedWhileSuspended = (req) => {
+    const path = req.originalUrl.split('?')[0];
+    return SUSPENDED_ALLOWED_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+// Requests per API key in the current one-minute window (kept per server process)
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const apiKeyUsage = new Map();
+let lastUsagePrune = Date.now();
+
+// Drop the windows of keys that haven't been used since, so the map doesn't grow forever
+const pruneApiKeyUsage = (now) => {
+    if (now - lastUsagePrune < RATE_LIMIT_WINDOW_MS) return;
+
+    for (const [keyId, usage] of apiKeyUsage) {
+        if (now - usage.windowStart >= RATE_LIMIT_WINDOW_MS) apiKeyUsage.delete(keyId);
+    }
+    lastUsagePrune = now;
+};
+
+// Count a request against the key's rate limit; false once the limit is used up
+const consumeApiKeyRequest = (apiKey, res) => {
+    const now = Date.now();
+    pruneApiKeyUsage(now);
+
+    const keyId = apiKey._id.toString();
+    let usage = apiKeyUsage.get(keyId);
+
+    if (!usage || now - usage.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        usage = { windowStart: now, count: 0 };
+        apiKeyUsage.set(keyId, usage);
+    }
+    usage.count++;
+
+    res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimitPerMinute - usage.count)));
+
+    if (usage.count > apiKey.rateLimitPerMinute) {
+        res.set('Retry-After', String(Math.ceil((usage.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000)));
+        return false;
+    }
+    return true;
+};
+
+// API keys come in X-API-Key or, like access tokens, as a Bearer token
+const getPresentedApiKey = (req) => {
+    const bearer = (req.header('Authorization') || '').replace('Bearer ', '');
+    return req.header('x-api-key') || (ApiKey.looksLikeKey(bearer) ? bearer : null);
+};
+
+const sendInvalidApiKey = (res) => {
+    res.status(401).json({
+        success: false,
+        message: 'API key is invalid, expired or revoked'
+    });
+};
+
+// Look up the presented API key once per request. Sends the error response and
+// returns null if the key is unknown or over its rate limit.
+const resolvePresentedApiKey = async (req, res) => {
+    if (req.apiKey) return req.apiKey;
+
+    const apiKey = req.invalidApiKey ? null : await ApiKey.findActiveByKey(getPresentedApiKey(req));
+    if (!apiKey) {
+        req.invalidApiKey = true;
+        sendInvalidApiKey(res);
+        return null;
+    }
+
+    if (!consumeApiKeyRequest(apiKey, res)) {
+        res.status(429).json({
+            success: false,
+            message: 'Rate limit of this API key exceeded, please try again later'
+        });
+        return null;
+    }
+
+    req.apiKey = apiKey;
+    return apiKey;
+};
+
+// Checks every authenticated request makes on the account itself.
+// Returns { status, body } to reject the request, or null.
+const checkAccountAccess = (user, req, impersonator) => {
+    // Check if email is verified (except for admin users)
+    if (!user.isEmailVerified && user.role !== 'admin') {
+        return {
+            status: 401,
+            body: {
+                success: false,
+                message: 'Email verification required',
+                needsVerification: true,
+                email: user.email
+            }
+        };
+    }
+
+    // Suspended and banned accounts are locked out of everything else. Staff
+    // impersonating the user can still look around to handle an appeal.
+    if (!impersonator && user.isSuspended() && !isAllowedWhileSuspended(req)) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                message: user.suspension.status === 'banned'
+                    ? 'Your account has been banned'
+                    : 'Your account has been suspended',
+                accountSuspended: true,
+                suspension: user.getSuspensionSummary()
+            }
+        };
+    }
+
+    return null;
+};
+
+// Authenticate a request made with an API key instead of an access token
+const authenticateApiKey = async (req, res, next) => {
+    const apiKey = await resolvePresentedApiKey(req, res);
+    if (!apiKey) return;
+
+    const path = req.originalUrl.split('?')[0];
+    if (!scopesAllowRequest(apiKey.scopes, req.method, path)) {
+        return res.status(403).json({
+            success: false,
+            message: 'This API key does not have a scope for this endpoint',
+            scopes: apiKey.scopes
+        });
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    const rejection = checkAccountAccess(user, req, null);
+    if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+    }
+
+    await apiKey.touch(req.ip);
+
+    req.user = user;
+    req.authSession = null;
+    req.permissions = await getRolePermissions(user.role);
+    req.actor = user;
+    req.impersonator = null;
+
+    next();
+};
+
+// Write every impersonated request to the audit log once it has been answered
+const auditImpersonatedRequest = (req, res) => {
+    res.on('finish', () => {
+        recordAudit(req, {
+            action: 'impersonation.request',
+            outcome: res.statusCode < 400 ? 'success' : (res.statusCode === 403 ? 'blocked' : 'failure'),
+            metadata: {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                sessionId: req.authSession._id
+            }
+        });
+    });
+};
+
+// Look up API keys before the per-IP rate limiter, which skips requests with a
+// valid key (they have their own limit). Requests with an invalid key go on to
+// be counted by that limiter, so guessing keys is limited too, and are refused
+// after it (see rejectInvalidApiKey).
+exports.resolveApiKey = async (req, res, next) => {
+    if (!getPresentedApiKey(req)) return next();
+
+    try {
+        const apiKey = await ApiKey.findActiveByKey(getPresentedApiKey(req));
+        if (!apiKey) {
+            req.invalidApiKey = true;
+            return next();
+        }
+
+        if (!consumeApiKeyRequest(apiKey, res)) {
+            return res.status(429).json({
+                success: false,
+                message: 'Rate limit of this API key exceeded, please try again later'
+            });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (err) {
+        console.error('API key error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Refuse requests whose API key resolveApiKey could not find (use after the per-IP rate limiter)
+exports.rejectInvalidApiKey = (req, res, next) => {
+    if (req.invalidApiKey) {
+        return sendInvalidApiKey(res);
+    }
+    next();
+};
+
+// Authenticate user from JWT token or API key
 // Updated authenticate function in auth.js
 exports.authenticate = async (req, res, next) => {
+    if (getPresentedApiKey(req)) {
+        try {
+            return await authenticateApiKey(req, res, next);
+        } catch (err) {
+            console.error('API key authentication error:', err.message);
+            return res.status(401).json({
+                success: false,
+                message: 'API key is not valid'
+            });
+        }
+    }
+
     // Get token from various possible headers
     const token = 
         req.header('x-auth-token') || 
@@ -23,6 +265,16 @@ exports.authenticate = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, config.jwtSecretKey);
         
+        // Every access token must belong to a session that has not been revoked
+        const session = await Session.findActive(decoded.sid, decoded.id);
+        
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked'
+            });
+        }
+        
         // Set user from payload
         const user = await User.findById(decoded.id).select('-password');
         
@@ -33,17 +285,48 @@ exports.authenticate = async (req, res, next) => {
             });
         }
         
-        // Check if email is verified (except for admin users)
-        if (!user.isEmailVerified && user.role !== 'admin') {
-            return res.status(401).json({
-                success: false,
-                message: 'Email verification required',
-                needsVerification: true,
-                email: user.email
-            });
+        // Impersonation: the token acts as `user`, but a staff member is behind it
+        let impersonator = null;
+        if (session.impersonatedBy) {
+            impersonator = await User.findById(session.impersonatedBy).select('-password');
+            const impersonatorPermissions = impersonator ? await getRolePermissions(impersonator.role) : [];
+            
+            // Stop at once if the staff member has lost the right to impersonate
+            if (!hasPermission(impersonatorPermissions, 'users:impersonate')) {
+                await session.revoke('impersonator_not_permitted');
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or been revoked'
+                });
+            }
         }
         
+        const rejection = checkAccountAccess(user, req, impersonator);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+        
+        await session.touch();
+        
         req.user = user;
+        req.authSession = session;
+        req.permissions = await getRolePermissions(user.role);
+        // The person really making the request (the staff member when impersonating)
+        req.actor = impersonator || user;
+        req.impersonator = impersonator;
+        
+        if (impersonator) {
+            auditImpersonatedRequest(req, res);
+            
+            if (!isAllowedWhileImpersonating(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This action is not available while impersonating a user',
+                    impersonating: true
+                });
+            }
+        }
+        
         next();
     } catch (err) {
         console.error('Authentication error:', err.message);
@@ -55,35 +338,40 @@ exports.authenticate = async (req, res, next) => {
     }
 };
 
-// Check if user is an admin
-exports.isAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
+// Refuse the request while a staff member is impersonating the user.
+// Used on routes that must stay with the account owner (passwords, 2FA, deletion, ...).
+exports.blockWhileImpersonating = (req, res, next) => {
+    if (req.impersonator) {
         return res.status(403).json({
             success: false,
-            message: 'Access denied: Admin privileges required'
+            message: 'This action is not available while impersonating a user',
+            impersonating: true
         });
     }
     next();
 };
 
-// Check if user is a chef
-exports.isChef = (req, res, next) => {
-    if (req.user.role !== 'chef' && req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied: Chef privileges required'
-        });
-    }
-    next();
+// Require a permission. With an array, any one of the permissions is enough.
+exports.requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (!hasPermission(req.permissions, permission)) {
+            const required = Array.isArray(permission) ? permission.join(' or ') : permission;
+            return res.status(403).json({
+                success: false,
+                message: `Access denied: ${required} permission required`
+            });
+        }
+        next();
+    };
 };
 
-// Check if user is the owner of the resource or an admin
-exports.isOwnerOrAdmin = (paramIdField) => {
+// Check if user is the owner of the resource or holds a permission
+exports.isOwnerOrPermitted = (paramIdField, permission) => {
     return (req, res, next) => {
         const resourceId = req.params[paramIdField];
         
-        // Admin can access all resources
-        if (req.user.role === 'admin') {
+        // Staff with the permission can access all resources
+        if (hasPermission(req.permissions, permission)) {
             return next();
         }
         
@@ -97,4 +385,4 @@ exports.isOwnerOrAdmin = (paramIdField) => {
         
         next();
     };
-};
\ No newline at end of file
+};
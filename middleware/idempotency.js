@@ -0,0 +1,166 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const config = require('../config');
+const IdempotencyKey = require('../models/idempotency-key.model');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// What makes two requests "the same request"
+const fingerprint = (req) => {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+        .digest('hex');
+};
+
+const leaseEnd = () => new Date(Date.now() + config.idempotency.leaseMs);
+
+// Store the response as it is sent. It is stored even if the client has gone
+// away in the meantime, so its retry gets it. Server errors and responses
+// other than JSON are not stored, so the client can retry them with the same key.
+const storeResponse = (record, res) => {
+    // Renew the lease while the request runs (e.g. waits for the payment
+    // provider), so a retry can't run it a second time. A request that hangs
+    // stops holding the key after config.idempotency.maxHoldMs.
+    const startedAt = Date.now();
+    const renewal = setInterval(async () => {
+        if (Date.now() - startedAt >= config.idempotency.maxHoldMs) {
+            clearInterval(renewal);
+            return;
+        }
+
+        try {
+            await IdempotencyKey.updateOne(
+                { _id: record._id, status: 'in_progress' },
+                { $set: { leaseExpiresAt: leaseEnd() } }
+            );
+        } catch (err) {
+            console.error('Idempotency key error:', err.message);
+        }
+    }, config.idempotency.leaseMs / 2);
+    renewal.unref();
+
+    let stored = false;
+    const store = async (responseBody) => {
+        stored = true;
+        clearInterval(renewal);
+        try {
+            if (res.statusCode >= 500 || responseBody === undefined) {
+                await IdempotencyKey.deleteOne({ _id: record._id });
+                return;
+            }
+
+            await IdempotencyKey.updateOne(
+                { _id: record._id },
+                { $set: { status: 'completed', responseStatus: res.statusCode, responseBody } }
+            );
+        } catch (err) {
+            console.error('Idempotency key error:', err.message);
+        }
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        store(body);
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        if (!stored) store(undefined);
+    });
+};
+
+/**
+ * Honour an Idempotency-Key header on a mutating endpoint (use after
+ * authenticate, permission checks and validation). The first request with a
+ * key runs as usual; a retry with the same key gets the stored response again
+ * instead of running twice. Requests without the header are not affected.
+ *
+ * A key is held while its request runs. If that request never answers (it
+ * hung, or failed without a response), the key is taken over by a retry once
+ * its lease is no longer renewed.
+ */
+exports.idempotent = async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters long`
+        });
+    }
+
+    // A request that failed validation never ran, so it doesn't use up the key
+    if (!validationResult(req).isEmpty()) return next();
+
+    const requestHash = fingerprint(req);
+
+    try {
+        const record = await IdempotencyKey.create({
+            user: req.user._id,
+            key,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            requestHash,
+            leaseExpiresAt: leaseEnd(),
+            expiresAt: new Date(Date.now() + config.idempotency.keyTtlMs)
+        });
+
+        storeResponse(record, res);
+        return next();
+    } catch (err) {
+        if (err.code !== 11000) {
+            console.error('Idempotency key error:', err.message);
+            return res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    }
+
+    // The key was used before
+    try {
+        const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+        if (existing && existing.requestHash !== requestHash) {
+            return res.status(422).json({
+                success: false,
+                message: `This ${HEADER} was already used for a different request`
+            });
+        }
+
+        if (existing && existing.status === 'in_progress') {
+            // Take over the key from a request that never answered
+            const now = new Date();
+            const record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'in_progress', leaseExpiresAt: { $not: { $gt: now } } },
+                { $set: { leaseExpiresAt: leaseEnd() } },
+                { new: true }
+            );
+
+            if (record) {
+                storeResponse(record, res);
+                return next();
+            }
+        }
+
+        if (!existing || existing.status === 'in_progress') {
+            return res.status(409).json({
+                success: false,
+                message: `A request with this ${HEADER} is still being processed. Try again shortly.`
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        res.status(existing.responseStatus).json(existing.responseBody);
+    } catch (err) {
+        console.error('Idempotency key error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,7 +1,8 @@
+const crypto = require('crypto');
 const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/user.model');
-const googleConfig = require('../config/google-auth');
+const { recordAudit } = require('../utils/audit');
+const { useOAuthProviders } = require('../utils/oauth-providers');
 
 // Configure Passport
 passport.serializeUser((user, done) => {
@@ -17,48 +18,147 @@ passport.deserializeUser(async (id, done) => {
     }
 });
 
-// Google OAuth Strategy
-passport.use(new GoogleStrategy({
-    clientID: googleConfig.clientID,
-    clientSecret: googleConfig.clientSecret,
-    callbackURL: googleConfig.callbackURL,
-    proxy: true // For handling proxies in production
-}, async (accessToken, refreshToken, profile, done) => {
+// Email address on the provider profile, only if the provider has verified it
+const getVerifiedEmail = (profile) => {
+    if (!profile.email || !profile.emailVerified) {
+        return null;
+    }
+    return profile.email.toLowerCase();
+};
+
+// Finish linking a provider to the account that requested the link token
+const linkOAuthAccount = async (req, provider, profile, done) => {
+    const linkToken = req.query.state;
+
+    // The link has to be completed in the browser that started it
+    if (!req.cookies || req.cookies.oauthLinkToken !== linkToken) {
+        return done(null, false, { reason: 'link_invalid', linking: true });
+    }
+
+    const user = await User.findOne({
+        oauthLinkToken: crypto.createHash('sha256').update(linkToken).digest('hex'),
+        oauthLinkProvider: provider,
+        oauthLinkExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+        return done(null, false, { reason: 'link_expired', linking: true });
+    }
+
+    user.oauthLinkToken = null;
+    user.oauthLinkProvider = null;
+    user.oauthLinkExpires = null;
+
+    let failure = null;
+
+    if (user.getOAuthAccount(provider)) {
+        failure = 'already_linked';
+    } else if (getVerifiedEmail(profile) !== user.email) {
+        // Keeps email changes and provider sign-in pointing at the same address
+        failure = 'email_mismatch';
+    } else if (await User.exists({ oauthAccounts: { $elemMatch: { provider, subject: profile.id } } })) {
+        failure = 'provider_account_in_use';
+    }
+
+    if (failure) {
+        await user.save();
+        await recordAudit(req, {
+            action: 'oauth.linked',
+            actor: user._id,
+            outcome: 'blocked',
+            metadata: { provider, reason: failure, subject: profile.id }
+        });
+        return done(null, false, { reason: failure, linking: true });
+    }
+
+    user.oauthAccounts.push({
+        provider,
+        subject: profile.id,
+        email: profile.email
+    });
+    await user.save();
+
+    await recordAudit(req, {
+        action: 'oauth.linked',
+        actor: user._id,
+        metadata: { provider, subject: profile.id }
+    });
+
+    return done(null, user, { linked: true });
+};
+
+// Shared verify step for every provider (see utils/oauth-providers.js)
+const handleOAuthProfile = async (req, provider, profile, done) => {
     try {
-        // Check if user already exists in our database
-        let user = await User.findOne({ email: profile.emails[0].value });
-        
+        // A signed-in user is linking the provider (see GET /api/auth/oauth/:provider/link/:token)
+        if (req.query.state) {
+            return await linkOAuthAccount(req, provider, profile, done);
+        }
+
+        const email = getVerifiedEmail(profile);
+
+        // Sign in only to the account this identity was linked to
+        let user = await User.findOne({
+            oauthAccounts: { $elemMatch: { provider, subject: profile.id } }
+        });
+
         if (user) {
-            // User exists, update Google ID if not already set
-            if (!user.googleId) {
-                user.googleId = profile.id;
-                await user.save();
-            }
-            
-            // Always mark Google-authenticated users as email verified
-            if (!user.isEmailVerified) {
+            // Provider-authenticated users have a verified email
+            if (!user.isEmailVerified && user.email === email) {
                 user.isEmailVerified = true;
                 await user.save();
             }
-            
+
             return done(null, user);
         }
-        
+
+        if (!email) {
+            return done(null, false, { reason: 'email_not_verified' });
+        }
+
+        // Never attach a provider to an existing account just because the email
+        // matches; the owner has to sign in and link it from their settings
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            await recordAudit(req, {
+                action: 'oauth.login',
+                actor: null,
+                target: existingUser._id,
+                outcome: 'blocked',
+                metadata: { provider, reason: 'account_not_linked', subject: profile.id }
+            });
+
+            return done(null, false, { reason: 'account_exists' });
+        }
+
         // If user doesn't exist, create a new one
         user = new User({
-            googleId: profile.id,
-            email: profile.emails[0].value,
-            fullName: profile.displayName,
-            isEmailVerified: true // Auto-verify emails from Google auth
+            oauthAccounts: [{
+                provider,
+                subject: profile.id,
+                email
+            }],
+            email,
+            fullName: profile.displayName || email,
+            isEmailVerified: true // Auto-verify emails confirmed by the provider
         });
-        
+
         await user.save();
+
+        await recordAudit(req, {
+            action: 'oauth.linked',
+            actor: user._id,
+            metadata: { provider, subject: profile.id, newAccount: true }
+        });
+
         return done(null, user);
-        
+
     } catch (err) {
-        console.error('Google auth error:', err);
+        console.error(`${provider} auth error:`, err);
         return done(err, null);
     }
-}));
+};
+
+useOAuthProviders(passport, handleOAuthProfile);
 
-module.exports = passport;
\ No newline at end of file
+module.exports = passport;
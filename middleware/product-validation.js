@@ -7,6 +7,14 @@ const condimentValidation = [
   check('condiments.*.isDefault', 'isDefault must be a boolean value').optional().isBoolean()
 ];
 
+// Validate stock and daily capacity (null turns the limit off).
+// The daily count is kept by utils/inventory.js.
+const inventoryValidation = [
+  check('stock', 'Stock must be a whole number of 0 or more').optional({ values: 'null' }).isInt({ min: 0 }),
+  check('dailyCapacity', 'Daily capacity must be a whole number of 1 or more').optional({ values: 'null' }).isInt({ min: 1 }),
+  check(['portionsSold', 'capacityDate'], 'The portions sold today cannot be changed').not().exists()
+];
+
 // Product creation validation
 exports.createProductValidation = [
   check('name', 'Product name is required').notEmpty().trim(),
@@ -23,6 +31,7 @@ exports.createProductValidation = [
   check('preparationTime', 'Preparation time must be a number').optional().isInt({ min: 0 }),
   check('servingSize', 'Serving size must be a string').optional().isString(),
   check('isAvailable', 'isAvailable must be a boolean').optional().isBoolean(),
+  ...inventoryValidation,
   check('isVegetarian', 'isVegetarian must be a boolean').optional().isBoolean(),
   check('isVegan', 'isVegan must be a boolean').optional().isBoolean(),
   check('isGlutenFree', 'isGlutenFree must be a boolean').optional().isBoolean()
@@ -44,6 +53,7 @@ exports.updateProductValidation = [
   check('preparationTime', 'Preparation time must be a number').optional().isInt({ min: 0 }),
   check('servingSize', 'Serving size must be a string').optional().isString(),
   check('isAvailable', 'isAvailable must be a boolean').optional().isBoolean(),
+  ...inventoryValidation,
   check('isVegetarian', 'isVegetarian must be a boolean').optional().isBoolean(),
   check('isVegan', 'isVegan must be a boolean').optional().isBoolean(),
   check('isGlutenFree', 'isGlutenFree must be a boolean').optional().isBoolean()
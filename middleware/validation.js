@@ -9,11 +9,8 @@ exports.emailValidation = [
 exports.registerValidation = [
     check('fullName', 'Full name is required').not().isEmpty().trim(),
     check('email', 'Please include a valid email').isEmail().normalizeEmail(),
-    check('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/)
-    .withMessage('Password must include uppercase, lowercase, number, and special character'),
+    // The password policy itself is enforced by the User model (see utils/password-policy.js)
+    check('password', 'Password is required').not().isEmpty(),
 
     check('confirmPassword')
         .custom((value, { req }) => {
@@ -33,7 +30,7 @@ exports.loginValidation = [
 // Change password validation
 exports.changePasswordValidation = [
     check('currentPassword', 'Current password is required').not().isEmpty(),
-    check('newPassword', 'New password must be at least 6 characters').isLength({ min: 6 })
+    check('newPassword', 'New password is required').not().isEmpty()
 ];
 
 // Forgot password validation
@@ -43,7 +40,7 @@ exports.forgotPasswordValidation = [
 
 // Reset password validation
 exports.resetPasswordValidation = [
-    check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
+    check('password', 'Password is required').not().isEmpty(),
     check('confirmPassword')
         .custom((value, { req }) => {
             if (value !== req.body.password) {
@@ -120,4 +117,45 @@ exports.twoFactorDisableValidation = [
 
 exports.twoFactorBackupCodesValidation = [
     check('password', 'Password is required').exists()
-];
\ No newline at end of file
+];
+
+// Chef working hours and delivery slots
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+
+exports.chefScheduleValidation = [
+    check('weeklyHours', 'Weekly hours must be an array').optional().isArray(),
+    check('weeklyHours.*.day', 'Day must be 0 (Sunday) to 6 (Saturday)').isInt({ min: 0, max: 6 }),
+    check('weeklyHours.*.open', 'Opening time must be HH:mm').matches(TIME_OF_DAY),
+    check('weeklyHours.*.close', 'Closing time must be HH:mm').matches(TIME_OF_DAY),
+    check('holidays', 'Holidays must be an array').optional().isArray(),
+    check('holidays.*.date', 'Holiday date must be YYYY-MM-DD').isDate(DATE_FORMAT),
+    check('holidays.*.reason', 'Holiday reason must be text').optional().isString().trim(),
+    check('slotMinutes', 'Slots must be 15 to 240 minutes long').optional().isInt({ min: 15, max: 240 }),
+    check('ordersPerSlot', 'Orders per slot must be at least 1').optional().isInt({ min: 1 }),
+    check('bookingWindowDays', 'Booking window must be 1 to 60 days').optional().isInt({ min: 1, max: 60 })
+];
+
+exports.chefSlotsValidation = [
+    check('from', 'From must be a date (YYYY-MM-DD)').optional().isDate(DATE_FORMAT),
+    check('days', 'Days must be 1 to 60').optional().isInt({ min: 1, max: 60 }),
+    check('products', 'Products must be comma-separated product IDs')
+        .optional()
+        .isString()
+        .bail()
+        .custom(value => String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id)))
+];
+
+exports.chefDeliveryValidation = [
+    check('location', 'Location must be an object with lat and lng').optional({ values: 'null' }).isObject(),
+    check('location.lat', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('location.lng', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+    check('zones', 'Zones must be an array').optional().isArray(),
+    check('zones.*.name', 'Each zone needs a name').notEmpty().trim(),
+    check('zones.*.type', 'Zone type must be radius or polygon').isIn(['radius', 'polygon']),
+    check('zones.*.radiusKm', 'Radius must be a positive number of km').optional().isFloat({ gt: 0 }),
+    check('zones.*.polygon', 'Polygon must be an array of points').optional().isArray({ min: 3 }),
+    check('zones.*.fee', 'Zone fee must be a positive number').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('baseFee', 'Base fee must be a positive number').optional({ values: 'null' }).isFloat({ min: 0 }),
+    check('perKmFee', 'Fee per km must be a positive number').optional({ values: 'null' }).isFloat({ min: 0 })
+];
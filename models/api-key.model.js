@@ -0,0 +1,158 @@
+// models/api-key.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const crypto = require('crypto');
+
+// Keys look like "fhk_<64 hex characters>" so they are easy to recognise (and to scan for in leaks)
+const KEY_PREFIX = 'fhk_';
+
+// A long-lived credential for a chef's or admin's own integrations (POS, kitchen
+// display, ...). Only the SHA-256 hash of the key is stored.
+const apiKeySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Label chosen by the owner, e.g. "Kitchen tablet"
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the key, so the owner can tell keys apart
+    keyPreview: {
+        type: String,
+        required: true
+    },
+    // Scope names from API_KEY_SCOPES in utils/permissions.js
+    scopes: {
+        type: [String],
+        default: []
+    },
+    rateLimitPerMinute: {
+        type: Number,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Hash a key for storage/lookup
+apiKeySchema.statics.hashKey = function(key) {
+    return crypto
+        .createHash('sha256')
+        .update(key)
+        .digest('hex');
+};
+
+// Check whether a presented credential has the shape of an API key
+apiKeySchema.statics.looksLikeKey = function(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+// Create a key. The plain key is returned once and never stored.
+apiKeySchema.statics.issue = async function(userId, { name, scopes, rateLimitPerMinute, expiresAt }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await this.create({
+        user: userId,
+        name,
+        keyHash: this.hashKey(key),
+        keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+        scopes,
+        rateLimitPerMinute,
+        expiresAt: expiresAt || null
+    });
+
+    return { apiKey, key };
+};
+
+// Find the usable key matching a presented key
+apiKeySchema.statics.findActiveByKey = async function(key) {
+    if (!this.looksLikeKey(key)) return null;
+
+    const apiKey = await this.findOne({ keyHash: this.hashKey(key) });
+    return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+// Revoke every key of a user (e.g. when the account is deleted)
+apiKeySchema.statics.revokeAllForUser = async function(userId, reason) {
+    return await this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason || null } }
+    );
+};
+
+// Check whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Revoke this key
+apiKeySchema.methods.revoke = async function(reason) {
+    if (this.revokedAt) return this;
+
+    this.revokedAt = new Date();
+    this.revokedReason = reason || null;
+    return await this.save();
+};
+
+// Record that the key was used; written at most once a minute per key
+apiKeySchema.methods.touch = async function(ip) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+        return this;
+    }
+
+    this.lastUsedAt = new Date();
+    this.lastUsedIp = ip || null;
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp } }
+    );
+    return this;
+};
+
+// The key as shown to its owner (never the hash)
+apiKeySchema.methods.toSummary = function() {
+    return {
+        _id: this._id,
+        name: this.name,
+        keyPreview: this.keyPreview,
+        scopes: this.scopes,
+        rateLimitPerMinute: this.rateLimitPerMinute,
+        lastUsedAt: this.lastUsedAt,
+        expiresAt: this.expiresAt,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
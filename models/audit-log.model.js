@@ -0,0 +1,54 @@
+// models/audit-log.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Security-relevant events (logins, 2FA changes, admin actions, ...)
+const auditLogSchema = new Schema({
+    // Machine-readable event name, e.g. 'auth.login' or 'user.role_changed'
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // The user who performed the action (null for anonymous attempts)
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    // The user the action was performed on
+    target: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure', 'blocked'],
+        default: 'success'
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    // Extra event details (never secrets)
+    metadata: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
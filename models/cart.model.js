@@ -44,6 +44,27 @@ const cartItemSchema = new Schema({
         required: true,
         min: 0,
         default: 0
+    },
+    // Portions held for the customer until expiresAt (utils/inventory.js).
+    // Products without stock or a daily limit need no hold.
+    hold: {
+        quantity: {
+            type: Number,
+            default: 0
+        },
+        stock: {
+            type: Boolean,
+            default: false
+        },
+        // Day of the product's daily capacity the portions count towards
+        date: {
+            type: String,
+            default: null
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        }
     }
 }, {
     timestamps: true
@@ -52,6 +73,9 @@ const cartItemSchema = new Schema({
 // Create a compound index to prevent duplicate products in cart
 cartItemSchema.index({ user: 1, product: 1 }, { unique: true });
 
+// Finding holds that ran out
+cartItemSchema.index({ 'hold.expiresAt': 1 });
+
 // Method to calculate the total price of an item including condiments
 cartItemSchema.methods.calculateTotalPrice = function(basePrice) {
     console.log(`Calculating total price with basePrice: ${basePrice}`);
@@ -3,6 +3,160 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:mm
+const DATE = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+
+// Open every day from 10:00 to 20:00 until the chef sets their own hours
+const DEFAULT_WEEKLY_HOURS = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '10:00', close: '20:00' }));
+
+// Hours the chef cooks on a day of the week (local time, config.timeZone).
+// A day can have several entries, e.g. lunch and dinner.
+const weeklyHoursSchema = new Schema({
+    day: {
+        type: Number, // 0 = Sunday ... 6 = Saturday
+        required: true,
+        min: 0,
+        max: 6
+    },
+    open: {
+        type: String,
+        required: true,
+        match: [TIME_OF_DAY, 'Opening time must be HH:mm']
+    },
+    close: {
+        type: String,
+        required: true,
+        match: [TIME_OF_DAY, 'Closing time must be HH:mm'],
+        validate: {
+            validator: function(close) {
+                return close > this.open;
+            },
+            message: 'Closing time must be after opening time'
+        }
+    }
+}, { _id: false });
+
+// A day the chef doesn't cook
+const holidaySchema = new Schema({
+    date: {
+        type: String,
+        required: true,
+        match: [DATE, 'Holiday date must be YYYY-MM-DD']
+    },
+    reason: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// When customers can book deliveries from the chef (see utils/delivery-slots.js)
+const scheduleSchema = new Schema({
+    weeklyHours: {
+        type: [weeklyHoursSchema],
+        default: () => DEFAULT_WEEKLY_HOURS
+    },
+    holidays: [holidaySchema],
+    // Length of a delivery slot; slots start at the opening time
+    slotMinutes: {
+        type: Number,
+        default: 30,
+        min: [15, 'Slots must be at least 15 minutes long'],
+        max: [240, 'Slots can be at most 4 hours long']
+    },
+    // Orders the chef takes per slot
+    ordersPerSlot: {
+        type: Number,
+        default: 5,
+        min: [1, 'At least one order per slot must be allowed']
+    },
+    // How many days ahead slots can be booked
+    bookingWindowDays: {
+        type: Number,
+        default: 7,
+        min: [1, 'The booking window must be at least 1 day'],
+        max: [60, 'The booking window can be at most 60 days']
+    }
+}, { _id: false });
+
+const coordinatesSchema = new Schema({
+    lat: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+    },
+    lng: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+    }
+}, { _id: false });
+
+// An area the chef delivers to: a circle (radiusKm around center, or around
+// the kitchen) or a polygon of at least 3 points. fee is a flat price for the
+// zone; without one the fee depends on the distance.
+const deliveryZoneSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['radius', 'polygon'],
+        required: true,
+        validate: {
+            validator: function(type) {
+                if (type === 'polygon') {
+                    return (this.polygon || []).length >= 3;
+                }
+                return this.radiusKm > 0 && !!(this.center || this.parent().location);
+            },
+            message: 'Radius zones need a radius and a center (or the kitchen location); polygon zones need at least 3 points'
+        }
+    },
+    center: {
+        type: coordinatesSchema,
+        default: null
+    },
+    radiusKm: {
+        type: Number,
+        min: 0
+    },
+    polygon: {
+        type: [coordinatesSchema],
+        default: undefined
+    },
+    fee: {
+        type: Number,
+        default: null,
+        min: [0, 'Zone fee cannot be negative']
+    }
+}, { _id: false });
+
+// Where the chef delivers and what it costs (see utils/delivery-zones.js)
+const deliverySchema = new Schema({
+    // The kitchen, where deliveries start. Not shown to customers.
+    location: {
+        type: coordinatesSchema,
+        default: null
+    },
+    // The first zone an address is in applies. Chefs without zones deliver anywhere.
+    zones: [deliveryZoneSchema],
+    // baseFee + perKmFee for each km from the kitchen; config.delivery when not set
+    baseFee: {
+        type: Number,
+        default: null,
+        min: [0, 'Base fee cannot be negative']
+    },
+    perKmFee: {
+        type: Number,
+        default: null,
+        min: [0, 'Fee per km cannot be negative']
+    }
+}, { _id: false });
+
 const chefProfileSchema = new Schema({
     user: {
         type: Schema.Types.ObjectId,
@@ -34,11 +188,26 @@ const chefProfileSchema = new Schema({
     reviewCount: {
         type: Number,
         default: 0
+    },
+
+    schedule: {
+        type: scheduleSchema,
+        default: () => ({})
+    },
+
+    delivery: {
+        type: deliverySchema,
+        default: () => ({})
     }
 }, {
     timestamps: true
 });
 
+// The schedule of chefs that have no profile (yet)
+chefProfileSchema.statics.defaultSchedule = function() {
+    return new this().schedule;
+};
+
 const ChefProfile = mongoose.model('ChefProfile', chefProfileSchema);
 
 module.exports = ChefProfile;
\ No newline at end of file
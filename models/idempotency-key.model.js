@@ -0,0 +1,62 @@
+// models/idempotency-key.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A request made with an Idempotency-Key header, and the response it got,
+// so that a retry with the same key is answered without running it again
+const idempotencyKeySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // Hash of method, path and body; a key can't be reused for a different request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed'],
+        default: 'in_progress'
+    },
+    // Until when the request is being run; after that a retry may run it instead
+    leaseExpiresAt: {
+        type: Date,
+        default: null
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    responseBody: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Keys belong to the user who sent them
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Let MongoDB clean up keys once they have expired
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,71 @@
+// models/oauth-login-code.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const crypto = require('crypto');
+const oauthConfig = require('../config/oauth');
+
+// A one-time code handed to the frontend after a provider sign-in. The
+// frontend exchanges it for tokens, so tokens never appear in a URL.
+const oauthLoginCodeSchema = new Schema({
+    // SHA-256 hash of the code
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB clean up codes that were never exchanged
+oauthLoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Create a sign-in code for a user
+ * @param {Object} user - User document
+ * @param {string} provider - Provider the user signed in with
+ * @returns {Promise<string>} - The plain code
+ */
+oauthLoginCodeSchema.statics.issue = async function(user, provider) {
+    const code = crypto.randomBytes(32).toString('hex');
+
+    await this.create({
+        codeHash: hashCode(code),
+        user: user._id,
+        provider,
+        expiresAt: new Date(Date.now() + oauthConfig.loginCodeExpiresIn)
+    });
+
+    return code;
+};
+
+/**
+ * Use up a sign-in code. Each code works once, even under concurrent requests.
+ * @param {string} code
+ * @returns {Promise<Object|null>} - The code document, or null if invalid or expired
+ */
+oauthLoginCodeSchema.statics.redeem = async function(code) {
+    if (typeof code !== 'string' || !code) return null;
+
+    return await this.findOneAndDelete({
+        codeHash: hashCode(code),
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+module.exports = mongoose.model('OAuthLoginCode', oauthLoginCodeSchema);
@@ -1,6 +1,15 @@
 // models/order.model.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ORDER_STATUSES, ACTOR_ROLES } = require('../utils/order-state-machine');
+
+// Share of the subtotal charged as service fee
+const SERVICE_FEE_RATE = 0.1;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Attempts of saveWithRetry() before giving up on a busy order
+const MAX_SAVE_ATTEMPTS = 3;
 
 // Schema for selected condiments in order
 const OrderCondimentSchema = new Schema({
@@ -14,6 +23,24 @@ const OrderCondimentSchema = new Schema({
   }
 });
 
+// Portions taken from the product when the order was placed (utils/inventory.js)
+const ReservationSchema = new Schema({
+  stock: {
+    type: Boolean,
+    default: false
+  },
+  // Day of the product's daily capacity the portions count towards
+  date: {
+    type: String,
+    default: null
+  },
+  // Given back after the item was cancelled or removed
+  released: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const OrderItemSchema = new Schema({
   product: {
     type: Schema.Types.ObjectId,
@@ -33,6 +60,107 @@ const OrderItemSchema = new Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  // Kept on the chefs' items only
+  reservation: {
+    type: ReservationSchema,
+    default: null
+  }
+});
+
+// A delivery address with its coordinates (see utils/geocoding.js)
+const DeliveryLocationSchema = new Schema({
+  street: String,
+  area: String,
+  city: String,
+  postalCode: String,
+  country: String,
+  coordinates: {
+    lat: {
+      type: Number,
+      required: true
+    },
+    lng: {
+      type: Number,
+      required: true
+    }
+  }
+}, { _id: false });
+
+// Status changes are made through utils/order-state-machine.js, which records who made them
+const StatusHistorySchema = new Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Null for changes made by the system
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: [...ACTOR_ROLES, null],
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  }
+});
+
+// An item taken out of an order after it was placed
+const RemovedItemSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  chef: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  selectedCondiments: [OrderCondimentSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  reservation: {
+    type: ReservationSchema,
+    default: null
+  },
+  removedAt: {
+    type: Date,
+    default: Date.now
+  },
+  removedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: [...ACTOR_ROLES, null],
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
   }
 });
 
@@ -46,20 +174,28 @@ const ChefItemsSchema = new Schema({
   items: [OrderItemSchema],
   status: {
     type: String,
-    enum: ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
-  statusHistory: [{
-    status: {
-      type: String,
-      enum: ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'],
-      required: true
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }]
+  statusHistory: [StatusHistorySchema],
+  // What the chef charges to deliver their part (utils/delivery-zones.js)
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  deliveryZone: {
+    type: String,
+    default: null
+  },
+  deliveryDistanceKm: {
+    type: Number,
+    default: null
+  },
+  // Holds one of the chef's orders for the delivery slot (utils/delivery-slots.js)
+  slotBooked: {
+    type: Boolean,
+    default: false
+  }
 });
 
 const OrderSchema = new Schema({
@@ -70,6 +206,7 @@ const OrderSchema = new Schema({
   },
   items: [OrderItemSchema],
   chefItems: [ChefItemsSchema],  // Group items by chef with separate status tracking
+  removedItems: [RemovedItemSchema],
   totalAmount: {
     type: Number,
     required: true
@@ -82,10 +219,21 @@ const OrderSchema = new Schema({
     type: Number,
     required: true
   },
+  // The chefs' delivery fees added up
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  // As typed by the customer
   deliveryAddress: {
     type: String,
     required: true
   },
+  deliveryLocation: {
+    type: DeliveryLocationSchema,
+    default: null
+  },
+  // The delivery slot: local date (YYYY-MM-DD) and start time (HH:mm), see config.timeZone
   deliveryDate: {
     type: String,
     required: true
@@ -97,31 +245,41 @@ const OrderSchema = new Schema({
   deliveryNotes: {
     type: String
   },
+  // 'card' or 'cash_on_delivery' (PAYMENT_METHODS in utils/payments.js)
   paymentMethod: {
     type: String,
     required: true
   },
+  // The card payment at the payment provider
+  payment: {
+    provider: String,
+    intentId: {
+      type: String,
+      index: true
+    },
+    status: String,
+    failureReason: String
+  },
+  // Kept in line with the payment ledger by utils/payment-ledger.js
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded', 'failed'],
     default: 'pending'
   },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
-  statusHistory: [{
-    status: {
-      type: String,
-      enum: ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'],
-      required: true
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  statusHistory: [StatusHistorySchema],
   // Added fields for soft delete
   deleted: {
     type: Boolean,
@@ -130,6 +288,10 @@ const OrderSchema = new Schema({
   deletedAt: {
     type: Date
   },
+  // Set when the customer's account was deleted and their details removed
+  anonymizedAt: {
+    type: Date
+  },
   reviewedItems: [{
     product: {
         type: Schema.Types.ObjectId,
@@ -144,6 +306,123 @@ const OrderSchema = new Schema({
         default: Date.now
     }
 }]
-}, { timestamps: true });
+}, {
+  timestamps: true,
+  // Every save checks that nobody else saved the order since it was loaded
+  // (a VersionError otherwise), e.g. a payment webhook and a cancellation
+  optimisticConcurrency: true
+});
+
+// Orders chefs can see: paid by card (including ones refunded later) or paid on delivery
+OrderSchema.statics.chefVisibleQuery = function() {
+  return {
+    $or: [
+      { paymentMethod: 'cash_on_delivery' },
+      { paymentStatus: { $in: ['paid', 'partially_refunded', 'refunded'] } }
+    ]
+  };
+};
+
+OrderSchema.methods.isVisibleToChefs = function() {
+  return this.paymentMethod === 'cash_on_delivery' ||
+    ['paid', 'partially_refunded', 'refunded'].includes(this.paymentStatus);
+};
+
+/**
+ * Work out the service fee and total for a subtotal. The service fee is not
+ * charged on delivery.
+ * @param {number} subtotal
+ * @param {number} [deliveryFee]
+ * @returns {Object} - { subtotal, serviceFee, deliveryFee, totalAmount }
+ */
+OrderSchema.statics.calculateTotals = function(subtotal, deliveryFee = 0) {
+  const roundedSubtotal = roundAmount(subtotal);
+  const serviceFee = roundAmount(roundedSubtotal * SERVICE_FEE_RATE);
+  const roundedDeliveryFee = roundAmount(deliveryFee);
+
+  return {
+    subtotal: roundedSubtotal,
+    serviceFee,
+    deliveryFee: roundedDeliveryFee,
+    totalAmount: roundAmount(roundedSubtotal + serviceFee + roundedDeliveryFee)
+  };
+};
+
+// Recompute the totals from the chefs' parts that are still going ahead.
+// Once every part is cancelled the totals show what was ordered.
+OrderSchema.methods.recalculateTotals = function() {
+  const active = this.chefItems.filter(chefItem => chefItem.status !== 'cancelled');
+  const counted = active.length > 0 ? active : this.chefItems;
+
+  const subtotal = counted.reduce((sum, chefItem) => {
+    return sum + chefItem.items.reduce((itemSum, item) => itemSum + item.subtotal, 0);
+  }, 0);
+  const deliveryFee = counted.reduce((sum, chefItem) => sum + (chefItem.deliveryFee || 0), 0);
+
+  Object.assign(this, this.constructor.calculateTotals(subtotal, deliveryFee));
+  return this;
+};
+
+/**
+ * Take an item out of a chef's part of the order and recompute the totals.
+ * The caller checks that the item may be removed (see checkItemRemoval()).
+ * @param {Object} chefItem - Entry of order.chefItems
+ * @param {Object} item - Entry of chefItem.items
+ * @param {Object} context - { role, actor, reason }
+ */
+OrderSchema.methods.removeItem = function(chefItem, item, { role, actor, reason } = {}) {
+  this.removedItems.push({
+    product: item.product._id || item.product,
+    chef: chefItem.chef._id || chefItem.chef,
+    quantity: item.quantity,
+    price: item.price,
+    selectedCondiments: item.selectedCondiments,
+    subtotal: item.subtotal,
+    reservation: item.reservation,
+    removedBy: actor || null,
+    actorRole: role || null,
+    reason: reason || null
+  });
+
+  // The flat item list shares ids with the chefs' items; older orders are matched by content
+  const productId = (item.product._id || item.product).toString();
+  const flatItem = this.items.id(item._id) || this.items.find(orderItem =>
+    (orderItem.product._id || orderItem.product).toString() === productId &&
+    orderItem.quantity === item.quantity &&
+    orderItem.subtotal === item.subtotal
+  );
+  if (flatItem) {
+    this.items.pull(flatItem._id);
+  }
+
+  chefItem.items.pull(item._id);
+  return this.recalculateTotals();
+};
+
+/**
+ * Change the order and save it. When another request saved it in the
+ * meantime, the order is loaded again and changed again, so `change` must be
+ * safe to repeat.
+ * @param {Function} change - async (order) => void
+ * @returns {Promise<Object|null>} - The saved order, or null if it was deleted in the meantime
+ */
+OrderSchema.methods.saveWithRetry = async function(change) {
+  let order = this;
+
+  for (let attempt = 1; ; attempt++) {
+    await change(order);
+    try {
+      return await order.save();
+    } catch (error) {
+      // A save without changes only checks the version and reports a missing document
+      const isConflict = error instanceof mongoose.Error.VersionError ||
+        error instanceof mongoose.Error.DocumentNotFoundError;
+      if (!isConflict || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+
+      order = await this.constructor.findById(this._id);
+      if (!order) return null;
+    }
+  }
+};
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
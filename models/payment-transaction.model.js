@@ -0,0 +1,83 @@
+// models/payment-transaction.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { ACTOR_ROLES } = require('../utils/order-state-machine');
+
+// charge:         money taken from the customer
+// refund:         money returned that settles everything still held for the order
+// partial_refund: money returned with part of the payment still held
+// adjustment:     correction of the amount taken (negative lowers it)
+const TRANSACTION_TYPES = ['charge', 'refund', 'partial_refund', 'adjustment'];
+
+// One entry in the payment ledger. Entries are never changed or deleted;
+// mistakes are corrected with a new entry.
+const paymentTransactionSchema = new Schema({
+    order: {
+        type: Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    customer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // The chef's part of the order (order.chefItems[]) the entry is about, if any
+    chefItem: {
+        type: Schema.Types.ObjectId,
+        default: null
+    },
+    chef: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    type: {
+        type: String,
+        enum: TRANSACTION_TYPES,
+        required: true
+    },
+    // Always positive, except for adjustments that lower the amount taken
+    amount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'succeeded'
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+    // Set when the money moved through the payment provider
+    provider: {
+        type: String,
+        default: null
+    },
+    providerReference: {
+        type: String,
+        default: null,
+        index: true
+    },
+    // Null for entries made by the system
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorRole: {
+        type: String,
+        enum: [...ACTOR_ROLES, null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+paymentTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
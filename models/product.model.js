@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { getLocalDate } = require('../utils/local-time');
 
 // Adding a schema for condiments
 const condimentSchema = new Schema({
@@ -61,6 +62,28 @@ const productSchema = new Schema({
         type: Boolean,
         default: true
     },
+    // Portions left to sell; null when the chef doesn't count stock
+    stock: {
+        type: Number,
+        default: null,
+        min: [0, 'Stock cannot be negative']
+    },
+    // Most portions sold per day; null for no limit
+    dailyCapacity: {
+        type: Number,
+        default: null,
+        min: [1, 'Daily capacity must be at least 1']
+    },
+    // Portions sold on capacityDate (YYYY-MM-DD, see utils/local-time.js);
+    // counting starts again on the next day. Changed by utils/inventory.js only.
+    portionsSold: {
+        type: Number,
+        default: 0
+    },
+    capacityDate: {
+        type: String,
+        default: null
+    },
     isVegetarian: {
         type: Boolean,
         default: false
@@ -95,7 +118,57 @@ const productSchema = new Schema({
         default: 0
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    id: false
+});
+
+// Products customers can order right now: switched on by the chef and not sold out
+productSchema.statics.availableQuery = function(date = getLocalDate()) {
+    return {
+        isAvailable: true,
+        $and: [
+            { $or: [{ stock: null }, { stock: { $gt: 0 } }] },
+            {
+                $or: [
+                    { dailyCapacity: null },
+                    { capacityDate: { $ne: date } },
+                    { $expr: { $lt: ['$portionsSold', '$dailyCapacity'] } }
+                ]
+            }
+        ]
+    };
+};
+
+/**
+ * Portions that can still be ordered on a day
+ * @param {string} [date] - YYYY-MM-DD, defaults to today
+ * @returns {number} - Infinity without stock or a daily limit
+ */
+productSchema.methods.getRemainingPortions = function(date = getLocalDate()) {
+    let remaining = this.stock !== null && this.stock !== undefined ? this.stock : Infinity;
+
+    if (this.dailyCapacity !== null && this.dailyCapacity !== undefined) {
+        const sold = this.capacityDate === date ? this.portionsSold : 0;
+        remaining = Math.min(remaining, Math.max(0, this.dailyCapacity - sold));
+    }
+    return remaining;
+};
+
+// Left out of products loaded without their stock fields
+const INVENTORY_PATHS = ['stock', 'dailyCapacity', 'portionsSold', 'capacityDate'];
+const hasInventory = (product) => INVENTORY_PATHS.every(path => product.isSelected(path));
+
+// Null when the product has no stock or daily limit
+productSchema.virtual('remainingPortions').get(function() {
+    if (!hasInventory(this)) return undefined;
+
+    const remaining = this.getRemainingPortions();
+    return remaining === Infinity ? null : remaining;
+});
+
+productSchema.virtual('isSoldOut').get(function() {
+    return hasInventory(this) ? this.getRemainingPortions() <= 0 : undefined;
 });
 
 // Add text index for search
@@ -0,0 +1,39 @@
+// models/role.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A named set of permissions. Users reference their role by name (User.role).
+const roleSchema = new Schema({
+    // Machine name stored on users, e.g. 'support_agent'
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]{1,31}$/, 'Role name may only contain lowercase letters, digits and underscores']
+    },
+    displayName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Permission names from utils/permissions.js, or '*' for every permission
+    permissions: {
+        type: [String],
+        default: []
+    },
+    // Built-in roles (user, chef, admin, ...) cannot be deleted
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
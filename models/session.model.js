@@ -0,0 +1,144 @@
+// models/session.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const crypto = require('crypto');
+
+// A persisted login. Access tokens carry the session id (sid) so that
+// revoking the session invalidates every token issued for it.
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 hash of the current refresh token secret (rotated on every refresh)
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hash of the secret it replaced; presenting that one again means it was stolen
+    previousRefreshTokenHash: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    },
+    // Set when support staff is acting as this user; such sessions cannot be refreshed
+    impersonatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    impersonationReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token secret for storage/lookup
+sessionSchema.statics.hashToken = function(secret) {
+    return crypto
+        .createHash('sha256')
+        .update(secret)
+        .digest('hex');
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Told the ids of sessions as they are revoked (socket.js uses this to close
+// their live connections, which never present the access token again)
+const revocationListeners = [];
+
+sessionSchema.statics.onRevoke = function(listener) {
+    revocationListeners.push(listener);
+};
+
+const notifyRevoked = (sessionIds) => {
+    if (sessionIds.length === 0) return;
+
+    revocationListeners.forEach(listener => listener(sessionIds.map(id => id.toString())));
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function(reason) {
+    if (this.revokedAt) return this;
+
+    this.revokedAt = new Date();
+    this.revokedReason = reason || null;
+    await this.save();
+    notifyRevoked([this._id]);
+    return this;
+};
+
+// Record activity, writing at most once a minute to keep authenticated requests cheap
+sessionSchema.methods.touch = async function() {
+    if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+        return this;
+    }
+
+    this.lastSeenAt = new Date();
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lastSeenAt: this.lastSeenAt } });
+    return this;
+};
+
+// Revoke every active session of a user (e.g. after a password change),
+// optionally keeping one session (e.g. "log out everywhere else")
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessionIds = await this.find(filter).distinct('_id');
+    const result = await this.updateMany(
+        { _id: { $in: sessionIds }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason || null } }
+    );
+
+    notifyRevoked(sessionIds);
+    return result;
+};
+
+// Find a session that an access token may still be used with
+sessionSchema.statics.findActive = async function(sessionId, userId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const session = await this.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+    if (userId && session.user.toString() !== userId.toString()) return null;
+
+    return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,32 @@
+// models/slot-booking.model.js
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How many orders a chef has taken for a delivery slot. Counted with
+// conditional updates by utils/delivery-slots.js, so a slot is never overbooked.
+const slotBookingSchema = new Schema({
+    chef: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    date: {
+        type: String, // YYYY-MM-DD, local time (config.timeZone)
+        required: true
+    },
+    time: {
+        type: String, // HH:mm, start of the slot
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+slotBookingSchema.index({ chef: 1, date: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotBooking', slotBookingSchema);
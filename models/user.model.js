@@ -3,6 +3,10 @@ const Schema = mongoose.Schema;
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const config = require('../config');
+const secretBox = require('../utils/secret-box');
+const { isE164 } = require('../utils/phone');
+const { stripSensitiveFields } = require('../utils/redact');
+const { checkPasswordPolicy, createPasswordPolicyError } = require('../utils/password-policy');
 
 const userSchema = new Schema({
     fullName: {
@@ -20,13 +24,20 @@ const userSchema = new Schema({
     password: {
         type: String,
         required: function() {
-            return !this.googleId;
+            return !this.hasOAuthLogin() && !this.isDeletedUserPlaceholder;
         },
         minlength: 8 // Increased minimum length
     },
+    // Set whenever the password changes (for the policy's maximum age)
+    passwordChangedAt: {
+        type: Date,
+        default: null
+    },
+    // Name of a Role document (see models/role.model.js)
     role: {
         type: String,
-        enum: ['user', 'chef', 'admin'],
+        lowercase: true,
+        trim: true,
         default: 'user'
     },
     profileImage: {
@@ -65,21 +76,115 @@ const userSchema = new Schema({
         type: Date,
         default: null
     },
-    phoneNumber:{
+    // Email change: the new address is confirmed with the email verification
+    // token above; the old address gets an undo link
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+    previousEmail: {
+        type: String,
+        default: null
+    },
+    emailChangeUndoToken: {
+        type: String,
+        default: null
+    },
+    emailChangeUndoExpires: {
+        type: Date,
+        default: null
+    },
+    // Passwordless sign-in link
+    magicLinkToken: {
+        type: String,
+        default: null
+    },
+    magicLinkExpires: {
+        type: Date,
+        default: null
+    },
+    // Phone number in E.164 format, e.g. +9779841234567
+    phoneNumber: {
+        type: String,
+        default: null,
+        validate: {
+            // Legacy numbers are only checked once they are changed (see scripts/migrate-phone-numbers.js)
+            validator: function(value) {
+                if (value === null) return true;
+                if (typeof this.isModified === 'function' && !this.isModified('phoneNumber')) return true;
+                return isE164(value);
+            },
+            message: 'Phone number must be in international E.164 format, e.g. +9779841234567'
+        }
+    },
+    isPhoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    // One-time SMS code (hashed), used for phone verification and SMS 2FA
+    phoneOtpHash: {
+        type: String,
+        default: null
+    },
+    phoneOtpPurpose: {
+        type: String,
+        enum: ['verify_phone', 'two_factor', null],
+        default: null
+    },
+    phoneOtpExpires: {
+        type: Date,
+        default: null
+    },
+    phoneOtpAttempts: {
         type: Number,
+        default: 0
+    },
+    // Sign-in providers linked to the account (see config/oauth.js)
+    oauthAccounts: [{
+        _id: false,
+        provider: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        }, // The provider's id for the user
+        email: {
+            type: String,
+            default: null
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // One-time token for linking a provider to a signed-in account
+    oauthLinkToken: {
+        type: String,
         default: null
     },
-    // Google OAuth fields
-    googleId: {
+    oauthLinkProvider: {
         type: String,
         default: null
     },
+    oauthLinkExpires: {
+        type: Date,
+        default: null
+    },
     
     // Two-factor authentication fields
     twoFactorEnabled: {
         type: Boolean,
         default: false
     },
+    smsTwoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    // TOTP secrets are stored encrypted (see utils/secret-box.js)
     twoFactorSecret: {
         type: String,
         default: null
@@ -88,74 +193,202 @@ const userSchema = new Schema({
         type: String,
         default: null
     },
+    // Backup codes are stored as bcrypt hashes, like passwords
     twoFactorBackupCodes: {
         type: [{
-            code: String,
+            codeHash: String,
             used: Boolean
         }],
         default: []
+    },
+    // One-time token (hashed) proving the first login step passed, for the 2FA step
+    twoFactorChallengeToken: {
+        type: String,
+        default: null
+    },
+    twoFactorChallengeExpires: {
+        type: Date,
+        default: null
+    },
+
+    // Login throttling / lockout fields
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date,
+        default: null
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+    accountUnlockToken: {
+        type: String,
+        default: null
+    },
+    accountUnlockExpires: {
+        type: Date,
+        default: null
+    },
+
+    // Suspension by staff. A suspension ends by itself at `until` (if set); a ban doesn't.
+    suspension: {
+        status: {
+            type: String,
+            enum: ['active', 'suspended', 'banned'],
+            default: 'active'
+        },
+        reason: {
+            type: String,
+            default: null
+        }, // Shown to the user
+        notes: {
+            type: String,
+            default: null,
+            select: false
+        }, // Staff only
+        until: {
+            type: Date,
+            default: null
+        },
+        suspendedAt: {
+            type: Date,
+            default: null
+        },
+        suspendedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        // One appeal per suspension
+        appeal: {
+            message: {
+                type: String,
+                default: null
+            },
+            submittedAt: {
+                type: Date,
+                default: null
+            },
+            status: {
+                type: String,
+                enum: [null, 'pending', 'accepted', 'rejected'],
+                default: null
+            },
+            response: {
+                type: String,
+                default: null
+            },
+            resolvedAt: {
+                type: Date,
+                default: null
+            },
+            resolvedBy: {
+                type: Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            }
+        }
+    },
+
+    // Self-service deletion: the account is erased once the grace period ends
+    deletionRequestedAt: {
+        type: Date,
+        default: null
+    },
+    deletionScheduledFor: {
+        type: Date,
+        default: null
+    },
+    // The shared "Deleted User" account that anonymised orders, reviews and chats point to
+    isDeletedUserPlaceholder: {
+        type: Boolean,
+        default: false
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // Never serialise secrets, whether in API responses or in logs
+    toJSON: { transform: stripSensitiveFields },
+    toObject: { transform: stripSensitiveFields }
 });
 
+// A provider identity can only be linked to one account
+userSchema.index(
+    { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+    { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
+
+// Product and chef listings look up suspended accounts on every request
+userSchema.index({ 'suspension.status': 1 });
+
 // Pre-save hook to hash password
 userSchema.pre('save', async function(next) {
     // Only hash the password if it's modified (or new)
     if (!this.isModified('password')) return next();
     
     try {
-        // Check password complexity
-        this.validatePasswordComplexity(this.password);
-
-        // Check password history to prevent reuse
-        if (this.passwordHistory && this.passwordHistory.length > 0) {
-            const isPasswordReused = await this.checkPasswordHistory(this.password);
-            if (isPasswordReused) {
-                throw new Error('Cannot reuse previous passwords');
-            }
+        // Check the password policy, including reuse of recent passwords
+        const failures = checkPasswordPolicy(this.password);
+        const { historyDepth } = config.passwordPolicy;
+        if (historyDepth > 0 && await this.checkPasswordHistory(this.password)) {
+            failures.push({
+                rule: 'history',
+                message: `Password must not be one of your last ${historyDepth} passwords`
+            });
+        }
+        if (failures.length > 0) {
+            throw createPasswordPolicyError(failures);
         }
 
         // Generate salt and hash password
         const salt = await bcrypt.genSalt(config.saltRounds);
         const hashedPassword = await bcrypt.hash(this.password, salt);
         
-        // Store current password in history before updating
-        if (this.isNew || this.passwordHistory.length === 0) {
-            this.passwordHistory = this.passwordHistory || [];
-            this.passwordHistory.unshift({ password: hashedPassword });
-        } else {
-            // Limit password history to last 5 passwords
-            this.passwordHistory.unshift({ password: hashedPassword });
-            this.passwordHistory = this.passwordHistory.slice(0, 5);
-        }
+        // Remember the new password, keeping only as many as the policy checks
+        this.passwordHistory = this.passwordHistory || [];
+        this.passwordHistory.unshift({ password: hashedPassword });
+        this.passwordHistory = this.passwordHistory.slice(0, historyDepth);
 
         this.password = hashedPassword;
+        this.passwordChangedAt = new Date();
         next();
     } catch (err) {
         next(err);
     }
 });
 
-// Method to validate password complexity
+// Method to validate a password against the password policy
 userSchema.methods.validatePasswordComplexity = function(password) {
-    // Validate password complexity
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+    const failures = checkPasswordPolicy(password);
     
-    if (!passwordRegex.test(password)) {
-        throw new Error('Password must be at least 8 characters long and include uppercase, lowercase, number, and special character');
+    if (failures.length > 0) {
+        throw createPasswordPolicyError(failures);
     }
 };
 
 // Method to check password history
 userSchema.methods.checkPasswordHistory = async function(newPassword) {
-    for (let historicPassword of this.passwordHistory) {
+    const recentPasswords = (this.passwordHistory || []).slice(0, config.passwordPolicy.historyDepth);
+    for (let historicPassword of recentPasswords) {
         const isMatch = await bcrypt.compare(newPassword, historicPassword.password);
         if (isMatch) return true;
     }
     return false;
 };
 
+// Check if the password is older than the policy allows
+userSchema.methods.isPasswordExpired = function() {
+    const { maxAgeDays } = config.passwordPolicy;
+    if (!maxAgeDays || !this.password) return false;
+
+    // Passwords set before passwordChangedAt existed count from their history entry
+    const changedAt = this.passwordChangedAt ||
+        (this.passwordHistory && this.passwordHistory.length > 0 ? this.passwordHistory[0].createdAt : this.createdAt);
+    return !!changedAt && Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
 // Method to compare password for login
 userSchema.methods.comparePassword = async function(candidatePassword) {
     if (!this.password) return false;
@@ -196,6 +429,374 @@ userSchema.methods.generateEmailVerificationToken = function() {
     return verificationToken; // Return unhashed token for email
 };
 
+// Start an email change. Returns the token that confirms the new address
+// (sent to the new address) and the token that undoes the change (sent to the old one).
+userSchema.methods.startEmailChange = function(newEmail) {
+    this.pendingEmail = newEmail;
+    this.previousEmail = this.email;
+    
+    const confirmToken = this.generateEmailVerificationToken();
+    
+    const undoToken = crypto.randomBytes(32).toString('hex');
+    this.emailChangeUndoToken = crypto
+        .createHash('sha256')
+        .update(undoToken)
+        .digest('hex');
+    this.emailChangeUndoExpires = Date.now() + config.emailChangeUndoExpiresIn;
+    
+    return { confirmToken, undoToken };
+};
+
+// Check if a completed email change can still be undone from the old address
+userSchema.methods.hasRecentEmailChange = function() {
+    return !this.pendingEmail && !!this.emailChangeUndoExpires && this.emailChangeUndoExpires > Date.now();
+};
+
+// Switch to the confirmed pending address. Linked sign-in providers are
+// unlinked, since their identities belong to the old address.
+// Returns the names of the providers that were unlinked.
+userSchema.methods.applyPendingEmailChange = function() {
+    const unlinkedProviders = this.oauthAccounts.map(account => account.provider);
+    
+    this.email = this.pendingEmail;
+    this.pendingEmail = null;
+    this.isEmailVerified = true;
+    this.emailVerificationToken = null;
+    this.emailVerificationExpires = null;
+    this.oauthAccounts = [];
+    
+    return unlinkedProviders;
+};
+
+// Clear every trace of an email change, including the undo link
+userSchema.methods.cancelPendingEmailChange = function() {
+    this.pendingEmail = null;
+    this.previousEmail = null;
+    this.emailVerificationToken = null;
+    this.emailVerificationExpires = null;
+    this.emailChangeUndoToken = null;
+    this.emailChangeUndoExpires = null;
+};
+
+// Method to generate a one-time magic sign-in link token
+userSchema.methods.generateMagicLinkToken = function() {
+    // Generate a secure random token
+    const magicLinkToken = crypto.randomBytes(32).toString('hex');
+    
+    // Hash the token before storing
+    this.magicLinkToken = crypto
+        .createHash('sha256')
+        .update(magicLinkToken)
+        .digest('hex');
+    
+    // Magic links are short-lived
+    this.magicLinkExpires = Date.now() + config.magicLinkExpiresIn;
+    
+    return magicLinkToken; // Return unhashed token for email
+};
+
+// Check if any sign-in provider is linked
+userSchema.methods.hasOAuthLogin = function() {
+    return !!this.oauthAccounts && this.oauthAccounts.length > 0;
+};
+
+// Get the linked account for a sign-in provider
+userSchema.methods.getOAuthAccount = function(provider) {
+    return (this.oauthAccounts || []).find(account => account.provider === provider) || null;
+};
+
+// Method to generate a one-time token that starts linking a sign-in provider
+userSchema.methods.generateOAuthLinkToken = function(provider) {
+    const oauthLinkToken = crypto.randomBytes(32).toString('hex');
+    
+    // Hash the token before storing
+    this.oauthLinkToken = crypto
+        .createHash('sha256')
+        .update(oauthLinkToken)
+        .digest('hex');
+    
+    this.oauthLinkProvider = provider;
+    this.oauthLinkExpires = Date.now() + config.oauthLinkExpiresIn;
+    
+    return oauthLinkToken;
+};
+
+// Check if the account is currently suspended or banned
+userSchema.methods.isSuspended = function() {
+    if (!this.suspension || this.suspension.status === 'active') return false;
+    if (this.suspension.status === 'banned') return true;
+    return !this.suspension.until || this.suspension.until > Date.now();
+};
+
+// Suspension details the user may see (staff notes stay out)
+userSchema.methods.getSuspensionSummary = function() {
+    if (!this.isSuspended()) return null;
+
+    return {
+        status: this.suspension.status,
+        reason: this.suspension.reason,
+        until: this.suspension.until,
+        suspendedAt: this.suspension.suspendedAt,
+        appeal: this.suspension.appeal && this.suspension.appeal.status ? {
+            status: this.suspension.appeal.status,
+            submittedAt: this.suspension.appeal.submittedAt,
+            response: this.suspension.appeal.response,
+            resolvedAt: this.suspension.appeal.resolvedAt
+        } : null
+    };
+};
+
+// Check if any second factor (TOTP or SMS) is enabled
+userSchema.methods.hasTwoFactor = function() {
+    return !!(this.twoFactorEnabled || this.smsTwoFactorEnabled);
+};
+
+// Second factors the user can complete login with
+userSchema.methods.getTwoFactorMethods = function() {
+    const methods = [];
+    if (this.twoFactorEnabled) methods.push('totp', 'backup_code');
+    if (this.smsTwoFactorEnabled && this.isPhoneVerified) methods.push('sms');
+    return methods;
+};
+
+// Method to generate the token that lets the client complete login with a
+// second factor. Only issued once the password (or link, or provider) step passed.
+userSchema.methods.generateTwoFactorChallenge = function() {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    
+    // Hash the token before storing
+    this.twoFactorChallengeToken = crypto
+        .createHash('sha256')
+        .update(challengeToken)
+        .digest('hex');
+    this.twoFactorChallengeExpires = Date.now() + config.twoFactorChallengeExpiresIn;
+    
+    return challengeToken; // Return unhashed token for the client
+};
+
+// Find the user a 2FA challenge token was issued to, while it is valid
+userSchema.statics.findByTwoFactorChallenge = async function(challengeToken) {
+    if (typeof challengeToken !== 'string' || !challengeToken) return null;
+
+    return await this.findOne({
+        twoFactorChallengeToken: crypto.createHash('sha256').update(challengeToken).digest('hex'),
+        twoFactorChallengeExpires: { $gt: Date.now() }
+    });
+};
+
+// Use up the user's 2FA challenge. Returns false if another request already did.
+userSchema.methods.consumeTwoFactorChallenge = async function() {
+    const result = await this.constructor.updateOne(
+        { _id: this._id, twoFactorChallengeToken: this.twoFactorChallengeToken },
+        { $set: { twoFactorChallengeToken: null, twoFactorChallengeExpires: null } }
+    );
+    return result.nModified === 1;
+};
+
+// Method to generate a 6-digit SMS code for the given purpose
+userSchema.methods.generatePhoneOtp = function(purpose) {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    
+    // Hash the code before storing
+    this.phoneOtpHash = crypto
+        .createHash('sha256')
+        .update(`${this._id}:${purpose}:${code}`)
+        .digest('hex');
+    this.phoneOtpPurpose = purpose;
+    this.phoneOtpExpires = Date.now() + config.sms.otpExpiresIn;
+    this.phoneOtpAttempts = 0;
+    
+    return code; // Return plain code for the SMS
+};
+
+// Check if a new SMS code may be sent yet
+userSchema.methods.canResendPhoneOtp = function() {
+    if (!this.phoneOtpExpires) return true;
+    const issuedAt = this.phoneOtpExpires.getTime() - config.sms.otpExpiresIn;
+    return Date.now() - issuedAt >= config.sms.otpResendInterval;
+};
+
+// Check an SMS code. Consumes the code on success; too many wrong guesses burn it.
+userSchema.methods.verifyPhoneOtp = function(code, purpose) {
+    if (!this.phoneOtpHash || this.phoneOtpPurpose !== purpose || this.phoneOtpExpires < Date.now()) {
+        return false;
+    }
+    
+    const candidateHash = crypto
+        .createHash('sha256')
+        .update(`${this._id}:${purpose}:${String(code).trim()}`)
+        .digest('hex');
+    
+    if (candidateHash !== this.phoneOtpHash) {
+        this.phoneOtpAttempts += 1;
+        if (this.phoneOtpAttempts >= config.sms.otpMaxAttempts) {
+            this.clearPhoneOtp();
+        }
+        return false;
+    }
+    
+    this.clearPhoneOtp();
+    return true;
+};
+
+userSchema.methods.clearPhoneOtp = function() {
+    this.phoneOtpHash = null;
+    this.phoneOtpPurpose = null;
+    this.phoneOtpExpires = null;
+    this.phoneOtpAttempts = 0;
+};
+
+// Store a pending TOTP secret (encrypted) during 2FA setup
+userSchema.methods.setTwoFactorTempSecret = function(secret) {
+    this.twoFactorTempSecret = secretBox.encrypt(secret);
+};
+
+// Get the decrypted pending TOTP secret
+userSchema.methods.getTwoFactorTempSecret = function() {
+    return secretBox.decrypt(this.twoFactorTempSecret);
+};
+
+// Get the decrypted active TOTP secret
+userSchema.methods.getTwoFactorSecret = function() {
+    return secretBox.decrypt(this.twoFactorSecret);
+};
+
+// Replace the backup codes with bcrypt hashes of the given plain codes
+userSchema.methods.setBackupCodes = async function(plainCodes) {
+    this.twoFactorBackupCodes = await Promise.all(plainCodes.map(async code => ({
+        codeHash: await bcrypt.hash(code, config.saltRounds),
+        used: false
+    })));
+};
+
+// Check a backup code and mark it as used. Returns true if it was valid.
+userSchema.methods.useBackupCode = async function(candidateCode) {
+    for (const backupCode of this.twoFactorBackupCodes) {
+        if (backupCode.used || !backupCode.codeHash) continue;
+        
+        if (await bcrypt.compare(candidateCode, backupCode.codeHash)) {
+            backupCode.used = true;
+            return true;
+        }
+    }
+    return false;
+};
+
+// Check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Milliseconds the user must wait before the next login attempt is accepted.
+// The delay doubles with every failure after the first few attempts.
+userSchema.methods.getLoginDelay = function() {
+    const { delayAfterAttempts, baseDelayMs, maxDelayMs } = config.loginThrottle;
+    
+    if (this.failedLoginAttempts < delayAfterAttempts || !this.lastFailedLoginAt) {
+        return 0;
+    }
+    
+    const delay = Math.min(
+        baseDelayMs * Math.pow(2, this.failedLoginAttempts - delayAfterAttempts),
+        maxDelayMs
+    );
+    
+    return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Method to generate account unlock token
+userSchema.methods.generateAccountUnlockToken = function() {
+    // Generate a secure random token
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+    
+    // Hash the token before storing
+    this.accountUnlockToken = crypto
+        .createHash('sha256')
+        .update(unlockToken)
+        .digest('hex');
+    
+    // Token is valid for as long as the lock itself
+    this.accountUnlockExpires = this.lockUntil || Date.now() + config.loginThrottle.lockoutDurationMs;
+    
+    return unlockToken; // Return unhashed token for email
+};
+
+// Clear failed attempts and any lockout
+userSchema.methods.resetLoginAttempts = async function() {
+    if (!this.failedLoginAttempts && !this.lockUntil) return this;
+    
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = null;
+    this.lockUntil = null;
+    this.accountUnlockToken = null;
+    this.accountUnlockExpires = null;
+    return await this.save();
+};
+
+// Atomically record a failed login attempt and lock the account once the
+// limit is reached. Returns the updated user and whether it just got locked.
+userSchema.statics.registerFailedLogin = async function(userId) {
+    const { maxAttempts, lockoutDurationMs } = config.loginThrottle;
+    
+    const user = await this.findByIdAndUpdate(
+        userId,
+        {
+            $inc: { failedLoginAttempts: 1 },
+            $set: { lastFailedLoginAt: new Date() }
+        },
+        { new: true }
+    );
+    
+    if (!user || user.failedLoginAttempts < maxAttempts || user.isLocked()) {
+        return { user, justLocked: false };
+    }
+    
+    user.lockUntil = new Date(Date.now() + lockoutDurationMs);
+    await user.save();
+    
+    return { user, justLocked: true };
+};
+
+// Check if the account is waiting to be deleted
+userSchema.methods.isPendingDeletion = function() {
+    return !!this.deletionScheduledFor;
+};
+
+// Query matching every account that is suspended or banned right now
+userSchema.statics.suspendedQuery = function() {
+    return {
+        $or: [
+            { 'suspension.status': 'banned' },
+            {
+                'suspension.status': 'suspended',
+                $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: new Date() } }]
+            }
+        ]
+    };
+};
+
+// Ids of the accounts that are suspended or banned right now
+userSchema.statics.getSuspendedUserIds = async function() {
+    return await this.find(this.suspendedQuery()).distinct('_id');
+};
+
+// Find (or create) the placeholder that stands in for deleted users.
+// It has no password or linked login, so nobody can sign in as it.
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+    return await this.findOneAndUpdate(
+        { isDeletedUserPlaceholder: true },
+        {
+            $setOnInsert: {
+                fullName: 'Deleted User',
+                email: 'deleted-user@foodhub.invalid',
+                role: 'user',
+                isDeletedUserPlaceholder: true
+            }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const roleController = require('../controllers/role.controller');
+const impersonationController = require('../controllers/impersonation.controller');
+const suspensionController = require('../controllers/suspension.controller');
+const { check } = require('express-validator');
+const { authenticate, blockWhileImpersonating, requirePermission } = require('../middleware/auth');
+
+// @route   GET /api/admin/audit
+// @desc    Query the security audit log
+// @access  Private (audit:read)
+router.get(
+    '/audit',
+    authenticate,
+    requirePermission('audit:read'),
+    auditController.getAuditLogs
+);
+
+// Role validation
+const roleValidation = [
+    check('displayName', 'Display name is required').optional().notEmpty().trim(),
+    check('permissions', 'Permissions must be a list').optional().isArray()
+];
+
+// @route   GET /api/admin/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles:manage)
+router.get(
+    '/permissions',
+    authenticate,
+    requirePermission('roles:manage'),
+    roleController.getPermissions
+);
+
+// @route   GET /api/admin/roles
+// @desc    List roles
+// @access  Private (roles:manage)
+router.get(
+    '/roles',
+    authenticate,
+    requirePermission('roles:manage'),
+    roleController.getRoles
+);
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Private (roles:manage)
+router.post(
+    '/roles',
+    authenticate,
+    requirePermission('roles:manage'),
+    check('name', 'Role name is required').notEmpty(),
+    check('displayName', 'Display name is required').notEmpty(),
+    roleValidation,
+    roleController.createRole
+);
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role
+// @access  Private (roles:manage)
+router.put(
+    '/roles/:name',
+    authenticate,
+    requirePermission('roles:manage'),
+    roleValidation,
+    roleController.updateRole
+);
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role
+// @access  Private (roles:manage)
+router.delete(
+    '/roles/:name',
+    authenticate,
+    requirePermission('roles:manage'),
+    roleController.deleteRole
+);
+
+// @route   POST /api/admin/impersonate/:id
+// @desc    Act as another user for support
+// @access  Private (users:impersonate)
+router.post(
+    '/impersonate/:id',
+    authenticate,
+    blockWhileImpersonating,
+    requirePermission('users:impersonate'),
+    check('reason', 'A reason (e.g. the support ticket) is required').trim().notEmpty(),
+    impersonationController.startImpersonation
+);
+
+// @route   DELETE /api/admin/impersonation
+// @desc    End the current impersonation
+// @access  Private (impersonation token)
+router.delete(
+    '/impersonation',
+    authenticate,
+    impersonationController.stopImpersonation
+);
+
+// @route   GET /api/admin/suspensions
+// @desc    List suspended and banned accounts with their appeals
+// @access  Private (users:suspend)
+router.get(
+    '/suspensions',
+    authenticate,
+    requirePermission('users:suspend'),
+    suspensionController.getSuspendedUsers
+);
+
+// @route   POST /api/admin/users/:id/suspension
+// @desc    Suspend or ban a user
+// @access  Private (users:suspend)
+router.post(
+    '/users/:id/suspension',
+    authenticate,
+    blockWhileImpersonating,
+    requirePermission('users:suspend'),
+    check('status', 'Status must be suspended or banned').isIn(['suspended', 'banned']),
+    check('reason', 'A reason is required').trim().notEmpty(),
+    check('until', 'End date must be a valid date').optional().isISO8601(),
+    check('notes', 'Notes must be text').optional().isString(),
+    suspensionController.suspendUser
+);
+
+// @route   DELETE /api/admin/users/:id/suspension
+// @desc    Lift a suspension or ban
+// @access  Private (users:suspend)
+router.delete(
+    '/users/:id/suspension',
+    authenticate,
+    blockWhileImpersonating,
+    requirePermission('users:suspend'),
+    suspensionController.liftSuspension
+);
+
+// @route   PUT /api/admin/users/:id/suspension/appeal
+// @desc    Accept or reject a user's appeal
+// @access  Private (users:suspend)
+router.put(
+    '/users/:id/suspension/appeal',
+    authenticate,
+    blockWhileImpersonating,
+    requirePermission('users:suspend'),
+    check('decision', 'Decision must be accepted or rejected').isIn(['accepted', 'rejected']),
+    check('response', 'Response must be text').optional().isString(),
+    suspensionController.resolveAppeal
+);
+
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
+const sessionController = require('../controllers/session.controller');
+const accountController = require('../controllers/account.controller');
 const validation = require('../middleware/validation');
-const { authenticate } = require('../middleware/auth');
-const User = require('../models/user.model');
-const crypto = require('crypto');
+const { authenticate, blockWhileImpersonating } = require('../middleware/auth');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -15,6 +15,14 @@ router.post(
     authController.register
 );
 
+// @route   GET /api/auth/password-policy
+// @desc    Rules new passwords must follow
+// @access  Public
+router.get(
+    '/password-policy',
+    authController.getPasswordPolicy
+);
+
 // @route   GET /api/auth/verify-email/:token
 // @desc    Verify user email
 // @access  Public
@@ -41,6 +49,84 @@ router.post(
     authController.login
 );
 
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time passwordless sign-in link
+// @access  Public
+router.post(
+    '/magic-link',
+    validation.emailValidation,
+    authController.requestMagicLink
+);
+
+// @route   GET /api/auth/magic-link/:token
+// @desc    Sign in with a magic link token
+// @access  Public
+router.get(
+    '/magic-link/:token',
+    authController.magicLinkLogin
+);
+
+// @route   GET /api/auth/email-change/undo/:token
+// @desc    Cancel or revert an email change (link sent to the old address)
+// @access  Public
+router.get(
+    '/email-change/undo/:token',
+    accountController.undoEmailChange
+);
+
+// @route   GET /api/auth/unlock/:token
+// @desc    Unlock an account locked after too many failed logins
+// @access  Public
+router.get(
+    '/unlock/:token',
+    authController.unlockAccount
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public (requires a valid refresh token)
+router.post(
+    '/refresh',
+    authController.refreshToken
+);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Public (requires a valid refresh token)
+router.post(
+    '/logout',
+    authController.logout
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List logged-in devices
+// @access  Private
+router.get(
+    '/sessions',
+    authenticate,
+    sessionController.getSessions
+);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere except the current device
+// @access  Private
+router.delete(
+    '/sessions',
+    authenticate,
+    blockWhileImpersonating,
+    sessionController.revokeOtherSessions
+);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out a single device
+// @access  Private
+router.delete(
+    '/sessions/:id',
+    authenticate,
+    blockWhileImpersonating,
+    sessionController.revokeSession
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
@@ -171,6 +257,7 @@ router.post(
 router.post(
     '/change-password',
     authenticate,
+    blockWhileImpersonating,
     validation.changePasswordValidation,
     authController.changePassword
 );
@@ -184,179 +271,4 @@ router.get(
     authController.testToken
 );
 
-// DEVELOPMENT ROUTES - Remove these in production
-if (process.env.NODE_ENV !== 'production') {
-    // @route   GET /api/auth/dev/verify-all
-    // @desc    Verify all unverified emails (DEVELOPMENT ONLY)
-    // @access  Public
-    router.get(
-        '/dev/verify-all',
-        async (req, res) => {
-            try {
-                console.log('DEVELOPMENT ROUTE: Verifying all unverified emails');
-                const result = await User.updateMany(
-                    { isEmailVerified: false },
-                    { 
-                        $set: { 
-                            isEmailVerified: true,
-                            emailVerificationToken: null,
-                            emailVerificationExpires: null
-                        } 
-                    }
-                );
-                
-                console.log(`Updated ${result.nModified} users`);
-                res.json({
-                    success: true,
-                    message: `Verified ${result.nModified} users`,
-                    result
-                });
-            } catch (err) {
-                console.error('Error verifying all users:', err);
-                res.status(500).json({
-                    success: false,
-                    message: 'Server error during verification'
-                });
-            }
-        }
-    );
-
-    // @route   GET /api/auth/dev/verify/:email
-    // @desc    Verify a specific email (DEVELOPMENT ONLY)
-    // @access  Public
-    router.get(
-        '/dev/verify/:email',
-        async (req, res) => {
-            try {
-                const email = req.params.email;
-                console.log(`DEVELOPMENT ROUTE: Verifying email ${email}`);
-                
-                const user = await User.findOne({ email });
-                if (!user) {
-                    return res.status(404).json({
-                        success: false,
-                        message: 'User not found'
-                    });
-                }
-                
-                user.isEmailVerified = true;
-                user.emailVerificationToken = null;
-                user.emailVerificationExpires = null;
-                await user.save();
-                
-                console.log(`User ${email} verified successfully`);
-                res.json({
-                    success: true,
-                    message: `User ${email} verified successfully`
-                });
-            } catch (err) {
-                console.error('Error verifying user:', err);
-                res.status(500).json({
-                    success: false,
-                    message: 'Server error during verification'
-                });
-            }
-        }
-    );
-
-    // @route   GET /api/auth/dev/generate-reset-token/:email
-    // @desc    Generate password reset token for a user (DEVELOPMENT ONLY)
-    // @access  Public
-    router.get(
-        '/dev/generate-reset-token/:email',
-        async (req, res) => {
-            try {
-                const email = req.params.email;
-                console.log(`DEVELOPMENT ROUTE: Generating reset token for ${email}`);
-                
-                const user = await User.findOne({ email });
-                if (!user) {
-                    return res.status(404).json({
-                        success: false,
-                        message: 'User not found'
-                    });
-                }
-                
-                // Generate reset token
-                const resetToken = crypto.randomBytes(20).toString('hex');
-                
-                // Hash token and set to resetPasswordToken field
-                user.resetPasswordToken = crypto
-                    .createHash('sha256')
-                    .update(resetToken)
-                    .digest('hex');
-                
-                // Set expiry (1 hour)
-                user.resetPasswordExpires = Date.now() + 3600000;
-                
-                await user.save();
-                
-                const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
-                
-                console.log(`User ${email} reset token generated`);
-                console.log(`Reset URL: ${resetUrl}`);
-                
-                res.json({
-                    success: true,
-                    message: `Reset token generated for ${email}`,
-                    resetToken,
-                    resetUrl
-                });
-            } catch (err) {
-                console.error('Error generating reset token:', err);
-                res.status(500).json({
-                    success: false,
-                    message: 'Server error during reset token generation'
-                });
-            }
-        }
-    );
-
-    // @route   GET /api/auth/dev/debug-smtp
-    // @desc    Test SMTP configuration (DEVELOPMENT ONLY)
-    // @access  Public
-    router.get(
-        '/dev/debug-smtp',
-        async (req, res) => {
-            try {
-                const config = require('../config');
-                const sendEmail = require('../utils/email');
-                
-                console.log('DEVELOPMENT ROUTE: Debugging SMTP configuration');
-                console.log('Current SMTP Configuration:');
-                console.log(`Host: ${config.smtp.host}`);
-                console.log(`Port: ${config.smtp.port}`);
-                console.log(`Secure: ${config.smtp.secure}`);
-                console.log(`Username: ${config.smtp.username}`);
-                console.log(`Password set: ${config.smtp.password ? 'Yes' : 'No'}`);
-                console.log(`From Name: ${config.smtp.fromName}`);
-                console.log(`From Email: ${config.smtp.fromEmail}`);
-                
-                // Try sending a test email
-                const to = req.query.email || config.smtp.username;
-                console.log(`Attempting to send test email to: ${to}`);
-                
-                await sendEmail({
-                    email: to,
-                    subject: 'SMTP Test Email',
-                    message: 'This is a test email to verify that your SMTP configuration is working correctly.',
-                    html: '<h1>SMTP Test</h1><p>If you can see this email, your SMTP configuration is working!</p>'
-                });
-                
-                res.json({
-                    success: true,
-                    message: `Test email sent to ${to}. Check your inbox and server logs.`
-                });
-            } catch (err) {
-                console.error('SMTP Debug Error:', err);
-                res.status(500).json({
-                    success: false,
-                    message: `SMTP Test Failed: ${err.message}`,
-                    error: err.stack
-                });
-            }
-        }
-    );
-}
-
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const cartController = require('../controllers/cart.controller');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 // Apply authenticate middleware to each route individually
 router.get('/', authenticate, cartController.getCart);
@@ -10,22 +11,25 @@ router.get('/', authenticate, cartController.getCart);
 router.post('/', [
     authenticate,
     check('productId', 'Product ID is required').notEmpty().isMongoId(),
-    check('quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 })
+    check('quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 }),
+    idempotent
 ], cartController.addToCart);
 
 router.put('/:id', [
     authenticate,
-    check('quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 })
+    check('quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 }),
+    idempotent
 ], cartController.updateCartItem);
 
 // New route for updating just condiments
 router.put('/:id/condiments', [
     authenticate,
-    check('selectedCondiments', 'Selected condiments must be an array').isArray()
+    check('selectedCondiments', 'Selected condiments must be an array').isArray(),
+    idempotent
 ], cartController.updateCartItemCondiments);
 
-router.delete('/:id', authenticate, cartController.removeFromCart);
+router.delete('/:id', authenticate, idempotent, cartController.removeFromCart);
 
-router.delete('/', authenticate, cartController.clearCart);
+router.delete('/', authenticate, idempotent, cartController.clearCart);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const chefController = require('../controllers/chef.controller');
-const { authenticate, isAdmin, isChef } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 const { 
     handleChefCertificatesUpload, 
@@ -40,31 +40,31 @@ router.post(
 
 // @route   GET /api/chefs/applications
 // @desc    Get all chef applications
-// @access  Private/Admin
+// @access  Private (chefs:approve)
 router.get(
     '/applications',
     authenticate,
-    isAdmin,
+    requirePermission('chefs:approve'),
     chefController.getChefApplications
 );
 
 // @route   PUT /api/chefs/applications/:id/approve
 // @desc    Approve a chef application
-// @access  Private/Admin
+// @access  Private (chefs:approve)
 router.put(
     '/applications/:id/approve',
     authenticate,
-    isAdmin,
+    requirePermission('chefs:approve'),
     chefController.approveChefApplication
 );
 
 // @route   DELETE /api/chefs/applications/:id
 // @desc    Reject a chef application
-// @access  Private/Admin
+// @access  Private (chefs:approve)
 router.delete(
     '/applications/:id',
     authenticate,
-    isAdmin,
+    requirePermission('chefs:approve'),
     chefController.rejectChefApplication
 );
 
@@ -76,6 +76,16 @@ router.get(
     chefController.getAllChefs
 );
 
+// @route   GET /api/chefs/:id/slots
+// @desc    Get the delivery slots a chef can still take orders for
+//          (?from=YYYY-MM-DD&days=7&products=id1,id2 to fit the chosen dishes)
+// @access  Public
+router.get(
+    '/:id/slots',
+    validation.chefSlotsValidation,
+    chefController.getChefSlots
+);
+
 // @route   GET /api/chefs/:id
 // @desc    Get chef by ID
 // @access  Public
@@ -86,16 +96,38 @@ router.get(
 
 // @route   PUT /api/chefs/profile
 // @desc    Update chef profile
-// @access  Private (Chef only)
+// @access  Private (chefs:manage_profile)
 router.put(
     '/profile',
     authenticate,
-    isChef,
+    requirePermission('chefs:manage_profile'),
     validation.chefApplicationValidation,
     handleChefPortfolioUpload,
     chefController.updateChefProfile
 );
 
+// @route   PUT /api/chefs/profile/schedule
+// @desc    Update the chef's working hours, holidays and orders per delivery slot
+// @access  Private (chefs:manage_profile)
+router.put(
+    '/profile/schedule',
+    authenticate,
+    requirePermission('chefs:manage_profile'),
+    validation.chefScheduleValidation,
+    chefController.updateChefSchedule
+);
+
+// @route   PUT /api/chefs/profile/delivery
+// @desc    Update where the chef delivers (zones) and the delivery fees
+// @access  Private (chefs:manage_profile)
+router.put(
+    '/profile/delivery',
+    authenticate,
+    requirePermission('chefs:manage_profile'),
+    validation.chefDeliveryValidation,
+    chefController.updateChefDelivery
+);
+
 // Add this to your chef.routes.js file
 router.post(
     '/test-upload',
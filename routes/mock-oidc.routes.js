@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const mockOidcController = require('../controllers/mock-oidc.controller');
+
+// @route   GET /mock-oidc/.well-known/openid-configuration
+// @desc    Discovery document
+// @access  Public
+router.get(
+    '/.well-known/openid-configuration',
+    mockOidcController.getConfiguration
+);
+
+// @route   GET /mock-oidc/authorize
+// @desc    Sign-in form of the mock provider
+// @access  Public
+router.get(
+    '/authorize',
+    mockOidcController.showAuthorizeForm
+);
+
+// @route   POST /mock-oidc/authorize
+// @desc    Approve the sign-in and redirect back with a code
+// @access  Public
+router.post(
+    '/authorize',
+    mockOidcController.authorize
+);
+
+// @route   POST /mock-oidc/token
+// @desc    Exchange an authorization code for an access token
+// @access  Public (client credentials)
+router.post(
+    '/token',
+    mockOidcController.token
+);
+
+// @route   GET /mock-oidc/userinfo
+// @desc    Claims of the signed-in user
+// @access  Public (Bearer access token)
+router.get(
+    '/userinfo',
+    mockOidcController.userInfo
+);
+
+module.exports = router;
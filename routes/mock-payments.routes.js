@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const mockPaymentsController = require('../controllers/mock-payments.controller');
+
+// @route   GET /mock-payments/authenticate/:intentId
+// @desc    Confirmation page of the mock payment gateway
+// @access  Public
+router.get(
+    '/authenticate/:intentId',
+    mockPaymentsController.showAuthenticationForm
+);
+
+// @route   POST /mock-payments/authenticate/:intentId
+// @desc    Approve or decline the payment
+// @access  Public
+router.post(
+    '/authenticate/:intentId',
+    mockPaymentsController.authenticate
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const oauthController = require('../controllers/oauth.controller');
+
+// Older Google URLs. The callback is the redirect URI registered with Google.
+const useProvider = (name) => (req, res, next) => {
+    req.params.provider = name;
+    next();
+};
+
+// @route   GET /api/auth/oauth/providers
+// @desc    List the sign-in providers the frontend can offer
+// @access  Public
+router.get(
+    '/oauth/providers',
+    oauthController.getProviders
+);
+
+// @route   POST /api/auth/oauth/exchange
+// @desc    Exchange the one-time code from a provider sign-in for tokens
+// @access  Public
+router.post(
+    '/oauth/exchange',
+    oauthController.exchangeLoginCode
+);
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start signing in with a provider
+// @access  Public
+router.get(
+    '/oauth/:provider',
+    oauthController.startLogin
+);
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Handle a provider's callback
+// @access  Public
+router.get(
+    '/oauth/:provider/callback',
+    oauthController.handleCallback
+);
+
+// @route   GET /api/auth/oauth/:provider/link/:token
+// @desc    Continue linking a provider to a signed-in account
+// @access  Public (link token from POST /api/users/me/oauth/:provider/link)
+router.get(
+    '/oauth/:provider/link/:token',
+    oauthController.startLink
+);
+
+// @route   GET /api/auth/google
+// @desc    Initiate Google OAuth flow (same as /api/auth/oauth/google)
+// @access  Public
+router.get(
+    '/google',
+    useProvider('google'),
+    oauthController.startLogin
+);
+
+// @route   GET /api/auth/google/callback
+// @desc    Handle Google OAuth callback
+// @access  Public
+router.get(
+    '/google/callback',
+    useProvider('google'),
+    oauthController.handleCallback
+);
+
+module.exports = router;
@@ -1,25 +1,52 @@
 // routes/orders.routes.js
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
 const orderController = require('../controllers/orders.controller');
+const paymentController = require('../controllers/payment.controller');
 const auth = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 // Create order validation
 const createOrderValidation = [
   check('deliveryAddress', 'Delivery address is required').not().isEmpty(),
-  check('deliveryDate', 'Delivery date is required').not().isEmpty(),
-  check('deliveryTime', 'Delivery time is required').not().isEmpty(),
-  check('paymentMethod', 'Payment method is required').not().isEmpty()
+  // Optional structured address, e.g. picked on a map; the address is geocoded without it
+  check('deliveryLocation', 'Delivery location must be an object').optional().isObject(),
+  check('deliveryLocation.coordinates', 'Coordinates must be an object with lat and lng').optional().isObject(),
+  // A location without both coordinates can't be placed
+  check('deliveryLocation.coordinates.lat', 'Latitude must be between -90 and 90')
+    .if(body('deliveryLocation.coordinates').exists())
+    .exists().bail().isFloat({ min: -90, max: 90 }),
+  check('deliveryLocation.coordinates.lng', 'Longitude must be between -180 and 180')
+    .if(body('deliveryLocation.coordinates').exists())
+    .exists().bail().isFloat({ min: -180, max: 180 }),
+  // The delivery slot, see GET /api/chefs/:id/slots
+  check('deliveryDate', 'Delivery date must be a date (YYYY-MM-DD)').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  check('deliveryTime', 'Delivery time must be a time of day (HH:mm)').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  check('paymentMethod', 'Payment method must be card or cash_on_delivery').isIn(['card', 'cash_on_delivery'])
+];
+
+// Refund validation
+const refundValidation = [
+  check('reason', 'A reason is required for a refund').trim().not().isEmpty(),
+  check('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 }),
+  check('chefItemId', 'Invalid chef item ID').optional().isMongoId()
+];
+
+// Payment adjustment validation
+const adjustmentValidation = [
+  check('reason', 'A reason is required for an adjustment').trim().not().isEmpty(),
+  check('amount', 'Amount must be a number other than zero').isFloat().custom(value => Number(value) !== 0)
 ];
 
 // @route   POST /api/orders
-// @desc    Create a new order from cart
+// @desc    Create a new order from cart (card payments send the provider's paymentToken)
 // @access  Private
 router.post(
   '/',
   auth.authenticate,
   createOrderValidation,
+  idempotent,
   orderController.createOrder
 );
 
@@ -34,11 +61,11 @@ router.get(
 
 // @route   GET /api/orders/chef
 // @desc    Get all orders for a chef
-// @access  Private (Chef only)
+// @access  Private (orders:fulfil)
 router.get(
   '/chef',
   auth.authenticate,
-  auth.isChef,
+  auth.requirePermission('orders:fulfil'),
   orderController.getChefOrders
 );
 
@@ -61,29 +88,97 @@ router.get(
 );
 
 // @route   PATCH /api/orders/:id/status
-// @desc    Update order status
+// @desc    Update order status (a reason is required when cancelling)
 // @access  Private (Chef or Admin)
 router.patch(
   '/:id/status',
   auth.authenticate,
+  idempotent,
   orderController.updateOrderStatus
 );
 
 // @route   PATCH /api/orders/:id/cancel
-// @desc    Cancel an order (user only)
+// @desc    Cancel an order (customer before it is received, chef for their items, or staff)
 // @access  Private
 router.patch(
   '/:id/cancel',
   auth.authenticate,
+  idempotent,
   orderController.cancelOrder
 );
 
+// @route   PATCH /api/orders/:id/reject
+// @desc    Reject the current chef's part of an order
+// @access  Private (orders:fulfil)
+router.patch(
+  '/:id/reject',
+  auth.authenticate,
+  auth.requirePermission('orders:fulfil'),
+  [check('reason', 'A reason is required to reject an order').trim().not().isEmpty()],
+  idempotent,
+  orderController.rejectChefItems
+);
+
+// @route   PATCH /api/orders/:id/chefs/:chefId/cancel
+// @desc    Cancel one chef's part of an order (customer before the chef accepts it, or staff with a reason)
+// @access  Private
+router.patch(
+  '/:id/chefs/:chefId/cancel',
+  auth.authenticate,
+  idempotent,
+  orderController.cancelChefItems
+);
+
+// @route   DELETE /api/orders/:id/items/:itemId
+// @desc    Remove an item from an order (a reason is required for chefs and staff)
+// @access  Private
+router.delete(
+  '/:id/items/:itemId',
+  auth.authenticate,
+  idempotent,
+  orderController.removeOrderItem
+);
+
+// @route   GET /api/orders/:id/payments
+// @desc    Get the payment ledger of an order
+// @access  Private
+router.get(
+  '/:id/payments',
+  auth.authenticate,
+  paymentController.getOrderPayments
+);
+
+// @route   POST /api/orders/:id/refunds
+// @desc    Refund an order in full or in part
+// @access  Private (orders:refund)
+router.post(
+  '/:id/refunds',
+  auth.authenticate,
+  auth.requirePermission('orders:refund'),
+  refundValidation,
+  idempotent,
+  paymentController.refundOrder
+);
+
+// @route   POST /api/orders/:id/adjustments
+// @desc    Correct the amount recorded as paid for an order
+// @access  Private (orders:refund)
+router.post(
+  '/:id/adjustments',
+  auth.authenticate,
+  auth.requirePermission('orders:refund'),
+  adjustmentValidation,
+  idempotent,
+  paymentController.adjustOrderPayment
+);
+
 // @route   PATCH /api/orders/:id/delete
-// @desc    Soft delete an order
+// @desc    Soft delete (remove from view) a delivered or cancelled order
 // @access  Private
 router.patch(
   '/:id/delete',
   auth.authenticate,
+  idempotent,
   (req, res, next) => {
     // Add delete action to the request body
     req.body.action = 'delete';
@@ -93,12 +188,13 @@ router.patch(
 );
 
 // @route   DELETE /api/orders/:id
-// @desc    Hard delete an order (admin only)
-// @access  Private/Admin
+// @desc    Hard delete a delivered or cancelled order (admin only)
+// @access  Private (orders:delete)
 router.delete(
   '/:id',
   auth.authenticate,
-  auth.isAdmin,
+  auth.requirePermission('orders:delete'),
+  idempotent,
   orderController.deleteOrder
 );
 
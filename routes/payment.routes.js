@@ -0,0 +1,15 @@
+// routes/payment.routes.js
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive payment results from the payment provider
+// @access  Public (signed with the shared webhook secret)
+router.post(
+    '/webhooks/:provider',
+    express.raw({ type: 'application/json' }), // The signature covers the body exactly as sent
+    paymentController.handleWebhook
+);
+
+module.exports = router;
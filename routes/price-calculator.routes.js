@@ -1,7 +1,7 @@
 // routes/price-calculator.routes.js
 const express = require('express');
 const router = express.Router();
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
 const priceCalculatorController = require('../controllers/price-calculator.controller');
 
 // @route   POST /api/calculate-price
@@ -18,7 +18,7 @@ router.post(
 );
 
 // @route   POST /api/calculate-cart
-// @desc    Calculate the totals for cart items
+// @desc    Calculate the totals for cart items, with delivery fees when an address is given
 // @access  Public
 router.post(
     '/calculate-cart',
@@ -26,7 +26,18 @@ router.post(
         check('items', 'Items array is required').isArray(),
         check('items.*.productId', 'Product ID is required for each item').isMongoId(),
         check('items.*.quantity', 'Quantity must be a positive number').optional().isInt({ min: 1 }),
-        check('items.*.selectedCondiments', 'Selected condiments must be an array').optional().isArray()
+        check('items.*.selectedCondiments', 'Selected condiments must be an array').optional().isArray(),
+        // With an address the chefs' delivery fees are added
+        check('deliveryAddress', 'Delivery address must be text').optional().isString(),
+        check('deliveryLocation', 'Delivery location must be an object').optional().isObject(),
+        check('deliveryLocation.coordinates', 'Coordinates must be an object with lat and lng').optional().isObject(),
+        // A location without both coordinates can't be placed
+        check('deliveryLocation.coordinates.lat', 'Latitude must be between -90 and 90')
+            .if(body('deliveryLocation.coordinates').exists())
+            .exists().bail().isFloat({ min: -90, max: 90 }),
+        check('deliveryLocation.coordinates.lng', 'Longitude must be between -180 and 180')
+            .if(body('deliveryLocation.coordinates').exists())
+            .exists().bail().isFloat({ min: -180, max: 180 })
     ],
     priceCalculatorController.calculateCart
 );
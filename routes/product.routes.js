@@ -2,18 +2,18 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product.controller');
 const productCondimentsController = require('../controllers/product-condiments.controller');
-const { authenticate, isChef } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { handleProductImagesUpload } = require('../middleware/file-upload');
 const productValidation = require('../middleware/product-validation');
 const { check } = require('express-validator');
 
 // @route   POST /api/products
 // @desc    Create a new product
-// @access  Private (Chef only)
+// @access  Private (products:manage_own)
 router.post(
     '/',
     authenticate,
-    isChef,
+    requirePermission('products:manage_own'),
     handleProductImagesUpload,
     productValidation.createProductValidation,
     productValidation.validate,
@@ -54,11 +54,11 @@ router.get(
 
 // @route   PUT /api/products/:id
 // @desc    Update a product
-// @access  Private (Chef owner or Admin)
+// @access  Private (Chef owner or products:manage_any)
 router.put(
     '/:id',
     authenticate,
-    isChef,
+    requirePermission(['products:manage_own', 'products:manage_any']),
     handleProductImagesUpload,
     productValidation.updateProductValidation,
     productValidation.validate,
@@ -67,11 +67,11 @@ router.put(
 
 // @route   DELETE /api/products/:id
 // @desc    Delete a product
-// @access  Private (Chef owner or Admin)
+// @access  Private (Chef owner or products:manage_any)
 router.delete(
     '/:id',
     authenticate,
-    isChef,
+    requirePermission(['products:manage_own', 'products:manage_any']),
     productController.deleteProduct
 );
 
@@ -87,11 +87,11 @@ router.get(
 
 // @route   POST /api/products/:id/condiments
 // @desc    Add a condiment to a product
-// @access  Private (Chef only)
+// @access  Private (Chef owner or products:manage_any)
 router.post(
     '/:id/condiments',
     authenticate,
-    isChef,
+    requirePermission(['products:manage_own', 'products:manage_any']),
     [
         check('name', 'Condiment name is required').notEmpty().trim(),
         check('price', 'Condiment price must be a positive number').isFloat({ min: 0 }),
@@ -103,11 +103,11 @@ router.post(
 
 // @route   PUT /api/products/:id/condiments/:condimentId
 // @desc    Update a specific condiment
-// @access  Private (Chef only)
+// @access  Private (Chef owner or products:manage_any)
 router.put(
     '/:id/condiments/:condimentId',
     authenticate,
-    isChef,
+    requirePermission(['products:manage_own', 'products:manage_any']),
     [
         check('name', 'Condiment name must be a string').optional().notEmpty().trim(),
         check('price', 'Condiment price must be a positive number').optional().isFloat({ min: 0 }),
@@ -119,11 +119,11 @@ router.put(
 
 // @route   DELETE /api/products/:id/condiments/:condimentId
 // @desc    Delete a specific condiment
-// @access  Private (Chef only)
+// @access  Private (Chef owner or products:manage_any)
 router.delete(
     '/:id/condiments/:condimentId',
     authenticate,
-    isChef,
+    requirePermission(['products:manage_own', 'products:manage_any']),
     productCondimentsController.deleteProductCondiment
 );
 
@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
 const reviewController = require('../controllers/review.controller');
-const { authenticate, isAdmin } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { handleReviewImagesUpload } = require('../middleware/file-upload');
 
 // Create review validation
@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const twofactorController = require('../controllers/twofactor.controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, blockWhileImpersonating } = require('../middleware/auth');
 const { check } = require('express-validator');
 
 /**
@@ -13,6 +13,7 @@ const { check } = require('express-validator');
 router.get(
     '/setup',
     authenticate,
+    blockWhileImpersonating,
     twofactorController.setup2FA
 );
 
@@ -25,6 +26,7 @@ router.post(
     '/verify',
     [
         authenticate,
+        blockWhileImpersonating,
         check('token', 'Verification code is required').isLength({ min: 6, max: 6 }).isNumeric()
     ],
     twofactorController.verify2FA
@@ -38,9 +40,10 @@ router.post(
 router.post(
     '/validate',
     [
-        check('email', 'Valid email is required').isEmail(),
+        check('challengeToken', 'Challenge token from the first login step is required').isString().notEmpty(),
         check('token', 'Token must be 6 digits').optional().isLength({ min: 6, max: 6 }).isNumeric(),
-        check('backupCode', 'Backup code must be valid').optional().isLength({ min: 8, max: 8 })
+        check('backupCode', 'Backup code must be valid').optional().isLength({ min: 8, max: 8 }),
+        check('smsCode', 'SMS code must be 6 digits').optional().isLength({ min: 6, max: 6 }).isNumeric()
     ],
     twofactorController.validate2FA
 );
@@ -54,6 +57,7 @@ router.delete(
     '/disable',
     [
         authenticate,
+        blockWhileImpersonating,
         check('password', 'Password is required').exists()
     ],
     twofactorController.disable2FA
@@ -68,16 +72,61 @@ router.post(
     '/backup-codes',
     [
         authenticate,
+        blockWhileImpersonating,
         check('password', 'Password is required').exists()
     ],
     twofactorController.getNewBackupCodes
 );
 
+/**
+ * @route   POST /api/auth/2fa/sms/send
+ * @desc    Text a login code to users with SMS 2FA enabled
+ * @access  Public
+ */
+router.post(
+    '/sms/send',
+    [
+        check('challengeToken', 'Challenge token from the first login step is required').isString().notEmpty()
+    ],
+    twofactorController.sendSms2FACode
+);
+
+/**
+ * @route   POST /api/auth/2fa/sms/enable
+ * @desc    Enable SMS as a second factor
+ * @access  Private
+ */
+router.post(
+    '/sms/enable',
+    [
+        authenticate,
+        blockWhileImpersonating,
+        check('password', 'Password is required').exists()
+    ],
+    twofactorController.enableSms2FA
+);
+
+/**
+ * @route   POST /api/auth/2fa/sms/disable
+ * @desc    Disable SMS as a second factor
+ * @access  Private
+ */
+router.post(
+    '/sms/disable',
+    [
+        authenticate,
+        blockWhileImpersonating,
+        check('password', 'Password is required').exists()
+    ],
+    twofactorController.disableSms2FA
+);
+
 // For testing purposes - alternative route for disabling 2FA using POST instead of DELETE
 router.post(
     '/disable-post',
     [
         authenticate,
+        blockWhileImpersonating,
         check('password', 'Password is required').exists()
     ],
     twofactorController.disable2FA
@@ -1,37 +1,220 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { authenticate, isAdmin, isOwnerOrAdmin } = require('../middleware/auth');
+const auditController = require('../controllers/audit.controller');
+const phoneController = require('../controllers/phone.controller');
+const accountController = require('../controllers/account.controller');
+const suspensionController = require('../controllers/suspension.controller');
+const apiKeyController = require('../controllers/api-key.controller');
+const { check } = require('express-validator');
+const { authenticate, blockWhileImpersonating, requirePermission, isOwnerOrPermitted } = require('../middleware/auth');
 const validation = require('../middleware/validation');
 const { handleProfileImageUpload } = require('../middleware/file-upload');
 
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
+// @desc    Get all users
+// @access  Private (users:read)
 router.get(
     '/',
     authenticate,
-    isAdmin,
+    requirePermission('users:read'),
     userController.getAllUsers
 );
 
+// @route   GET /api/users/me/security-activity
+// @desc    Recent security activity on the current user's account
+// @access  Private
+router.get(
+    '/me/security-activity',
+    authenticate,
+    auditController.getSecurityActivity
+);
+
+// @route   POST /api/users/me/email
+// @desc    Change the email address (takes effect once the new address is confirmed)
+// @access  Private
+router.post(
+    '/me/email',
+    authenticate,
+    blockWhileImpersonating,
+    check('newEmail', 'Please include a valid email').isEmail(),
+    accountController.requestEmailChange
+);
+
+// @route   DELETE /api/users/me/email
+// @desc    Cancel a pending email change
+// @access  Private
+router.delete(
+    '/me/email',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.cancelEmailChange
+);
+
+// @route   POST /api/users/me/oauth/:provider/link
+// @desc    Re-authenticate and get a one-time URL that links a sign-in provider
+// @access  Private
+router.post(
+    '/me/oauth/:provider/link',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.requestOAuthLink
+);
+
+// @route   DELETE /api/users/me/oauth/:provider
+// @desc    Re-authenticate and unlink a sign-in provider
+// @access  Private
+router.delete(
+    '/me/oauth/:provider',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.unlinkOAuth
+);
+
+// @route   POST /api/users/me/password
+// @desc    Set a password on an account that only signs in through providers
+// @access  Private (recent sign-in)
+router.post(
+    '/me/password',
+    authenticate,
+    blockWhileImpersonating,
+    check('newPassword', 'New password is required').not().isEmpty(),
+    accountController.setPassword
+);
+
+// @route   GET /api/users/me/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get(
+    '/me/api-keys',
+    authenticate,
+    apiKeyController.getApiKeys
+);
+
+// @route   POST /api/users/me/api-keys
+// @desc    Create a scoped API key for an integration
+// @access  Private (chefs and staff with a permission behind an API key scope)
+router.post(
+    '/me/api-keys',
+    authenticate,
+    blockWhileImpersonating,
+    check('name', 'A name for the key is required').trim().isLength({ min: 1, max: 100 }),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    check('rateLimitPerMinute', 'Rate limit must be a positive number of requests per minute').optional().isInt({ min: 1 }).toInt(),
+    check('expiresAt', 'Expiry must be a valid date').optional().isISO8601(),
+    apiKeyController.createApiKey
+);
+
+// @route   DELETE /api/users/me/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete(
+    '/me/api-keys/:id',
+    authenticate,
+    blockWhileImpersonating,
+    apiKeyController.revokeApiKey
+);
+
+// @route   POST /api/users/me/phone
+// @desc    Set the phone number and text a verification code
+// @access  Private
+router.post(
+    '/me/phone',
+    authenticate,
+    blockWhileImpersonating,
+    check('phoneNumber', 'Phone number is required').not().isEmpty(),
+    phoneController.setPhoneNumber
+);
+
+// @route   POST /api/users/me/phone/resend
+// @desc    Text a new verification code
+// @access  Private
+router.post(
+    '/me/phone/resend',
+    authenticate,
+    blockWhileImpersonating,
+    phoneController.resendPhoneCode
+);
+
+// @route   POST /api/users/me/phone/verify
+// @desc    Confirm the phone number with the texted code
+// @access  Private
+router.post(
+    '/me/phone/verify',
+    authenticate,
+    blockWhileImpersonating,
+    check('code', 'Verification code must be 6 digits').isLength({ min: 6, max: 6 }).isNumeric(),
+    phoneController.verifyPhoneNumber
+);
+
+// @route   GET /api/users/me/export
+// @desc    Download all data stored about the current user
+// @access  Private
+router.get(
+    '/me/export',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.exportMyData
+);
+
+// @route   POST /api/users/me/deletion
+// @desc    Schedule the current user's account for deletion
+// @access  Private
+router.post(
+    '/me/deletion',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.requestAccountDeletion
+);
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete(
+    '/me/deletion',
+    authenticate,
+    blockWhileImpersonating,
+    accountController.cancelAccountDeletion
+);
+
+// @route   GET /api/users/me/suspension
+// @desc    Suspension details of the current user
+// @access  Private (also while suspended)
+router.get(
+    '/me/suspension',
+    authenticate,
+    suspensionController.getMySuspension
+);
+
+// @route   POST /api/users/me/suspension/appeal
+// @desc    Appeal the current suspension or ban
+// @access  Private (also while suspended)
+router.post(
+    '/me/suspension/appeal',
+    authenticate,
+    blockWhileImpersonating,
+    check('message', 'Please explain why the suspension should be lifted').trim().isLength({ min: 10, max: 2000 }),
+    suspensionController.submitAppeal
+);
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Admin or own user only)
+// @access  Private (own user or users:read)
 router.get(
     '/:id',
     authenticate,
-    isOwnerOrAdmin('id'),
+    isOwnerOrPermitted('id', 'users:read'),
     userController.getUserById
 );
 
 // @route   PUT /api/users/:id
 // @desc    Update user profile
-// @access  Private (Admin or own user only)
+// @access  Private (own user or users:manage)
 router.put(
     '/:id',
     authenticate,
-    isOwnerOrAdmin('id'),
+    blockWhileImpersonating,
+    isOwnerOrPermitted('id', 'users:manage'),
     validation.updateUserValidation,
     handleProfileImageUpload,
     userController.updateUser
@@ -39,22 +222,35 @@ router.put(
 
 // @route   DELETE /api/users/:id
 // @desc    Delete a user
-// @access  Private (Admin only)
+// @access  Private (users:manage)
 router.delete(
     '/:id',
     authenticate,
-    isAdmin,
+    blockWhileImpersonating,
+    requirePermission('users:manage'),
     userController.deleteUser
 );
 
 // @route   PUT /api/users/:id/role
-// @desc    Update user role (admin only)
-// @access  Private/Admin
+// @desc    Update user role
+// @access  Private (roles:manage)
 router.put(
     '/:id/role',
     authenticate,
-    isAdmin,
+    blockWhileImpersonating,
+    requirePermission('roles:manage'),
     userController.updateUserRole
 );
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (users:manage)
+router.put(
+    '/:id/unlock',
+    authenticate,
+    blockWhileImpersonating,
+    requirePermission('users:manage'),
+    userController.unlockUser
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,95 @@
+// scripts/migrate-2fa-secrets.js
+//
+// Encrypts plaintext TOTP secrets, hashes plaintext backup codes and re-wraps
+// secrets encrypted with a retired master key. Safe to run repeatedly.
+//
+// Usage: npm run migrate:2fa-secrets [-- --dry-run]
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const User = require('../models/user.model');
+const secretBox = require('../utils/secret-box');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Encrypt a plaintext secret or re-wrap one that uses an old master key
+const migrateSecret = (value) => {
+    if (!value) return value;
+    if (!secretBox.isEncrypted(value)) return secretBox.encrypt(value);
+    if (secretBox.needsRewrap(value)) return secretBox.rewrap(value);
+    return value;
+};
+
+const migrateBackupCodes = async (codes) => {
+    let changed = false;
+
+    const migrated = await Promise.all((codes || []).map(async (entry) => {
+        // Legacy entries stored the plain code in `code`
+        if (entry.code && !entry.codeHash) {
+            changed = true;
+            return {
+                _id: entry._id,
+                codeHash: await bcrypt.hash(String(entry.code), config.saltRounds),
+                used: !!entry.used
+            };
+        }
+        return entry;
+    }));
+
+    return { migrated, changed };
+};
+
+const run = async () => {
+    await mongoose.connect(config.mongoURI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        useCreateIndex: true,
+        useFindAndModify: false
+    });
+
+    // Work on raw documents so legacy fields that are no longer in the schema are visible
+    const cursor = User.collection.find({
+        $or: [
+            { twoFactorSecret: { $nin: [null, ''] } },
+            { twoFactorTempSecret: { $nin: [null, ''] } },
+            { 'twoFactorBackupCodes.code': { $exists: true } }
+        ]
+    });
+
+    let scanned = 0;
+    let updated = 0;
+
+    for await (const user of cursor) {
+        scanned++;
+
+        const $set = {};
+
+        const secret = migrateSecret(user.twoFactorSecret);
+        if (secret !== user.twoFactorSecret) $set.twoFactorSecret = secret;
+
+        const tempSecret = migrateSecret(user.twoFactorTempSecret);
+        if (tempSecret !== user.twoFactorTempSecret) $set.twoFactorTempSecret = tempSecret;
+
+        const { migrated, changed } = await migrateBackupCodes(user.twoFactorBackupCodes);
+        if (changed) $set.twoFactorBackupCodes = migrated;
+
+        if (Object.keys($set).length === 0) continue;
+
+        updated++;
+        console.log(`User ${user._id}: migrating ${Object.keys($set).join(', ')}`);
+
+        if (!dryRun) {
+            await User.collection.updateOne({ _id: user._id }, { $set });
+        }
+    }
+
+    console.log(`Scanned ${scanned} users, ${dryRun ? 'would update' : 'updated'} ${updated}`);
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('2FA secrets migration failed:', err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
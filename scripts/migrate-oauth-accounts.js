@@ -0,0 +1,63 @@
+// scripts/migrate-oauth-accounts.js
+//
+// Moves the Google ids stored in users.googleId into users.oauthAccounts, the
+// list used by the sign-in provider registry (see config/oauth.js). Pending
+// Google link tokens are dropped. Safe to run repeatedly.
+//
+// Usage: npm run migrate:oauth-accounts [-- --dry-run]
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/user.model');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    await mongoose.connect(config.mongoURI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        useCreateIndex: true,
+        useFindAndModify: false
+    });
+
+    const cursor = User.collection.find({
+        $or: [
+            { googleId: { $exists: true } },
+            { googleLinkToken: { $exists: true } },
+            { googleLinkExpires: { $exists: true } }
+        ]
+    });
+
+    let migrated = 0;
+
+    for await (const user of cursor) {
+        const update = { $unset: { googleId: '', googleLinkToken: '', googleLinkExpires: '' } };
+
+        const alreadyLinked = (user.oauthAccounts || []).some(account => account.provider === 'google');
+        if (user.googleId && !alreadyLinked) {
+            update.$push = {
+                oauthAccounts: {
+                    provider: 'google',
+                    subject: user.googleId,
+                    email: user.email,
+                    linkedAt: user.updatedAt || new Date()
+                }
+            };
+            migrated++;
+            console.log(`User ${user._id}: linking Google account ${user.googleId}`);
+        }
+
+        if (!dryRun) {
+            await User.collection.updateOne({ _id: user._id }, update);
+        }
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} Google accounts`);
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('OAuth account migration failed:', err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,58 @@
+// scripts/migrate-phone-numbers.js
+//
+// Converts phone numbers stored as plain numbers (which lost their leading
+// zeros and "+") to E.164 strings. National numbers need SMS_DEFAULT_COUNTRY_CODE.
+// Numbers that can't be converted are cleared and listed. Safe to run repeatedly.
+//
+// Usage: npm run migrate:phone-numbers [-- --dry-run]
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/user.model');
+const { isE164, normalizePhoneNumber } = require('../utils/phone');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    await mongoose.connect(config.mongoURI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        useCreateIndex: true,
+        useFindAndModify: false
+    });
+
+    const cursor = User.collection.find({ phoneNumber: { $nin: [null, ''] } });
+
+    let converted = 0;
+    let cleared = 0;
+
+    for await (const user of cursor) {
+        if (isE164(user.phoneNumber)) continue;
+
+        const phoneNumber = normalizePhoneNumber(user.phoneNumber);
+
+        if (phoneNumber) {
+            converted++;
+            console.log(`User ${user._id}: ${user.phoneNumber} -> ${phoneNumber}`);
+        } else {
+            cleared++;
+            console.log(`User ${user._id}: cannot convert ${user.phoneNumber}, clearing it`);
+        }
+
+        if (!dryRun) {
+            await User.collection.updateOne(
+                { _id: user._id },
+                { $set: { phoneNumber, isPhoneVerified: false } }
+            );
+        }
+    }
+
+    console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} numbers, ${dryRun ? 'would clear' : 'cleared'} ${cleared}`);
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('Phone number migration failed:', err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,30 @@
+// scripts/purge-deleted-accounts.js
+//
+// Deletes accounts whose deletion grace period has ended. The API server does
+// this every hour as well; run it from cron if the server is not always up.
+//
+// Usage: npm run accounts:purge
+const mongoose = require('mongoose');
+const config = require('../config');
+const { processScheduledDeletions } = require('../utils/account-data');
+
+const run = async () => {
+    await mongoose.connect(config.mongoURI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        useCreateIndex: true,
+        useFindAndModify: false
+    });
+
+    const { deleted, postponed } = await processScheduledDeletions();
+
+    console.log(`Deleted ${deleted} accounts, postponed ${postponed} with orders in progress`);
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('Account purge failed:', err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,180 @@
+// scripts/seed.js
+//
+// Development data and account maintenance from the command line. Replaces the
+// old /api/auth/dev/* routes and the admin that used to be created on startup.
+//
+// Usage: npm run seed -- <command> [options]
+//
+//   fixtures [--dir <path>] [--reset]      Load users, chefs, products, orders, reviews
+//                                          and chats from fixtures/ (or --dir). --reset
+//                                          removes previously loaded fixture data first.
+//   create-admin --email <email> [--name <name>] [--password <password>]
+//                                          Create an admin (a password is generated if
+//                                          none is given). An existing user is promoted.
+//   verify --email <email> | --all         Mark email addresses as verified
+//   reset-link --email <email>             Print a password reset link for a user
+//   smtp-test --to <email>                 Send a test email with the SMTP settings
+//
+// fixtures refuses to run with NODE_ENV=production unless --force is given.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('../models/user.model');
+const sendEmail = require('../utils/email');
+const { ensureBuiltInRoles } = require('../utils/permissions');
+const { readFixtures, loadFixtures, removeFixtureData, DEFAULT_FIXTURES_DIR } = require('../utils/fixtures');
+
+// Parse "--name value" and "--flag" options
+const parseOptions = (args) => {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) continue;
+
+        const name = args[i].slice(2);
+        const next = args[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            options[name] = next;
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+    return options;
+};
+
+const requireOption = (options, name) => {
+    if (typeof options[name] !== 'string' || !options[name]) {
+        throw new Error(`--${name} is required`);
+    }
+    return options[name];
+};
+
+// A random password that passes the password policy
+const generatePassword = () => `${crypto.randomBytes(12).toString('base64').replace(/[^A-Za-z0-9]/g, '')}aA1@`;
+
+const commands = {
+    fixtures: async (options) => {
+        if (process.env.NODE_ENV === 'production' && !options.force) {
+            throw new Error('Refusing to load fixtures with NODE_ENV=production (use --force to override)');
+        }
+
+        const dir = typeof options.dir === 'string' ? options.dir : DEFAULT_FIXTURES_DIR;
+        const fixtures = readFixtures(dir);
+
+        if (options.reset) {
+            const removed = await removeFixtureData(fixtures);
+            console.log(`Removed ${removed} fixture users and their data`);
+        }
+
+        const counts = await loadFixtures(fixtures, { log: message => console.log(message) });
+        console.log(`Fixtures loaded from ${dir}:`, counts);
+    },
+
+    'create-admin': async (options) => {
+        const email = requireOption(options, 'email').toLowerCase();
+        const user = await User.findOne({ email });
+
+        if (user) {
+            user.role = 'admin';
+            user.isEmailVerified = true;
+            await user.save();
+            console.log(`Existing user ${email} is now an admin`);
+            return;
+        }
+
+        const password = typeof options.password === 'string' ? options.password : generatePassword();
+
+        await User.create({
+            fullName: typeof options.name === 'string' ? options.name : 'Admin User',
+            email,
+            password,
+            role: 'admin',
+            isEmailVerified: true // Admin is automatically verified
+        });
+
+        console.log(`Admin ${email} created`);
+        if (!options.password) {
+            console.log(`Generated password: ${password}`);
+            console.log('Store it somewhere safe and change it after signing in.');
+        }
+    },
+
+    verify: async (options) => {
+        const filter = options.all
+            ? { isEmailVerified: false }
+            : { email: requireOption(options, 'email').toLowerCase() };
+
+        const result = await User.updateMany(filter, {
+            $set: {
+                isEmailVerified: true,
+                emailVerificationToken: null,
+                emailVerificationExpires: null
+            }
+        });
+
+        if (!options.all && result.n === 0) {
+            throw new Error(`User ${options.email} not found`);
+        }
+        console.log(`Verified ${result.nModified} users`);
+    },
+
+    'reset-link': async (options) => {
+        const email = requireOption(options, 'email').toLowerCase();
+        const user = await User.findOne({ email });
+        if (!user) {
+            throw new Error(`User ${email} not found`);
+        }
+
+        const resetToken = user.generatePasswordResetToken();
+        await user.save();
+
+        console.log(`Password reset link for ${email} (valid for 1 hour):`);
+        console.log(`${config.clientUrl}/auth/reset-password/${resetToken}`);
+    },
+
+    'smtp-test': async (options) => {
+        const to = requireOption(options, 'to');
+        config.logConfig();
+
+        await sendEmail({
+            email: to,
+            subject: 'SMTP Test Email',
+            message: 'This is a test email to verify that your SMTP configuration is working correctly.',
+            html: '<h1>SMTP Test</h1><p>If you can see this email, your SMTP configuration is working!</p>'
+        });
+        console.log(`Test email sent to ${to}`);
+    }
+};
+
+const run = async () => {
+    const [commandName, ...args] = process.argv.slice(2);
+    const command = commands[commandName];
+
+    if (!command) {
+        console.log(`Usage: npm run seed -- <${Object.keys(commands).join('|')}> [options]`);
+        console.log('See scripts/seed.js for the options of each command.');
+        process.exitCode = commandName ? 1 : 0;
+        return;
+    }
+
+    // smtp-test doesn't need the database
+    if (commandName !== 'smtp-test') {
+        await mongoose.connect(config.mongoURI, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+            useCreateIndex: true,
+            useFindAndModify: false
+        });
+        await ensureBuiltInRoles();
+    }
+
+    await command(parseOptions(args));
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('Seed command failed:', err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
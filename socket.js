@@ -4,9 +4,18 @@ const jwt = require('jsonwebtoken');
 const config = require('./config');
 const Chat = require('./models/chat.model');
 const User = require('./models/user.model');
+const Session = require('./models/session.model');
 
 let io;
 
+// Chat changes are not allowed over an impersonation session
+const rejectIfImpersonating = (socket) => {
+    if (!socket.impersonatorId) return false;
+
+    socket.emit('error', { message: 'This action is not available while impersonating a user' });
+    return true;
+};
+
 const initializeSocket = (server) => {
     io = socketIo(server, {
         cors: {
@@ -27,6 +36,13 @@ const initializeSocket = (server) => {
             // Verify JWT token
             const decoded = jwt.verify(token, config.jwtSecretKey);
             
+            // Reject tokens whose session has been revoked or has expired
+            const session = await Session.findActive(decoded.sid, decoded.id);
+            
+            if (!session) {
+                return next(new Error('Authentication error: Session revoked'));
+            }
+            
             // Fetch user
             const user = await User.findById(decoded.id).select('-password');
             
@@ -34,8 +50,17 @@ const initializeSocket = (server) => {
                 return next(new Error('Authentication error: User not found'));
             }
 
-            // Attach user to socket
+            if (user.isSuspended()) {
+                return next(new Error('Authentication error: Account suspended'));
+            }
+
+            await session.touch();
+            
+            // Attach user and session to socket
             socket.user = user;
+            socket.sessionId = session._id.toString();
+            // Impersonating staff can watch chats but not write to them
+            socket.impersonatorId = session.impersonatedBy ? session.impersonatedBy.toString() : null;
             next();
         } catch (error) {
             console.error('Socket authentication error:', error);
@@ -49,6 +74,8 @@ const initializeSocket = (server) => {
 
         // Join user to their own room for private messages
         socket.join(socket.user._id.toString());
+        // And to one for the session, so it can be closed when the session is revoked
+        socket.join(`session:${socket.sessionId}`);
 
         // Join chat rooms
         socket.on('joinChat', async (chatId) => {
@@ -88,6 +115,8 @@ const initializeSocket = (server) => {
 
         // New message handler
         socket.on('sendMessage', async (data) => {
+            if (rejectIfImpersonating(socket)) return;
+
             try {
                 const { chatId, content } = data;
                 const userId = socket.user._id;
@@ -164,6 +193,8 @@ const initializeSocket = (server) => {
 
         // Message read handler
         socket.on('markAsRead', async (data) => {
+            if (rejectIfImpersonating(socket)) return;
+
             try {
                 const { chatId, messageIds } = data;
                 const userId = socket.user._id;
@@ -196,6 +227,8 @@ const initializeSocket = (server) => {
 
         // Message delete handler
         socket.on('deleteMessage', async (data) => {
+            if (rejectIfImpersonating(socket)) return;
+
             try {
                 const { chatId, messageId } = data;
                 const userId = socket.user._id;
@@ -267,8 +300,25 @@ const emitToChat = (chatId, event, data) => {
     }
 };
 
+// Close every live connection of a user (e.g. once the account is suspended)
+const disconnectUser = (userId) => {
+    if (io) {
+        io.in(userId.toString()).disconnectSockets(true);
+    }
+};
+
+// Close the live connections of revoked sessions
+const disconnectSessions = (sessionIds) => {
+    if (io) {
+        io.in(sessionIds.map(sessionId => `session:${sessionId}`)).disconnectSockets(true);
+    }
+};
+
+Session.onRevoke(disconnectSessions);
+
 module.exports = {
     initializeSocket,
     emitToUser,
-    emitToChat
+    emitToChat,
+    disconnectUser
 };
\ No newline at end of file
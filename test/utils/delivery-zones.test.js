@@ -0,0 +1,109 @@
+// test/utils/delivery-zones.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../config');
+const { getDistanceKm, quoteDelivery, resolveDeliveryLocation } = require('../../utils/delivery-zones');
+
+const kitchen = { lat: 27.7154, lng: 85.3123 }; // Thamel
+const patan = { lat: 27.6766, lng: 85.3250 };
+
+describe('getDistanceKm', () => {
+    it('is zero between a point and itself', () => {
+        assert.equal(getDistanceKm(kitchen, kitchen), 0);
+    });
+
+    it('measures the distance as the crow flies', () => {
+        const distance = getDistanceKm(kitchen, patan);
+        assert.ok(distance > 4.4 && distance < 4.6, `got ${distance}`);
+        assert.equal(distance, getDistanceKm(patan, kitchen));
+    });
+});
+
+describe('quoteDelivery', () => {
+    it('charges the default fees to chefs without a profile', () => {
+        assert.deepEqual(quoteDelivery(null, patan), {
+            zone: null,
+            distanceKm: null,
+            fee: config.delivery.baseFee
+        });
+    });
+
+    it('charges the base fee plus the fee per km from the kitchen', () => {
+        const quote = quoteDelivery({ location: kitchen, zones: [], baseFee: 40, perKmFee: 10 }, patan);
+        assert.equal(quote.distanceKm, 4.5);
+        assert.equal(quote.fee, 85);
+    });
+
+    it('charges the flat fee of the zone the point is in', () => {
+        const delivery = {
+            location: kitchen,
+            zones: [{ name: 'Nearby', type: 'radius', radiusKm: 5, fee: 30 }]
+        };
+        assert.deepEqual(quoteDelivery(delivery, patan), { zone: 'Nearby', distanceKm: 4.5, fee: 30 });
+    });
+
+    it('falls back to the distance fee in zones without a flat fee', () => {
+        const delivery = {
+            location: kitchen,
+            zones: [{ name: 'Nearby', type: 'radius', radiusKm: 5 }],
+            baseFee: 40,
+            perKmFee: 10
+        };
+        assert.equal(quoteDelivery(delivery, patan).fee, 85);
+    });
+
+    it('does not deliver outside the zones', () => {
+        const delivery = {
+            location: kitchen,
+            zones: [{ name: 'Thamel', type: 'radius', radiusKm: 1, fee: 30 }]
+        };
+        assert.equal(quoteDelivery(delivery, patan), null);
+    });
+
+    it('finds points inside polygon zones', () => {
+        const delivery = {
+            location: kitchen,
+            zones: [{
+                name: 'Lalitpur',
+                type: 'polygon',
+                polygon: [
+                    { lat: 27.66, lng: 85.30 },
+                    { lat: 27.66, lng: 85.34 },
+                    { lat: 27.69, lng: 85.34 },
+                    { lat: 27.69, lng: 85.30 }
+                ],
+                fee: 60
+            }]
+        };
+        assert.equal(quoteDelivery(delivery, patan).zone, 'Lalitpur');
+        assert.equal(quoteDelivery(delivery, kitchen), null);
+    });
+});
+
+describe('resolveDeliveryLocation', () => {
+    it('uses the coordinates the client sent', async () => {
+        const location = await resolveDeliveryLocation('Somewhere', {
+            area: 'Patan',
+            coordinates: { lat: '27.6766', lng: '85.325' }
+        });
+        assert.deepEqual(location.coordinates, patan);
+        assert.equal(location.area, 'Patan');
+    });
+
+    it('rejects half a location or coordinates that are not numbers', async () => {
+        assert.equal(await resolveDeliveryLocation('Thamel', { coordinates: {} }), null);
+        assert.equal(await resolveDeliveryLocation('Thamel', { coordinates: { lat: 27.7 } }), null);
+        assert.equal(await resolveDeliveryLocation('Thamel', { coordinates: { lat: 'north', lng: 85.3 } }), null);
+        assert.equal(await resolveDeliveryLocation('Thamel', { coordinates: { lat: 91, lng: 85.3 } }), null);
+    });
+
+    it('geocodes the address without a location', async () => {
+        const location = await resolveDeliveryLocation('House 12, Thamel, Kathmandu');
+        assert.equal(location.area, 'Thamel');
+        assert.deepEqual(location.coordinates, kitchen);
+    });
+
+    it('returns null for addresses that cannot be found', async () => {
+        assert.equal(await resolveDeliveryLocation('Nowhere in particular'), null);
+    });
+});
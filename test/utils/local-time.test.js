@@ -0,0 +1,60 @@
+// test/utils/local-time.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../config');
+const {
+    getLocalDate,
+    toInstant,
+    addDays,
+    getWeekday,
+    toMinutes,
+    fromMinutes
+} = require('../../utils/local-time');
+
+// The expectations are for Kathmandu (UTC+05:45)
+assert.equal(config.timeZone, 'Asia/Kathmandu');
+
+describe('getLocalDate', () => {
+    it('uses the date in the kitchens\' time zone', () => {
+        assert.equal(getLocalDate(new Date('2024-05-31T18:14:00Z')), '2024-05-31');
+        assert.equal(getLocalDate(new Date('2024-05-31T18:15:00Z')), '2024-06-01');
+    });
+});
+
+describe('toInstant', () => {
+    it('turns a local date and time into the instant', () => {
+        assert.equal(toInstant('2024-06-01', '12:30').toISOString(), '2024-06-01T06:45:00.000Z');
+    });
+
+    it('handles times that fall on the previous day in UTC', () => {
+        assert.equal(toInstant('2024-06-01', '00:00').toISOString(), '2024-05-31T18:15:00.000Z');
+    });
+
+    it('is the inverse of getLocalDate', () => {
+        assert.equal(getLocalDate(toInstant('2024-12-31', '23:59')), '2024-12-31');
+    });
+});
+
+describe('addDays', () => {
+    it('crosses month and year ends', () => {
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+        assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+    });
+});
+
+describe('getWeekday', () => {
+    it('counts from Sunday', () => {
+        assert.equal(getWeekday('2024-06-02'), 0);
+        assert.equal(getWeekday('2024-06-08'), 6);
+    });
+});
+
+describe('toMinutes and fromMinutes', () => {
+    it('convert between HH:mm and minutes since midnight', () => {
+        assert.equal(toMinutes('00:00'), 0);
+        assert.equal(toMinutes('18:45'), 1125);
+        assert.equal(fromMinutes(1125), '18:45');
+        assert.equal(fromMinutes(5), '00:05');
+    });
+});
@@ -0,0 +1,150 @@
+// test/utils/order-state-machine.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getAllowedTransitions,
+    deriveOrderStatus,
+    transitionChefItems,
+    transitionOrder,
+    checkItemRemoval
+} = require('../../utils/order-state-machine');
+
+const chefItem = (status) => ({ status, statusHistory: [] });
+
+// Just enough of an Order document for the state machine
+const makeOrder = (...statuses) => ({
+    status: deriveOrderStatus(statuses.map(chefItem)),
+    chefItems: statuses.map(chefItem),
+    statusHistory: [],
+    recalculateTotals() {}
+});
+
+describe('getAllowedTransitions', () => {
+    it('lets customers only cancel pending orders', () => {
+        assert.deepEqual(getAllowedTransitions('customer', 'pending'), ['cancelled']);
+        assert.deepEqual(getAllowedTransitions('customer', 'received'), []);
+    });
+
+    it('does not let chefs cancel once they are cooking', () => {
+        assert.deepEqual(getAllowedTransitions('chef', 'in_progress'), ['ready']);
+    });
+
+    it('allows nothing out of the final states or for unknown roles', () => {
+        assert.deepEqual(getAllowedTransitions('admin', 'delivered'), []);
+        assert.deepEqual(getAllowedTransitions('admin', 'cancelled'), []);
+        assert.deepEqual(getAllowedTransitions('courier', 'pending'), []);
+    });
+});
+
+describe('deriveOrderStatus', () => {
+    it('follows the slowest chef', () => {
+        assert.equal(deriveOrderStatus([chefItem('pending'), chefItem('received')]), 'pending');
+        assert.equal(deriveOrderStatus([chefItem('received'), chefItem('received')]), 'received');
+        assert.equal(deriveOrderStatus([chefItem('received'), chefItem('in_progress')]), 'in_progress');
+        assert.equal(deriveOrderStatus([chefItem('ready'), chefItem('delivered')]), 'ready');
+    });
+
+    it('ignores cancelled parts unless every part is cancelled', () => {
+        assert.equal(deriveOrderStatus([chefItem('cancelled'), chefItem('delivered')]), 'delivered');
+        assert.equal(deriveOrderStatus([chefItem('cancelled'), chefItem('cancelled')]), 'cancelled');
+    });
+});
+
+describe('transitionChefItems', () => {
+    it('moves one part and records who did it', () => {
+        const order = makeOrder('pending', 'pending');
+        const rejection = transitionChefItems(order, order.chefItems[0], 'received', { role: 'chef', actor: 'chef-1' });
+
+        assert.equal(rejection, null);
+        assert.equal(order.chefItems[0].status, 'received');
+        assert.equal(order.chefItems[0].statusHistory[0].actor, 'chef-1');
+        assert.equal(order.chefItems[0].statusHistory[0].actorRole, 'chef');
+        // The other chef hasn't accepted yet
+        assert.equal(order.status, 'pending');
+        assert.equal(order.statusHistory.length, 0);
+    });
+
+    it('updates the order status once every part has moved', () => {
+        const order = makeOrder('received', 'pending');
+        transitionChefItems(order, order.chefItems[1], 'received', { role: 'chef' });
+
+        assert.equal(order.status, 'received');
+        assert.equal(order.statusHistory.length, 1);
+    });
+
+    it('refuses to skip steps', () => {
+        const order = makeOrder('pending');
+        assert.deepEqual(
+            transitionChefItems(order, order.chefItems[0], 'ready', { role: 'chef' }),
+            { status: 400, message: 'Cannot change the status from pending to ready' }
+        );
+        assert.equal(order.chefItems[0].status, 'pending');
+    });
+
+    it('refuses unknown statuses and changes to finished parts', () => {
+        const order = makeOrder('delivered');
+        assert.equal(transitionChefItems(order, order.chefItems[0], 'lost', { role: 'admin' }).message, 'Invalid status value');
+        assert.equal(
+            transitionChefItems(order, order.chefItems[0], 'cancelled', { role: 'admin', reason: 'Late' }).message,
+            'The order is already delivered and can no longer change'
+        );
+    });
+
+    it('requires chefs and staff to give a reason to cancel', () => {
+        const order = makeOrder('pending');
+        assert.equal(
+            transitionChefItems(order, order.chefItems[0], 'cancelled', { role: 'chef' }).message,
+            'A reason is required to cancel an order'
+        );
+        assert.equal(transitionChefItems(order, order.chefItems[0], 'cancelled', { role: 'customer' }), null);
+    });
+});
+
+describe('transitionOrder', () => {
+    it('moves every unfinished part and leaves finished ones alone', () => {
+        const order = makeOrder('cancelled', 'pending', 'received');
+        const rejection = transitionOrder(order, 'cancelled', { role: 'admin', reason: 'Closed' });
+
+        assert.equal(rejection, null);
+        assert.deepEqual(order.chefItems.map(item => item.status), ['cancelled', 'cancelled', 'cancelled']);
+        assert.equal(order.chefItems[0].statusHistory.length, 0);
+        assert.equal(order.status, 'cancelled');
+    });
+
+    it('changes nothing unless every part may move', () => {
+        const order = makeOrder('pending', 'received');
+        const rejection = transitionOrder(order, 'cancelled', { role: 'customer' });
+
+        assert.equal(rejection.status, 400);
+        assert.deepEqual(order.chefItems.map(item => item.status), ['pending', 'received']);
+    });
+
+    it('refuses orders that are already finished', () => {
+        const order = makeOrder('delivered', 'cancelled');
+        assert.equal(
+            transitionOrder(order, 'cancelled', { role: 'admin', reason: 'Late' }).message,
+            'The order is already delivered and can no longer change'
+        );
+    });
+});
+
+describe('checkItemRemoval', () => {
+    it('allows removal while the role could cancel the part', () => {
+        assert.equal(checkItemRemoval(chefItem('pending'), { role: 'customer' }), null);
+        assert.equal(checkItemRemoval(chefItem('received'), { role: 'chef', reason: 'Out of stock' }), null);
+    });
+
+    it('refuses removal once the part has gone too far', () => {
+        assert.equal(
+            checkItemRemoval(chefItem('received'), { role: 'customer' }).message,
+            'Items can no longer be removed once the order is received'
+        );
+    });
+
+    it('requires chefs and staff to give a reason', () => {
+        assert.equal(
+            checkItemRemoval(chefItem('pending'), { role: 'admin' }).message,
+            'A reason is required to remove an item'
+        );
+    });
+});
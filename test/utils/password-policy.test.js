@@ -0,0 +1,66 @@
+// test/utils/password-policy.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    checkPasswordPolicy,
+    createPasswordPolicyError,
+    describePasswordPolicy
+} = require('../../utils/password-policy');
+
+// The expectations are for the default policy and blocklist
+const rulesBroken = (password) => checkPasswordPolicy(password).map(failure => failure.rule);
+
+describe('checkPasswordPolicy', () => {
+    it('accepts a password with every character class', () => {
+        assert.deepEqual(rulesBroken('Dalbhat#42'), []);
+    });
+
+    it('stops at passwords that are too short', () => {
+        assert.deepEqual(rulesBroken('Ab1!'), ['minLength']);
+        assert.deepEqual(rulesBroken(undefined), ['minLength']);
+    });
+
+    it('lists every missing character class', () => {
+        assert.deepEqual(rulesBroken('dalbhattarkari'), ['uppercase', 'number', 'symbol']);
+    });
+
+    it('accepts long passphrases without the character classes', () => {
+        assert.deepEqual(rulesBroken('momo with extra achar'), []);
+    });
+
+    it('refuses passwords longer than bcrypt reads', () => {
+        assert.deepEqual(rulesBroken(`Aa1!${'x'.repeat(69)}`), ['maxLength']);
+    });
+
+    it('refuses common passwords, also dressed up', () => {
+        assert.ok(rulesBroken('Password1!').includes('common'));
+        assert.ok(rulesBroken('P@ssw0rd').includes('common'));
+        assert.ok(rulesBroken('2024Sunshine!').includes('common'));
+        assert.ok(rulesBroken('Kitchen#42').includes('common'));
+    });
+});
+
+describe('createPasswordPolicyError', () => {
+    it('joins the messages and keeps the failures', () => {
+        const failures = checkPasswordPolicy('dalbhattarkari');
+        const error = createPasswordPolicyError(failures);
+
+        assert.equal(error.name, 'PasswordPolicyError');
+        assert.equal(error.failures, failures);
+        assert.equal(
+            error.message,
+            'Password must include an uppercase letter. Password must include a number. Password must include a symbol or space'
+        );
+    });
+});
+
+describe('describePasswordPolicy', () => {
+    it('describes the rules for clients', () => {
+        const policy = describePasswordPolicy();
+
+        assert.equal(policy.minLength, 8);
+        assert.equal(policy.passphraseLength, 20);
+        assert.equal(policy.maxAgeDays, null);
+        assert.equal(policy.rejectsCommonPasswords, true);
+    });
+});
@@ -0,0 +1,59 @@
+// test/utils/payment-ledger.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAmountDue, getRefundableAmount, checkRefund } = require('../../utils/payment-ledger');
+
+const makeOrder = (fields) => ({
+    status: 'pending',
+    totalAmount: 500,
+    amountPaid: 0,
+    amountRefunded: 0,
+    ...fields
+});
+
+describe('getAmountDue', () => {
+    it('is the order total', () => {
+        assert.equal(getAmountDue(makeOrder({ status: 'received' })), 500);
+    });
+
+    it('is nothing once the order is cancelled', () => {
+        assert.equal(getAmountDue(makeOrder({ status: 'cancelled' })), 0);
+    });
+});
+
+describe('getRefundableAmount', () => {
+    it('is what was paid and not refunded yet', () => {
+        assert.equal(getRefundableAmount(makeOrder({ amountPaid: 500, amountRefunded: 120.1 })), 379.9);
+    });
+
+    it('is never negative', () => {
+        assert.equal(getRefundableAmount(makeOrder({ amountPaid: 100, amountRefunded: 150 })), 0);
+    });
+});
+
+describe('checkRefund', () => {
+    const paid = makeOrder({ amountPaid: 500, amountRefunded: 200 });
+
+    it('allows refunds up to what is refundable', () => {
+        assert.equal(checkRefund(paid, 300), null);
+        assert.equal(checkRefund(paid, 0.01), null);
+    });
+
+    it('refuses refunds of unpaid or fully refunded orders', () => {
+        assert.equal(
+            checkRefund(makeOrder(), 10).message,
+            'Nothing has been paid for this order that could be refunded'
+        );
+        assert.equal(checkRefund(makeOrder({ amountPaid: 500, amountRefunded: 500 }), 10).status, 400);
+    });
+
+    it('refuses amounts that are not positive numbers', () => {
+        for (const amount of [0, -5, NaN, undefined]) {
+            assert.equal(checkRefund(paid, amount).message, 'Refund amount must be greater than zero');
+        }
+    });
+
+    it('refuses more than is refundable', () => {
+        assert.equal(checkRefund(paid, 300.01).message, 'At most 300.00 can be refunded for this order');
+    });
+});
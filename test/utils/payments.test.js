@@ -0,0 +1,27 @@
+// test/utils/payments.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { signWebhookPayload, verifyWebhookSignature } = require('../../utils/payments');
+
+const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'refund.succeeded', data: {} }));
+
+describe('verifyWebhookSignature', () => {
+    it('accepts a body signed with the webhook secret', () => {
+        assert.equal(verifyWebhookSignature(body, signWebhookPayload(body.toString())), true);
+    });
+
+    it('refuses a changed body or an old timestamp', () => {
+        const header = signWebhookPayload(body.toString());
+        assert.equal(verifyWebhookSignature(Buffer.from('{}'), header), false);
+        assert.equal(verifyWebhookSignature(body, signWebhookPayload(body.toString(), Date.now() - 60 * 60 * 1000)), false);
+    });
+
+    it('refuses missing or malformed signatures without throwing', () => {
+        const timestamp = Date.now();
+        assert.equal(verifyWebhookSignature(body, undefined), false);
+        assert.equal(verifyWebhookSignature(body, `t=${timestamp}`), false);
+        assert.equal(verifyWebhookSignature(body, `t=${timestamp},v1=abc`), false);
+        // As many characters as a digest, but more bytes
+        assert.equal(verifyWebhookSignature(body, `t=${timestamp},v1=${'é'.repeat(64)}`), false);
+    });
+});
@@ -0,0 +1,65 @@
+// test/utils/secret-box.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const config = require('../../config');
+const { isEncrypted, encrypt, decrypt, needsRewrap, rewrap } = require('../../utils/secret-box');
+
+describe('secret-box', () => {
+    const original = { ...config.encryption };
+
+    // Two master keys, so that rotation can be tested
+    before(() => {
+        config.encryption.keys = { old: crypto.randomBytes(32), current: crypto.randomBytes(32) };
+        config.encryption.activeKeyId = 'old';
+    });
+
+    after(() => {
+        Object.assign(config.encryption, original);
+    });
+
+    it('decrypts what it encrypted', () => {
+        const value = encrypt('JBSWY3DPEHPK3PXP');
+
+        assert.ok(isEncrypted(value));
+        assert.ok(!value.includes('JBSWY3DPEHPK3PXP'));
+        assert.equal(decrypt(value), 'JBSWY3DPEHPK3PXP');
+    });
+
+    it('encrypts the same secret differently every time', () => {
+        assert.notEqual(encrypt('secret'), encrypt('secret'));
+    });
+
+    it('leaves null alone', () => {
+        assert.equal(encrypt(null), null);
+        assert.equal(decrypt(undefined), null);
+    });
+
+    it('refuses values that are not encrypted', () => {
+        assert.equal(isEncrypted('JBSWY3DPEHPK3PXP'), false);
+        assert.throws(() => decrypt('JBSWY3DPEHPK3PXP'), /not encrypted/);
+    });
+
+    it('refuses values that were tampered with', () => {
+        const parts = encrypt('secret').split(':');
+        parts[6] = Buffer.from('public').toString('base64');
+        assert.throws(() => decrypt(parts.join(':')));
+    });
+
+    it('re-wraps values for the active key without changing the secret', () => {
+        const value = encrypt('secret');
+        config.encryption.activeKeyId = 'current';
+
+        assert.equal(needsRewrap(value), true);
+        const rewrapped = rewrap(value);
+        assert.equal(needsRewrap(rewrapped), false);
+        assert.equal(rewrapped.split(':')[2], 'current');
+        // Only the data key is wrapped again
+        assert.equal(rewrapped.split(':').slice(4).join(':'), value.split(':').slice(4).join(':'));
+
+        // The old key is no longer needed
+        delete config.encryption.keys.old;
+        assert.equal(decrypt(rewrapped), 'secret');
+        assert.throws(() => decrypt(value), /Unknown encryption key id: old/);
+    });
+});
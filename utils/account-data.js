@@ -0,0 +1,301 @@
+// utils/account-data.js
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const Review = require('../models/review.model');
+const CartItem = require('../models/cart.model');
+const Chat = require('../models/chat.model');
+const ChefProfile = require('../models/chef.profile.model');
+const Product = require('../models/product.model');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/api-key.model');
+const AuditLog = require('../models/audit-log.model');
+const { deleteFile } = require('./file-utils');
+const { deleteCartItems } = require('./inventory');
+const { createTarGz } = require('./archive');
+const { recordAudit } = require('./audit');
+
+const FINISHED_ORDER_STATUSES = ['delivered', 'cancelled'];
+const UPLOADS_DIR = path.join(process.cwd(), 'uploads');
+
+/**
+ * Check whether the user still has orders in progress, as customer or as chef
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const hasActiveOrders = async (userId) => {
+    const count = await Order.countDocuments({
+        deleted: { $ne: true },
+        $or: [
+            { user: userId, status: { $nin: FINISHED_ORDER_STATUSES } },
+            { chefItems: { $elemMatch: { chef: userId, status: { $nin: FINISHED_ORDER_STATUSES } } } }
+        ]
+    });
+    return count > 0;
+};
+
+// Read an uploaded file for the export, refusing anything outside uploads/
+const readUpload = async (filePath) => {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    if (!absolutePath.startsWith(UPLOADS_DIR + path.sep)) return null;
+
+    try {
+        return await fs.promises.readFile(absolutePath);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Collect everything stored about a user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { data, files } where files are upload paths
+ */
+const collectUserData = async (user) => {
+    const userId = user._id;
+
+    const [chefProfile, products, orders, chefOrders, payments, reviews, cartItems, chats, sessions, apiKeys, securityActivity] = await Promise.all([
+        ChefProfile.findOne({ user: userId }).lean(),
+        Product.find({ chef: userId }).lean(),
+        Order.find({ user: userId }).lean(),
+        Order.find({ 'chefItems.chef': userId, user: { $ne: userId } })
+            .select('chefItems deliveryDate deliveryTime status createdAt')
+            .lean(),
+        PaymentTransaction.find({ customer: userId })
+            .select('order chefItem type amount status reason createdAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Review.find({ user: userId }).lean(),
+        CartItem.find({ user: userId }).lean(),
+        Chat.find({ $or: [{ customer: userId }, { chef: userId }] }).lean(),
+        Session.find({ user: userId })
+            .select('userAgent ip lastSeenAt expiresAt revokedAt revokedReason createdAt')
+            .lean(),
+        ApiKey.find({ user: userId })
+            .select('name keyPreview scopes rateLimitPerMinute lastUsedAt lastUsedIp expiresAt revokedAt createdAt')
+            .lean(),
+        AuditLog.find({ target: userId })
+            .select('action outcome ip userAgent metadata createdAt')
+            .sort({ createdAt: -1 })
+            .lean()
+    ]);
+
+    const data = {
+        exportedAt: new Date(),
+        profile: user.toJSON(),
+        chefProfile,
+        products,
+        orders,
+        // For orders placed with this chef, only the chef's own part of the order
+        chefOrders: chefOrders.map(order => ({
+            _id: order._id,
+            status: order.status,
+            deliveryDate: order.deliveryDate,
+            deliveryTime: order.deliveryTime,
+            createdAt: order.createdAt,
+            chefItems: order.chefItems.filter(group => group.chef.toString() === userId.toString())
+        })),
+        payments,
+        reviews,
+        cartItems,
+        chats: chats.map(chat => ({
+            _id: chat._id,
+            order: chat.order,
+            role: chat.customer.toString() === userId.toString() ? 'customer' : 'chef',
+            createdAt: chat.createdAt,
+            messages: chat.messages.map(message => ({
+                fromMe: message.sender.toString() === userId.toString(),
+                content: message.content,
+                createdAt: message.createdAt
+            }))
+        })),
+        sessions,
+        apiKeys,
+        securityActivity
+    };
+
+    const files = [
+        user.profileImage,
+        ...(chefProfile ? [...(chefProfile.certificateImages || []), ...(chefProfile.portfolioImages || [])] : []),
+        ...products.flatMap(product => product.images || []),
+        ...reviews.flatMap(review => review.images || [])
+    ].filter(Boolean);
+
+    return { data, files };
+};
+
+/**
+ * Build a .tar.gz archive with data.json and every uploaded file of the user
+ * @param {Object} user - User document
+ * @returns {Promise<Buffer>}
+ */
+const buildDataExport = async (user) => {
+    const { data, files } = await collectUserData(user);
+
+    const entries = [{
+        name: 'data.json',
+        content: JSON.stringify(data, null, 2)
+    }];
+
+    for (const filePath of [...new Set(files)]) {
+        const content = await readUpload(filePath);
+        if (content) {
+            entries.push({ name: `files/${filePath.replace(/^\/+/, '')}`, content });
+        }
+    }
+
+    return await createTarGz(entries);
+};
+
+/**
+ * Permanently delete a user. Orders, reviews and chats are kept for the other
+ * party but re-pointed to the "Deleted User" placeholder and stripped of
+ * personal details; everything else tied to the user is removed, uploads included.
+ * The audit log is kept as the security record.
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request that triggered the deletion (for the audit log)
+ * @param {string} [options.reason] - 'self_service' or 'admin'
+ */
+const deleteUserAccount = async (user, options = {}) => {
+    if (user.isDeletedUserPlaceholder) {
+        throw new Error('The deleted-user placeholder cannot be deleted');
+    }
+
+    const userId = user._id;
+    const placeholder = await User.getDeletedUserPlaceholder();
+    const placeholderId = placeholder._id;
+
+    // Orders they placed stay with the chefs, without the delivery details
+    await Order.updateMany(
+        { user: userId },
+        {
+            $set: {
+                user: placeholderId,
+                deliveryAddress: 'Removed on account deletion',
+                deliveryLocation: null,
+                deliveryNotes: '',
+                anonymizedAt: new Date()
+            }
+        }
+    );
+
+    // Orders they cooked for stay with the customers
+    await Order.updateMany(
+        { 'chefItems.chef': userId },
+        { $set: { 'chefItems.$[group].chef': placeholderId } },
+        { arrayFilters: [{ 'group.chef': userId }] }
+    );
+
+    // The payment ledger is kept for the books, pointing at the placeholder
+    await PaymentTransaction.updateMany({ customer: userId }, { $set: { customer: placeholderId } });
+    await PaymentTransaction.updateMany({ chef: userId }, { $set: { chef: placeholderId } });
+    await PaymentTransaction.updateMany({ createdBy: userId }, { $set: { createdBy: placeholderId } });
+
+    // Reviews keep their rating and text but lose the author and photos
+    const reviews = await Review.find({ user: userId }).select('images');
+    reviews.forEach(review => (review.images || []).forEach(deleteFile));
+    await Review.updateMany(
+        { user: userId },
+        { $set: { user: placeholderId, images: [] } }
+    );
+
+    // Chats: remove what they wrote and any trace of them reading or hiding messages
+    await Chat.updateMany(
+        { 'messages.sender': userId },
+        {
+            $set: {
+                'messages.$[message].sender': placeholderId,
+                'messages.$[message].content': 'Message removed'
+            }
+        },
+        { arrayFilters: [{ 'message.sender': userId }] }
+    );
+    await Chat.updateMany(
+        { $or: [{ customer: userId }, { chef: userId }] },
+        {
+            $pull: {
+                deletedBy: userId,
+                'messages.$[].readBy': userId,
+                'messages.$[].deletedBy': userId
+            }
+        }
+    );
+    await Chat.updateMany({ customer: userId }, { $set: { customer: placeholderId } });
+    await Chat.updateMany({ chef: userId }, { $set: { chef: placeholderId, isActive: false } });
+
+    await deleteCartItems({ user: userId });
+
+    // Chef data: the profile goes, products are retired so past orders and reviews still resolve
+    const chefProfile = await ChefProfile.findOne({ user: userId });
+    if (chefProfile) {
+        [...(chefProfile.certificateImages || []), ...(chefProfile.portfolioImages || [])].forEach(deleteFile);
+        await ChefProfile.deleteOne({ _id: chefProfile._id });
+    }
+
+    const products = await Product.find({ chef: userId }).select('images');
+    if (products.length > 0) {
+        const productIds = products.map(product => product._id);
+        products.forEach(product => (product.images || []).forEach(deleteFile));
+
+        await Product.updateMany(
+            { _id: { $in: productIds } },
+            { $set: { chef: placeholderId, images: [], isAvailable: false } }
+        );
+        await CartItem.deleteMany({ product: { $in: productIds } });
+    }
+
+    await Session.deleteMany({ user: userId });
+    await ApiKey.deleteMany({ user: userId });
+
+    if (user.profileImage) {
+        deleteFile(user.profileImage);
+    }
+
+    await User.deleteOne({ _id: userId });
+
+    await recordAudit(options.req || null, {
+        action: 'account.deleted',
+        target: userId,
+        metadata: { role: user.role, reason: options.reason || 'admin' }
+    });
+};
+
+/**
+ * Delete every account whose grace period has ended. Accounts with orders
+ * still in progress are skipped and picked up on a later run.
+ * @returns {Promise<Object>} - { deleted, postponed }
+ */
+const processScheduledDeletions = async () => {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } });
+
+    let deleted = 0;
+    let postponed = 0;
+
+    for (const user of users) {
+        try {
+            if (await hasActiveOrders(user._id)) {
+                console.log(`Postponing deletion of user ${user._id}: orders still in progress`);
+                postponed++;
+                continue;
+            }
+
+            await deleteUserAccount(user, { reason: 'self_service' });
+            deleted++;
+        } catch (err) {
+            console.error(`Scheduled deletion of user ${user._id} failed:`, err.message);
+        }
+    }
+
+    return { deleted, postponed };
+};
+
+module.exports = {
+    hasActiveOrders,
+    collectUserData,
+    buildDataExport,
+    deleteUserAccount,
+    processScheduledDeletions
+};
@@ -0,0 +1,73 @@
+// utils/archive.js
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+
+const BLOCK_SIZE = 512;
+
+// Write a value into a tar header field as a NUL-terminated octal number
+const writeOctal = (header, value, offset, length) => {
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+// Build the 512-byte ustar header for a regular file
+const buildHeader = (name, size, mtime) => {
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    // Names longer than 100 bytes are split into prefix + name
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+        const splitAt = name.lastIndexOf('/', 155);
+        prefix = name.slice(0, splitAt);
+        name = name.slice(splitAt + 1);
+    }
+
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8); // mode
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(' ', 148, 156); // checksum is calculated with this field blank
+    header.write('0', 156, 1, 'ascii'); // regular file
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+};
+
+/**
+ * Pack files into an in-memory .tar.gz archive
+ * @param {Array<Object>} entries - { name, content (Buffer or string), mtime? }
+ * @returns {Promise<Buffer>}
+ */
+const createTarGz = async (entries) => {
+    const blocks = [];
+
+    entries.forEach(entry => {
+        const content = Buffer.isBuffer(entry.content)
+            ? entry.content
+            : Buffer.from(String(entry.content), 'utf8');
+
+        blocks.push(buildHeader(entry.name, content.length, entry.mtime || new Date()));
+        blocks.push(content);
+
+        const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    });
+
+    // Two empty blocks mark the end of the archive
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+    return await gzip(Buffer.concat(blocks));
+};
+
+module.exports = {
+    createTarGz
+};
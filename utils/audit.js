@@ -0,0 +1,46 @@
+// utils/audit.js
+const AuditLog = require('../models/audit-log.model');
+
+/**
+ * Record a security audit event. Failures are logged and swallowed so that
+ * auditing can never break the request being audited.
+ * @param {Object} req - Express request (source of IP, user agent and default actor)
+ * @param {Object} event
+ * @param {string} event.action - Event name, e.g. 'auth.login'
+ * @param {string} [event.actor] - Acting user ID (defaults to req.actor, i.e. the
+ *   impersonating staff member if there is one, otherwise req.user)
+ * @param {string} [event.target] - Affected user ID (defaults to req.user, or the actor)
+ * @param {string} [event.outcome] - 'success', 'failure' or 'blocked'
+ * @param {Object} [event.metadata] - Extra details (must not contain secrets)
+ * @returns {Promise<Object|null>} - The saved entry, or null if it could not be saved
+ */
+const recordAudit = async (req, event) => {
+    try {
+        const requestUser = req && req.user ? req.user._id : null;
+        const actor = event.actor !== undefined
+            ? event.actor
+            : (req && req.actor ? req.actor._id : requestUser);
+
+        const metadata = { ...(event.metadata || {}) };
+        if (req && req.impersonator) {
+            metadata.impersonation = true;
+        }
+
+        return await AuditLog.create({
+            action: event.action,
+            actor,
+            target: event.target !== undefined ? event.target : (requestUser || actor),
+            outcome: event.outcome || 'success',
+            ip: req ? req.ip : null,
+            userAgent: req && req.get ? req.get('user-agent') : null,
+            metadata
+        });
+    } catch (err) {
+        console.error(`Failed to record audit event ${event.action}:`, err.message);
+        return null;
+    }
+};
+
+module.exports = {
+    recordAudit
+};
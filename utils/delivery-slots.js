@@ -0,0 +1,204 @@
+// utils/delivery-slots.js
+//
+// Delivery slots come from a chef's schedule (ChefProfile.schedule): their
+// weekly hours cut into slots of slotMinutes, except on holidays. A slot
+// takes ordersPerSlot orders, counted in SlotBooking. The dishes must be
+// ready when the slot starts, so slots sooner than their preparation time
+// can't be booked.
+const ChefProfile = require('../models/chef.profile.model');
+const SlotBooking = require('../models/slot-booking.model');
+const {
+    MINUTE_MS,
+    getLocalDate,
+    toInstant,
+    addDays,
+    getWeekday,
+    toMinutes,
+    fromMinutes
+} = require('./local-time');
+
+// Reference to a document, whether populated or not
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * The schedule of a chef (the default one if they have no profile)
+ * @param {string} chefId
+ * @returns {Promise<Object>}
+ */
+const getChefSchedule = async (chefId) => {
+    const profile = await ChefProfile.findOne({ user: chefId }).select('schedule');
+    return profile ? profile.schedule : ChefProfile.defaultSchedule();
+};
+
+/**
+ * Minutes needed to prepare a set of dishes (they are cooked side by side)
+ * @param {Array} products - Product documents
+ * @returns {number}
+ */
+const getPreparationMinutes = (products) => {
+    return products.reduce((longest, product) => Math.max(longest, product.preparationTime || 0), 0);
+};
+
+// Start times of the slots on a date, e.g. ['10:00', '10:30']
+const getSlotTimes = (schedule, date) => {
+    if (schedule.holidays.some(holiday => holiday.date === date)) return [];
+
+    const weekday = getWeekday(date);
+    const times = new Set();
+
+    schedule.weeklyHours.filter(hours => hours.day === weekday).forEach(hours => {
+        const close = toMinutes(hours.close);
+        for (let start = toMinutes(hours.open); start + schedule.slotMinutes <= close; start += schedule.slotMinutes) {
+            times.add(fromMinutes(start));
+        }
+    });
+
+    return [...times].sort();
+};
+
+// Dates that can be booked: today up to the end of the booking window
+const getBookingWindow = (schedule, now) => {
+    const today = getLocalDate(now);
+    return { first: today, last: addDays(today, schedule.bookingWindowDays - 1) };
+};
+
+// Whether dishes started now would be ready when the slot starts
+const isEarlyEnough = (date, time, preparationMinutes, now) => {
+    return toInstant(date, time).getTime() >= now.getTime() + preparationMinutes * MINUTE_MS;
+};
+
+/**
+ * Check that a slot is open and far enough ahead. Whether it is full is
+ * only known when it is booked with bookSlot().
+ * @param {Object} schedule - ChefProfile.schedule
+ * @param {Object} slot - { date: 'YYYY-MM-DD', time: 'HH:mm' }
+ * @param {number} preparationMinutes
+ * @param {Date} [now]
+ * @returns {Object|null} - null if it can be booked, otherwise { status, message }
+ */
+const checkSlot = (schedule, { date, time }, preparationMinutes, now = new Date()) => {
+    const window = getBookingWindow(schedule, now);
+
+    if (date < window.first || date > window.last) {
+        return {
+            status: 409,
+            message: `Deliveries can only be booked up to ${schedule.bookingWindowDays} day(s) ahead`
+        };
+    }
+
+    const holiday = schedule.holidays.find(entry => entry.date === date);
+    if (holiday) {
+        return {
+            status: 409,
+            message: `The chef is not cooking on ${date}${holiday.reason ? ` (${holiday.reason})` : ''}`
+        };
+    }
+
+    if (!getSlotTimes(schedule, date).includes(time)) {
+        return { status: 409, message: `The chef does not deliver at ${time} on ${date}` };
+    }
+
+    if (!isEarlyEnough(date, time, preparationMinutes, now)) {
+        return {
+            status: 409,
+            message: `Your order takes ${preparationMinutes} minutes to prepare. Please choose a later delivery slot.`
+        };
+    }
+    return null;
+};
+
+/**
+ * The slots a chef can still take orders for
+ * @param {string} chefId
+ * @param {Object} schedule - ChefProfile.schedule
+ * @param {Object} options - { from: 'YYYY-MM-DD', days, preparationMinutes }
+ * @param {Date} [now]
+ * @returns {Promise<Array>} - [{ date, time, startsAt, remaining }]
+ */
+const getBookableSlots = async (chefId, schedule, { from, days, preparationMinutes = 0 }, now = new Date()) => {
+    const window = getBookingWindow(schedule, now);
+    const first = from && from > window.first ? from : window.first;
+    const requestedLast = addDays(first, (days || schedule.bookingWindowDays) - 1);
+    const last = requestedLast < window.last ? requestedLast : window.last;
+
+    if (first > last) return [];
+
+    const bookings = await SlotBooking.find({ chef: chefId, date: { $gte: first, $lte: last } });
+    const booked = new Map(bookings.map(booking => [`${booking.date} ${booking.time}`, booking.count]));
+
+    const slots = [];
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+        for (const time of getSlotTimes(schedule, date)) {
+            const remaining = schedule.ordersPerSlot - (booked.get(`${date} ${time}`) || 0);
+
+            if (remaining > 0 && isEarlyEnough(date, time, preparationMinutes, now)) {
+                slots.push({ date, time, startsAt: toInstant(date, time), remaining });
+            }
+        }
+    }
+    return slots;
+};
+
+/**
+ * Take one of a slot's orders
+ * @param {string} chefId
+ * @param {Object} slot - { date, time }
+ * @param {number} ordersPerSlot
+ * @param {Object} [session] - Transaction the update belongs to
+ * @returns {Promise<boolean>} - false if the slot is full
+ */
+const bookSlot = async (chefId, { date, time }, ordersPerSlot, session = null) => {
+    // Make sure the counter exists, then count the order only while there is room
+    await SlotBooking.updateOne(
+        { chef: chefId, date, time },
+        { $setOnInsert: { count: 0 } },
+        { upsert: true, session }
+    );
+
+    const result = await SlotBooking.updateOne(
+        { chef: chefId, date, time, count: { $lt: ordersPerSlot } },
+        { $inc: { count: 1 } },
+        { session }
+    );
+    return result.n > 0;
+};
+
+/**
+ * Give back an order taken with bookSlot()
+ * @param {string} chefId
+ * @param {Object} slot - { date, time }
+ * @param {Object} [session]
+ */
+const releaseSlot = async (chefId, { date, time }, session = null) => {
+    await SlotBooking.updateOne(
+        { chef: chefId, date, time, count: { $gt: 0 } },
+        { $inc: { count: -1 } },
+        { session }
+    );
+};
+
+/**
+ * Claim the slots of an order's cancelled chefs for giving back, once per
+ * chef. Changes the order in memory; saving it makes the claim, and only then
+ * are the slots given back with releaseSlot().
+ * @param {Object} order - Order document
+ * @returns {Array} - [{ chef, date, time }] to give back
+ */
+const claimOrderSlots = (order) => {
+    return order.chefItems
+        .filter(chefItem => chefItem.status === 'cancelled' && chefItem.slotBooked)
+        .map(chefItem => {
+            chefItem.slotBooked = false;
+            return { chef: idOf(chefItem.chef), date: order.deliveryDate, time: order.deliveryTime };
+        });
+};
+
+module.exports = {
+    getChefSchedule,
+    getPreparationMinutes,
+    checkSlot,
+    getBookableSlots,
+    bookSlot,
+    releaseSlot,
+    claimOrderSlots
+};
@@ -0,0 +1,133 @@
+// utils/delivery-zones.js
+//
+// Chefs deliver to the zones on their profile (ChefProfile.delivery). Each
+// chef's part of an order costs the flat fee of the zone the address is in,
+// or baseFee plus perKmFee for every km from the kitchen as the crow flies.
+const config = require('../config');
+const ChefProfile = require('../models/chef.profile.model');
+const { geocodeAddress } = require('./geocoding');
+
+const EARTH_RADIUS_KM = 6371;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Distance between two points as the crow flies (haversine)
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} - km
+ */
+const getDistanceKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting on raw coordinates, accurate enough for zones the size of a city
+const isInPolygon = (point, polygon) => {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const isInZone = (zone, point, kitchen) => {
+    if (zone.type === 'polygon') {
+        return isInPolygon(point, zone.polygon || []);
+    }
+
+    const center = zone.center || kitchen;
+    return !!center && getDistanceKm(center, point) <= zone.radiusKm;
+};
+
+/**
+ * Work out whether and for how much a chef delivers to a point
+ * @param {Object|null} delivery - ChefProfile.delivery, null for chefs without a profile
+ * @param {Object} point - { lat, lng }
+ * @returns {Object|null} - { zone, distanceKm, fee }, or null outside the chef's zones
+ */
+const quoteDelivery = (delivery, point) => {
+    const kitchen = delivery ? delivery.location : null;
+    const zones = delivery ? delivery.zones : [];
+
+    const zone = zones.find(entry => isInZone(entry, point, kitchen)) || null;
+    if (zones.length > 0 && !zone) return null;
+
+    const distanceKm = kitchen ? Math.round(getDistanceKm(kitchen, point) * 10) / 10 : null;
+
+    let fee;
+    if (zone && isSet(zone.fee)) {
+        fee = zone.fee;
+    } else {
+        const baseFee = delivery && isSet(delivery.baseFee) ? delivery.baseFee : config.delivery.baseFee;
+        const perKmFee = delivery && isSet(delivery.perKmFee) ? delivery.perKmFee : config.delivery.perKmFee;
+        fee = baseFee + (distanceKm || 0) * perKmFee;
+    }
+
+    return { zone: zone ? zone.name : null, distanceKm, fee: roundAmount(fee) };
+};
+
+/**
+ * Quote the delivery of several chefs to a point
+ * @param {Array} chefIds
+ * @param {Object} point - { lat, lng }
+ * @returns {Promise<Map>} - chef id => quote, or null where the chef doesn't deliver
+ */
+const quoteDeliveries = async (chefIds, point) => {
+    const profiles = await ChefProfile.find({ user: { $in: chefIds } }).select('user delivery');
+    const deliveryByChef = new Map(profiles.map(profile => [profile.user.toString(), profile.delivery]));
+
+    return new Map(chefIds.map(chefId => [
+        chefId.toString(),
+        quoteDelivery(deliveryByChef.get(chefId.toString()) || null, point)
+    ]));
+};
+
+/**
+ * Turn a delivery address into a structured address with coordinates. The
+ * client may send the location itself, e.g. picked on a map; otherwise the
+ * address is geocoded.
+ * @param {string} address - As typed by the customer
+ * @param {Object} [location] - { street, area, city, postalCode, country, coordinates: { lat, lng } }
+ * @returns {Promise<Object|null>} - The structured address, or null if it could not be found
+ *   (or the location sent has no valid coordinates)
+ */
+const resolveDeliveryLocation = async (address, location) => {
+    if (location && location.coordinates) {
+        const { street, area, city, postalCode, country, coordinates } = location;
+        const lat = isSet(coordinates.lat) && coordinates.lat !== '' ? Number(coordinates.lat) : NaN;
+        const lng = isSet(coordinates.lng) && coordinates.lng !== '' ? Number(coordinates.lng) : NaN;
+
+        // Half a location or one that isn't a number can't be placed
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+            Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+
+        return { street, area, city, postalCode, country, coordinates: { lat, lng } };
+    }
+
+    const result = await geocodeAddress(address);
+    if (!result) return null;
+
+    const { formatted, ...structured } = result;
+    return structured;
+};
+
+module.exports = {
+    getDistanceKm,
+    quoteDelivery,
+    quoteDeliveries,
+    resolveDeliveryLocation
+};
@@ -489,4 +489,1089 @@ The ${appName} Team
         text,
         html
     };
-};
\ No newline at end of file
+};
+/**
+ * Generate account locked template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.unlockUrl - URL to unlock the account
+ * @param {number} options.lockMinutes - How long the lock lasts
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.accountLocked = (options) => {
+    const { fullName, unlockUrl, lockMinutes } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+We temporarily locked your ${appName} account after several failed sign-in attempts.
+
+The lock will be lifted automatically in ${lockMinutes} minutes. If these attempts were yours, you can unlock your account right away:
+
+${unlockUrl}
+
+If you did not try to sign in, someone may be guessing your password. We recommend resetting it once your account is unlocked.
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Account Has Been Locked</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>We temporarily locked your ${appName} account after several failed sign-in attempts.</p>
+        
+        <p>The lock will be lifted automatically in ${lockMinutes} minutes. If these attempts were yours, you can unlock your account right away:</p>
+        
+        <div style="text-align: center;">
+            <a href="${unlockUrl}" class="button">Unlock My Account</a>
+        </div>
+        
+        <p>Or copy and paste this link in your browser:</p>
+        <p><a href="${unlockUrl}">${unlockUrl}</a></p>
+        
+        <div class="alert">
+            <strong>Not you?</strong> Someone may be guessing your password. We recommend resetting it once your account is unlocked.
+        </div>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Account Has Been Locked - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate magic sign-in link template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.loginUrl - One-time sign-in URL
+ * @param {number} options.expiresMinutes - How long the link is valid
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.magicLink = (options) => {
+    const { fullName, loginUrl, expiresMinutes } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Use the link below to sign in to ${appName}. No password needed:
+
+${loginUrl}
+
+This link can only be used once and will expire in ${expiresMinutes} minutes.
+
+If you did not request this link, you can safely ignore this email.
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Sign-In Link</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Use the button below to sign in to ${appName}. No password needed.</p>
+        
+        <div style="text-align: center;">
+            <a href="${loginUrl}" class="button">Sign In</a>
+        </div>
+        
+        <p>Or copy and paste this link in your browser:</p>
+        <p><a href="${loginUrl}">${loginUrl}</a></p>
+        
+        <div class="alert">
+            <strong>Note:</strong> This link can only be used once and will expire in ${expiresMinutes} minutes.
+        </div>
+        
+        <p>If you did not request this link, you can safely ignore this email.</p>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Sign in to ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate account deletion scheduled template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.deletionDate - When the account will be deleted
+ * @param {string} options.loginUrl - URL to sign in and cancel the deletion
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.accountDeletionScheduled = (options) => {
+    const { fullName, deletionDate, loginUrl } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+We received a request to delete your ${appName} account. Your account and personal data will be permanently deleted on ${deletionDate}.
+
+Changed your mind? Sign in before then and cancel the deletion from your account settings:
+
+${loginUrl}
+
+If you did not request this, sign in, cancel the deletion and change your password right away.
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Account Is Scheduled for Deletion</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>We received a request to delete your ${appName} account. Your account and personal data will be permanently deleted on <strong>${deletionDate}</strong>.</p>
+        
+        <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+        
+        <div style="text-align: center;">
+            <a href="${loginUrl}" class="button">Sign In</a>
+        </div>
+        
+        <div class="alert">
+            <strong>Not you?</strong> Sign in, cancel the deletion and change your password right away.
+        </div>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Account Is Scheduled for Deletion - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate email change confirmation template (sent to the new address)
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.confirmUrl - URL that confirms the new address
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.emailChangeConfirmation = (options) => {
+    const { fullName, confirmUrl } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Please confirm that you want to use this email address for your ${appName} account:
+
+${confirmUrl}
+
+Your email address will only change once you open this link. It expires in 24 hours.
+
+If you did not ask to change your email address, you can safely ignore this email.
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Confirm Your New Email Address</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Please confirm that you want to use this email address for your ${appName} account.</p>
+        
+        <div style="text-align: center;">
+            <a href="${confirmUrl}" class="button">Confirm Email Address</a>
+        </div>
+        
+        <p>Or copy and paste this link in your browser:</p>
+        <p><a href="${confirmUrl}">${confirmUrl}</a></p>
+        
+        <div class="alert">
+            <strong>Note:</strong> Your email address will only change once you open this link. It expires in 24 hours.
+        </div>
+        
+        <p>If you did not ask to change your email address, you can safely ignore this email.</p>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Confirm Your New Email Address - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate email change notice template (sent to the old address)
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.newEmail - The address being switched to
+ * @param {string} options.undoUrl - URL that cancels or reverts the change
+ * @param {Array<string>} [options.linkedProviders] - Display names of sign-in providers that will be disconnected
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.emailChangeNotice = (options) => {
+    const { fullName, newEmail, undoUrl, linkedProviders = [] } = options;
+    const providerNames = linkedProviders.join(' and ');
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Someone asked to change the email address of your ${appName} account to ${newEmail}. The change takes effect once the new address is confirmed.
+${providerNames ? `
+Sign-in with ${providerNames} will be disconnected from your account once the change is confirmed.
+` : ''}
+If this wasn't you, use the link below to cancel the change (or to switch back if it has already happened). It also signs out every device:
+
+${undoUrl}
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Email Address Is Being Changed</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Someone asked to change the email address of your ${appName} account to <strong>${newEmail}</strong>. The change takes effect once the new address is confirmed.</p>
+        
+        ${providerNames ? `<p>Sign-in with ${providerNames} will be disconnected from your account once the change is confirmed.</p>` : ''}
+        
+        <div class="alert">
+            <strong>Not you?</strong> Cancel the change (or switch back if it has already happened). This also signs out every device.
+        </div>
+        
+        <div style="text-align: center;">
+            <a href="${undoUrl}" class="button">This Wasn't Me</a>
+        </div>
+        
+        <p>Or copy and paste this link in your browser:</p>
+        <p><a href="${undoUrl}">${undoUrl}</a></p>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Email Address Is Being Changed - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate account suspended template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {boolean} options.banned - Whether the account is banned rather than suspended
+ * @param {string} options.reason - Reason given by staff
+ * @param {string} [options.until] - When the suspension ends (none for bans and open-ended suspensions)
+ * @param {string} options.loginUrl - URL to sign in and appeal
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.accountSuspended = (options) => {
+    const { fullName, banned, reason, until, loginUrl } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    const what = banned ? 'banned' : 'suspended';
+    const duration = !banned && until ? `until ${until}` : (banned ? 'permanently' : 'until further notice');
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Your ${appName} account has been ${what} ${duration}.
+
+Reason: ${reason}
+
+While your account is ${what} you cannot order, sell or chat. If you think this is a mistake, sign in and send us an appeal:
+
+${loginUrl}
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Account Has Been ${banned ? 'Banned' : 'Suspended'}</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Your ${appName} account has been ${what} <strong>${duration}</strong>.</p>
+        
+        <div class="alert">
+            <strong>Reason:</strong> ${reason}
+        </div>
+        
+        <p>While your account is ${what} you cannot order, sell or chat. If you think this is a mistake, sign in and send us an appeal.</p>
+        
+        <div style="text-align: center;">
+            <a href="${loginUrl}" class="button">Sign In to Appeal</a>
+        </div>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Account Has Been ${banned ? 'Banned' : 'Suspended'} - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate suspension lifted template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {string} options.loginUrl - URL to sign in
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.accountSuspensionLifted = (options) => {
+    const { fullName, loginUrl } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Good news: the suspension on your ${appName} account has been lifted and you can use it as before.
+
+${loginUrl}
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Account Is Active Again</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Good news: the suspension on your ${appName} account has been lifted and you can use it as before.</p>
+        
+        <div style="text-align: center;">
+            <a href="${loginUrl}" class="button">Sign In</a>
+        </div>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Account Is Active Again - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate appeal decision template
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - User's full name
+ * @param {boolean} options.accepted - Whether the appeal was accepted
+ * @param {string} [options.response] - Explanation from staff
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.suspensionAppealDecision = (options) => {
+    const { fullName, accepted, response } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+We have reviewed your appeal. ${accepted
+    ? 'It was accepted and your account is active again.'
+    : 'Unfortunately it was not accepted, so your account stays restricted.'}
+${response ? `
+Our response: ${response}
+` : ''}
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Appeal Has Been ${accepted ? 'Accepted' : 'Reviewed'}</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>We have reviewed your appeal. ${accepted
+            ? 'It was accepted and your account is active again.'
+            : 'Unfortunately it was not accepted, so your account stays restricted.'}</p>
+        
+        ${response ? `<div class="alert"><strong>Our response:</strong> ${response}</div>` : ''}
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Appeal Has Been ${accepted ? 'Accepted' : 'Reviewed'} - ${appName}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Generate order changed template (a chef or staff changed the customer's order)
+ * 
+ * @param {Object} options
+ * @param {string} options.fullName - Customer's full name
+ * @param {string} options.orderId - Order ID
+ * @param {string} options.change - What changed, e.g. "Chef Ram cannot prepare their part of your order"
+ * @param {string} [options.reason] - Reason given for the change
+ * @param {number} options.totalAmount - New order total
+ * @param {string} options.orderUrl - URL to view the order
+ * @returns {Object} - Email template with subject, text and HTML
+ */
+exports.orderChanged = (options) => {
+    const { fullName, orderId, change, reason, totalAmount, orderUrl } = options;
+    const appName = config.smtp.fromName || 'Food Hub';
+    
+    // Plain text version
+    const text = `
+Hello ${fullName},
+
+Your order ${orderId} has changed: ${change}.
+${reason ? `\nReason: ${reason}\n` : ''}
+Your new order total is ${totalAmount.toFixed(2)}.
+
+${orderUrl}
+
+Best regards,
+The ${appName} Team
+    `;
+    
+    // HTML version
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+        }
+        .container {
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            padding: 20px;
+            background-color: #f9f9f9;
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4CAF50;
+        }
+        .button {
+            display: inline-block;
+            background-color: #4CAF50;
+            color: white !important;
+            padding: 12px 25px;
+            text-decoration: none !important;
+            border-radius: 5px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .alert {
+            padding: 10px;
+            background-color: #fff8e1;
+            border-left: 4px solid #ffc107;
+            margin: 15px 0;
+        }
+        .footer {
+            margin-top: 20px;
+            font-size: 12px;
+            color: #777;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">${appName}</div>
+        </div>
+        
+        <h2>Your Order Has Changed</h2>
+        
+        <p>Hello ${fullName},</p>
+        
+        <p>Your order ${orderId} has changed: ${change}.</p>
+        
+        ${reason ? `<div class="alert"><strong>Reason:</strong> ${reason}</div>` : ''}
+        
+        <p>Your new order total is <strong>${totalAmount.toFixed(2)}</strong>.</p>
+        
+        <div style="text-align: center;">
+            <a href="${orderUrl}" class="button">View Order</a>
+        </div>
+        
+        <p>Best regards,<br>The ${appName} Team</p>
+    </div>
+    <div class="footer">
+        &copy; ${new Date().getFullYear()} ${appName}. All rights reserved.
+    </div>
+</body>
+</html>
+    `;
+    
+    return {
+        subject: `Your Order Has Changed - ${appName}`,
+        text,
+        html
+    };
+};
@@ -0,0 +1,318 @@
+// utils/fixtures.js
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/user.model');
+const ChefProfile = require('../models/chef.profile.model');
+const Product = require('../models/product.model');
+const Order = require('../models/order.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const Review = require('../models/review.model');
+const Chat = require('../models/chat.model');
+const CartItem = require('../models/cart.model');
+const Session = require('../models/session.model');
+const { recordCharge, refundOverpayment, collectCashOnDelivery } = require('./payment-ledger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const FIXTURE_FILES = ['users', 'products', 'orders', 'reviews', 'chats'];
+const ORDER_STATUSES = ['pending', 'received', 'in_progress', 'ready', 'delivered'];
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Read the fixture files of a directory. Missing files count as empty.
+ * @param {string} [dir] - Defaults to fixtures/
+ * @returns {Object} - { users, products, orders, reviews, chats }
+ */
+const readFixtures = (dir = DEFAULT_FIXTURES_DIR) => {
+    const fixtures = {};
+
+    for (const name of FIXTURE_FILES) {
+        const filePath = path.join(dir, `${name}.json`);
+        if (!fs.existsSync(filePath)) {
+            fixtures[name] = [];
+            continue;
+        }
+
+        try {
+            fixtures[name] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            throw new Error(`Invalid fixture file ${filePath}: ${err.message}`);
+        }
+
+        if (!Array.isArray(fixtures[name])) {
+            throw new Error(`Fixture file ${filePath} must contain an array`);
+        }
+    }
+
+    return fixtures;
+};
+
+// Look up a fixture reference, failing with the file it came from
+const resolve = (map, key, description) => {
+    const value = map.get(key);
+    if (!value) {
+        throw new Error(`Unknown ${description} "${key}" in fixtures`);
+    }
+    return value;
+};
+
+// Status history walking through every step up to the final status
+const buildStatusHistory = (status, deliveredAt) => {
+    const steps = status === 'cancelled'
+        ? ['pending', 'cancelled']
+        : ORDER_STATUSES.slice(0, ORDER_STATUSES.indexOf(status) + 1);
+
+    const start = deliveredAt.getTime() - (steps.length - 1) * 20 * 60 * 1000;
+    return steps.map((step, index) => ({
+        status: step,
+        timestamp: new Date(start + index * 20 * 60 * 1000),
+        actorRole: 'system',
+        reason: 'Loaded from fixtures'
+    }));
+};
+
+/**
+ * Remove everything that belongs to the fixture users, so fixtures can be loaded again
+ * @param {Object} fixtures - From readFixtures()
+ * @returns {Promise<number>} - Number of users removed
+ */
+const removeFixtureData = async (fixtures) => {
+    const users = await User.find({ email: { $in: fixtures.users.map(user => user.email.toLowerCase()) } }).select('_id');
+    const userIds = users.map(user => user._id);
+    if (userIds.length === 0) return 0;
+
+    const orders = await Order.find({ user: { $in: userIds } }).select('_id');
+    const orderIds = orders.map(order => order._id);
+    const products = await Product.find({ chef: { $in: userIds } }).select('_id');
+    const productIds = products.map(product => product._id);
+
+    await Review.deleteMany({ $or: [{ user: { $in: userIds } }, { order: { $in: orderIds } }] });
+    await Chat.deleteMany({ $or: [{ order: { $in: orderIds } }, { customer: { $in: userIds } }, { chef: { $in: userIds } }] });
+    await PaymentTransaction.deleteMany({ order: { $in: orderIds } });
+    await Order.deleteMany({ _id: { $in: orderIds } });
+    await CartItem.deleteMany({ $or: [{ user: { $in: userIds } }, { product: { $in: productIds } }] });
+    await Product.deleteMany({ _id: { $in: productIds } });
+    await ChefProfile.deleteMany({ user: { $in: userIds } });
+    await Session.deleteMany({ user: { $in: userIds } });
+    await User.deleteMany({ _id: { $in: userIds } });
+
+    return userIds.length;
+};
+
+/**
+ * Create users, chef profiles, products, orders, reviews and chats from fixtures.
+ * Fixtures refer to users by email and to products and orders by their "ref".
+ * @param {Object} fixtures - From readFixtures()
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Progress output
+ * @returns {Promise<Object>} - Number of documents created per kind
+ */
+const loadFixtures = async (fixtures, options = {}) => {
+    const log = options.log || (() => {});
+    const counts = { users: 0, chefProfiles: 0, products: 0, orders: 0, reviews: 0, chats: 0 };
+
+    const existing = await User.find({ email: { $in: fixtures.users.map(user => user.email.toLowerCase()) } }).select('email');
+    if (existing.length > 0) {
+        throw new Error(`Fixture users already exist (${existing.map(user => user.email).join(', ')}). Use --reset to recreate them.`);
+    }
+
+    // Users and chef profiles
+    const users = new Map();
+    for (const fixture of fixtures.users) {
+        const { chefProfile, ...data } = fixture;
+
+        // Saving through the model hashes the password and checks the password policy
+        const user = await User.create({
+            isEmailVerified: true,
+            ...data
+        });
+        users.set(user.email, user);
+        counts.users++;
+
+        if (chefProfile) {
+            await ChefProfile.create({ user: user._id, ...chefProfile });
+            counts.chefProfiles++;
+        }
+    }
+    log(`Created ${counts.users} users and ${counts.chefProfiles} chef profiles`);
+
+    const userFor = (email) => resolve(users, email.toLowerCase(), 'user');
+
+    // Products with their condiments
+    const products = new Map();
+    for (const fixture of fixtures.products) {
+        const { ref, chef, ...data } = fixture;
+
+        const product = await Product.create({
+            chef: userFor(chef)._id,
+            ...data
+        });
+        products.set(ref, product);
+        counts.products++;
+    }
+    log(`Created ${counts.products} products`);
+
+    // Orders, priced the same way as POST /api/orders
+    const orders = new Map();
+    for (const fixture of fixtures.orders) {
+        const { ref, customer, items, deliveryInDays = 0, status = 'pending', ...data } = fixture;
+
+        const deliveredAt = new Date(Date.now() + deliveryInDays * 24 * 60 * 60 * 1000);
+        const statusHistory = buildStatusHistory(status, deliveredAt);
+        const orderItems = [];
+        const chefItemsMap = new Map();
+        let subtotal = 0;
+
+        for (const item of items) {
+            const product = resolve(products, item.product, 'product');
+            const selectedCondiments = (item.condiments || []).map(name => {
+                const condiment = product.condiments.find(candidate => candidate.name === name);
+                if (!condiment) {
+                    throw new Error(`Unknown condiment "${name}" for product "${item.product}" in fixtures`);
+                }
+                return { name: condiment.name, price: condiment.price };
+            });
+
+            const unitPrice = product.price + selectedCondiments.reduce((sum, condiment) => sum + condiment.price, 0);
+            const orderItem = {
+                product: product._id,
+                quantity: item.quantity,
+                price: product.price,
+                selectedCondiments,
+                subtotal: roundPrice(unitPrice * item.quantity)
+            };
+            subtotal += orderItem.subtotal;
+            orderItems.push(orderItem);
+
+            const chefId = product.chef.toString();
+            if (!chefItemsMap.has(chefId)) {
+                chefItemsMap.set(chefId, {
+                    chef: product.chef,
+                    items: [],
+                    status,
+                    statusHistory
+                });
+            }
+            chefItemsMap.get(chefId).items.push(orderItem);
+        }
+
+        subtotal = roundPrice(subtotal);
+        const serviceFee = roundPrice(subtotal * 0.1);
+
+        const order = await Order.create({
+            user: userFor(customer)._id,
+            items: orderItems,
+            chefItems: Array.from(chefItemsMap.values()),
+            subtotal,
+            serviceFee,
+            totalAmount: roundPrice(subtotal + serviceFee),
+            deliveryDate: deliveredAt.toISOString().slice(0, 10),
+            deliveryNotes: '',
+            status,
+            statusHistory,
+            ...data
+        });
+        const ledgerContext = { role: 'system', reason: 'Loaded from fixtures' };
+        if (order.paymentMethod === 'cash_on_delivery') {
+            await collectCashOnDelivery(order, ledgerContext);
+        } else {
+            await recordCharge(order, ledgerContext);
+            await refundOverpayment(order, ledgerContext);
+        }
+        await order.save();
+        orders.set(ref, order);
+        counts.orders++;
+
+        // Every order gets a chat per chef, as when it is placed through the API
+        for (const chefId of chefItemsMap.keys()) {
+            await Chat.create({
+                order: order._id,
+                customer: order.user,
+                chef: chefId,
+                messages: []
+            });
+            counts.chats++;
+        }
+    }
+    log(`Created ${counts.orders} orders and ${counts.chats} chats`);
+
+    // Reviews, only for products of delivered orders
+    const reviewedProducts = new Set();
+    for (const fixture of fixtures.reviews) {
+        const order = resolve(orders, fixture.order, 'order');
+        const product = resolve(products, fixture.product, 'product');
+
+        if (order.status !== 'delivered') {
+            throw new Error(`Order "${fixture.order}" must be delivered before it can be reviewed`);
+        }
+        if (!order.items.some(item => item.product.equals(product._id))) {
+            throw new Error(`Order "${fixture.order}" does not contain product "${fixture.product}"`);
+        }
+
+        const review = await Review.create({
+            user: order.user,
+            product: product._id,
+            order: order._id,
+            rating: fixture.rating,
+            comment: fixture.comment
+        });
+
+        order.reviewedItems.push({ product: product._id, reviewId: review._id });
+        await order.save();
+
+        reviewedProducts.add(product._id.toString());
+        counts.reviews++;
+    }
+
+    for (const productId of reviewedProducts) {
+        const reviews = await Review.find({ product: productId }).select('rating');
+        const average = reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
+
+        await Product.findByIdAndUpdate(productId, {
+            $set: {
+                ratingAverage: parseFloat(average.toFixed(1)),
+                ratingCount: reviews.length
+            }
+        });
+    }
+    log(`Created ${counts.reviews} reviews`);
+
+    // Chat messages
+    let messageCount = 0;
+    for (const fixture of fixtures.chats) {
+        const order = resolve(orders, fixture.order, 'order');
+        const chef = userFor(fixture.chef);
+
+        const chat = await Chat.findOne({ order: order._id, chef: chef._id });
+        if (!chat) {
+            throw new Error(`Chef "${fixture.chef}" has no items in order "${fixture.order}"`);
+        }
+
+        for (const message of fixture.messages) {
+            const sender = message.from === 'chef' ? chef._id : order.user;
+            chat.messages.push({
+                sender,
+                content: message.content,
+                readBy: [sender],
+                createdAt: new Date(Date.now() - (message.minutesAgo || 0) * 60 * 1000)
+            });
+            messageCount++;
+        }
+
+        chat.messages.sort((a, b) => a.createdAt - b.createdAt);
+        chat.lastActivity = chat.messages.length > 0
+            ? chat.messages[chat.messages.length - 1].createdAt
+            : chat.lastActivity;
+        await chat.save();
+    }
+    log(`Added ${messageCount} chat messages`);
+
+    return counts;
+};
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    readFixtures,
+    loadFixtures,
+    removeFixtureData
+};
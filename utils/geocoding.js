@@ -0,0 +1,103 @@
+// utils/geocoding.js
+const config = require('../config');
+
+// Known to the offline geocoder, most specific first
+const OFFLINE_PLACES = [
+    { area: 'Thamel', city: 'Kathmandu', lat: 27.7154, lng: 85.3123 },
+    { area: 'Lazimpat', city: 'Kathmandu', lat: 27.7215, lng: 85.3206 },
+    { area: 'Baluwatar', city: 'Kathmandu', lat: 27.7290, lng: 85.3300 },
+    { area: 'Maharajgunj', city: 'Kathmandu', lat: 27.7360, lng: 85.3300 },
+    { area: 'New Road', city: 'Kathmandu', lat: 27.7040, lng: 85.3090 },
+    { area: 'Baneshwor', city: 'Kathmandu', lat: 27.6915, lng: 85.3420 },
+    { area: 'Koteshwor', city: 'Kathmandu', lat: 27.6789, lng: 85.3497 },
+    { area: 'Boudha', city: 'Kathmandu', lat: 27.7215, lng: 85.3620 },
+    { area: 'Chabahil', city: 'Kathmandu', lat: 27.7170, lng: 85.3470 },
+    { area: 'Kalanki', city: 'Kathmandu', lat: 27.6933, lng: 85.2817 },
+    { area: 'Balaju', city: 'Kathmandu', lat: 27.7350, lng: 85.3000 },
+    { area: 'Jawalakhel', city: 'Lalitpur', lat: 27.6726, lng: 85.3137 },
+    { area: 'Patan', city: 'Lalitpur', lat: 27.6766, lng: 85.3250 },
+    { area: 'Kirtipur', city: 'Kirtipur', lat: 27.6781, lng: 85.2776 },
+    { area: null, city: 'Lalitpur', lat: 27.6766, lng: 85.3250 },
+    { area: null, city: 'Bhaktapur', lat: 27.6710, lng: 85.4298 },
+    { area: null, city: 'Kathmandu', lat: 27.7172, lng: 85.3240 }
+];
+
+const mentions = (text, name) => new RegExp(`\\b${name}\\b`, 'i').test(text);
+
+/**
+ * Geocoders implement one method:
+ *   geocode(address) => Promise<result|null>
+ * `address` is the address as the customer typed it. A result is
+ * { formatted, street, area, city, postalCode, country, coordinates: { lat, lng } }
+ * (unknown parts null); null means the address could not be found. Real
+ * services can be plugged in with registerGeocoder() and selected through the
+ * GEOCODING_PROVIDER setting.
+ */
+const geocoders = {
+    // Finds the neighbourhoods and cities above by name, without any network
+    // access (development and tests). Coordinates are those of the place.
+    offline: () => ({
+        name: 'offline',
+        geocode: async (address) => {
+            const place = OFFLINE_PLACES.find(entry => mentions(address, entry.area || entry.city));
+            if (!place) return null;
+
+            return {
+                formatted: address.trim(),
+                street: null,
+                area: place.area,
+                city: place.city,
+                postalCode: null,
+                country: 'Nepal',
+                coordinates: { lat: place.lat, lng: place.lng }
+            };
+        }
+    })
+};
+
+let provider = null;
+
+/**
+ * Register a geocoder
+ * @param {string} name - Geocoder name used in config.geocoding.provider
+ * @param {Function} factory - Returns an object with a geocode(address) method
+ */
+const registerGeocoder = (name, factory) => {
+    geocoders[name] = factory;
+    provider = null;
+};
+
+/**
+ * Get the configured geocoder
+ * @returns {Object}
+ */
+const getGeocoder = () => {
+    if (!provider) {
+        const factory = geocoders[config.geocoding.provider];
+        if (!factory) {
+            throw new Error(`Unknown geocoder: ${config.geocoding.provider}`);
+        }
+        provider = factory(config.geocoding);
+    }
+    return provider;
+};
+
+/**
+ * Find the coordinates of an address
+ * @param {string} address
+ * @returns {Promise<Object|null>} - See the geocoder result above
+ */
+const geocodeAddress = async (address) => {
+    try {
+        return await getGeocoder().geocode(address);
+    } catch (error) {
+        console.error('Geocoding error:', error.message);
+        throw new Error(`Failed to geocode address: ${error.message}`);
+    }
+};
+
+module.exports = {
+    registerGeocoder,
+    getGeocoder,
+    geocodeAddress
+};
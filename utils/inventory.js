@@ -0,0 +1,268 @@
+// utils/inventory.js
+//
+// Portions are taken from a product's stock and daily capacity with
+// conditional updates, so two orders can never both get the last portion.
+// The daily count (portionsSold) belongs to capacityDate and starts again on
+// the first order of a new day.
+//
+// Adding to a cart holds the portions for config.cartHolds.durationMs. An
+// order takes over what its cart items hold; holds that run out are given
+// back by releaseExpiredCartHolds().
+const config = require('../config');
+const Product = require('../models/product.model');
+const CartItem = require('../models/cart.model');
+const { getLocalDate } = require('./local-time');
+
+const isLimited = (value) => value !== null && value !== undefined;
+
+// Reference to a document, whether populated or not
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Check that enough portions are left for a quantity
+ * @param {Object} product - Product document
+ * @param {number} quantity
+ * @param {number} [held] - Portions already held for the customer, counted as left
+ * @returns {Object|null} - null if allowed, otherwise { status, message }
+ */
+const checkPortions = (product, quantity, held = 0) => {
+    const remaining = product.getRemainingPortions() + held;
+    if (quantity <= remaining) return null;
+
+    return {
+        status: 409,
+        message: remaining > 0
+            ? `Only ${remaining} portion(s) of ${product.name} are left today`
+            : `${product.name} is sold out for today`
+    };
+};
+
+/**
+ * Take portions of a product for an order
+ * @param {Object} product - Product document, for which limits apply
+ * @param {number} quantity
+ * @param {Object} [session] - Transaction the update belongs to
+ * @returns {Promise<Object|null>} - What was taken ({ stock, date }), or null if not enough is left
+ */
+const reservePortions = async (product, quantity, session = null) => {
+    const usesStock = isLimited(product.stock);
+    const usesCapacity = isLimited(product.dailyCapacity);
+
+    if (!usesStock && !usesCapacity) {
+        return { stock: false, date: null };
+    }
+
+    const filter = { _id: product._id };
+    const inc = {};
+    if (usesStock) {
+        filter.stock = { $gte: quantity };
+        inc.stock = -quantity;
+    }
+
+    const take = async (extraFilter, update) => {
+        const result = await Product.updateOne({ ...filter, ...extraFilter }, update, { session });
+        return result.n > 0;
+    };
+
+    if (!usesCapacity) {
+        return await take({}, { $inc: inc }) ? { stock: true, date: null } : null;
+    }
+
+    const date = getLocalDate();
+    const takeToday = () => take(
+        { capacityDate: date, $expr: { $lte: [{ $add: ['$portionsSold', quantity] }, '$dailyCapacity'] } },
+        { $inc: { ...inc, portionsSold: quantity } }
+    );
+    const startDay = () => take(
+        { capacityDate: { $ne: date }, dailyCapacity: { $gte: quantity } },
+        { $inc: inc, $set: { capacityDate: date, portionsSold: quantity } }
+    );
+
+    // Another order may start the day between the last two attempts
+    const taken = await takeToday() || await startDay() || await takeToday();
+    return taken ? { stock: usesStock, date } : null;
+};
+
+/**
+ * Give back portions taken with reservePortions(). Portions of an earlier
+ * day aren't added to today's capacity.
+ * @param {string} productId
+ * @param {Object} reservation - { stock, date } as returned by reservePortions()
+ * @param {number} quantity
+ * @param {Object} [session]
+ */
+const releasePortions = async (productId, reservation, quantity, session = null) => {
+    if (reservation.stock) {
+        await Product.updateOne(
+            { _id: productId, stock: { $ne: null } },
+            { $inc: { stock: quantity } },
+            { session }
+        );
+    }
+
+    if (reservation.date) {
+        await Product.updateOne(
+            { _id: productId, capacityDate: reservation.date, portionsSold: { $gte: quantity } },
+            { $inc: { portionsSold: -quantity } },
+            { session }
+        );
+    }
+};
+
+/**
+ * Claim the portions of an order's cancelled and removed items for giving
+ * back, once per item. Changes the order in memory; saving it makes the claim,
+ * and only then are the portions given back with releasePortions().
+ * @param {Object} order - Order document
+ * @returns {Array} - [{ product, reservation, quantity }] to give back
+ */
+const claimOrderPortions = (order) => {
+    const items = [
+        ...order.chefItems
+            .filter(chefItem => chefItem.status === 'cancelled')
+            .flatMap(chefItem => chefItem.items),
+        ...order.removedItems
+    ];
+
+    return items
+        .filter(item => {
+            const reservation = item.reservation;
+            return reservation && !reservation.released && (reservation.stock || reservation.date);
+        })
+        .map(item => {
+            item.reservation.released = true;
+            return {
+                product: idOf(item.product),
+                reservation: { stock: item.reservation.stock, date: item.reservation.date },
+                quantity: item.quantity
+            };
+        });
+};
+
+// Take a cart item's hold away from it, so only one request gives it back or
+// uses it. Returns what was held, or null if nothing was.
+const claimCartHold = async (cartItemId, extraFilter = {}, session = null) => {
+    const cartItem = await CartItem.findOneAndUpdate(
+        { _id: cartItemId, 'hold.quantity': { $gt: 0 }, ...extraFilter },
+        { $set: { 'hold.quantity': 0, 'hold.expiresAt': null } },
+        { session }
+    );
+    return cartItem ? cartItem.hold : null;
+};
+
+const setCartHold = (cartItem, quantity, reservation) => {
+    const needed = !!reservation && (reservation.stock || !!reservation.date);
+
+    cartItem.hold = needed
+        ? {
+            quantity,
+            stock: reservation.stock,
+            date: reservation.date,
+            expiresAt: new Date(Date.now() + config.cartHolds.durationMs)
+        }
+        : { quantity: 0, stock: false, date: null, expiresAt: null };
+};
+
+/**
+ * Hold portions of a product for a cart item, in place of what it held
+ * before. Changes the cart item in memory; the caller saves it.
+ * @param {Object} cartItem - CartItem document
+ * @param {Object} product - Product document
+ * @param {number} quantity - All the cart item should hold
+ * @returns {Promise<Object|null>} - null if held, otherwise { status, message }
+ */
+const holdCartPortions = async (cartItem, product, quantity) => {
+    const previous = cartItem.isNew ? null : await claimCartHold(cartItem._id);
+    if (previous) {
+        await releasePortions(product._id, previous, previous.quantity);
+    }
+
+    const reservation = await reservePortions(product, quantity);
+    if (reservation) {
+        setCartHold(cartItem, quantity, reservation);
+        return null;
+    }
+
+    // Keep what was held before if it is still there
+    if (previous) {
+        const kept = await reservePortions(product, previous.quantity);
+        setCartHold(cartItem, previous.quantity, kept);
+        await CartItem.updateOne({ _id: cartItem._id }, { $set: { hold: cartItem.hold } });
+    }
+
+    const current = await Product.findById(product._id);
+    return (current && checkPortions(current, quantity, cartItem.hold.quantity)) ||
+        { status: 409, message: `${product.name} is sold out for today` };
+};
+
+/**
+ * Take the portions for ordering a cart item: those it holds (even once the
+ * hold ran out, if it wasn't given back yet), or fresh ones. A hold from an
+ * earlier day is given back, since its portions don't count for today.
+ * @param {Object} cartItem - CartItem document with its product populated
+ * @param {Object} [session] - Transaction the updates belong to
+ * @returns {Promise<Object|null>} - As reservePortions()
+ */
+const takeCartPortions = async (cartItem, session = null) => {
+    const held = await claimCartHold(cartItem._id, {}, session);
+    const isCurrent = held && (!held.date || held.date === getLocalDate());
+    if (isCurrent && held.quantity === cartItem.quantity) {
+        return { stock: held.stock, date: held.date };
+    }
+    if (held) {
+        await releasePortions(cartItem.product._id, held, held.quantity, session);
+    }
+    return await reservePortions(cartItem.product, cartItem.quantity, session);
+};
+
+/**
+ * Delete cart items and give back what they hold
+ * @param {Object} filter - e.g. { user }
+ * @returns {Promise<number>} - Cart items deleted
+ */
+const deleteCartItems = async (filter) => {
+    const cartItems = await CartItem.find(filter).select('_id');
+    let deleted = 0;
+
+    for (const { _id } of cartItems) {
+        const cartItem = await CartItem.findOneAndDelete({ _id });
+        if (!cartItem) continue;
+
+        deleted++;
+        if (cartItem.hold && cartItem.hold.quantity > 0) {
+            await releasePortions(cartItem.product, cartItem.hold, cartItem.hold.quantity);
+        }
+    }
+    return deleted;
+};
+
+/**
+ * Give back the portions of cart holds that ran out
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Holds given back
+ */
+const releaseExpiredCartHolds = async (now = new Date()) => {
+    const expiredFilter = { 'hold.expiresAt': { $lte: now } };
+    const cartItems = await CartItem.find({ 'hold.quantity': { $gt: 0 }, ...expiredFilter }).select('product');
+    let released = 0;
+
+    for (const cartItem of cartItems) {
+        const held = await claimCartHold(cartItem._id, expiredFilter);
+        if (!held) continue;
+
+        await releasePortions(cartItem.product, held, held.quantity);
+        released++;
+    }
+    return released;
+};
+
+module.exports = {
+    checkPortions,
+    reservePortions,
+    releasePortions,
+    claimOrderPortions,
+    holdCartPortions,
+    takeCartPortions,
+    deleteCartItems,
+    releaseExpiredCartHolds
+};
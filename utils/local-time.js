@@ -0,0 +1,83 @@
+// utils/local-time.js
+//
+// Dates (YYYY-MM-DD) and times of day (HH:mm) in the kitchens' time zone
+// (config.timeZone), as used for daily portion limits and delivery slots.
+const config = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatter = () => new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+// The local wall clock at an instant, e.g. { year: '2024', month: '05', ... }
+const getParts = (date) => {
+    return Object.fromEntries(formatter().formatToParts(date).map(part => [part.type, part.value]));
+};
+
+/**
+ * The calendar date in the kitchens' time zone
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} - YYYY-MM-DD
+ */
+const getLocalDate = (date = new Date()) => {
+    const parts = getParts(date);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * The instant a local date and time of day stand for
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @returns {Date}
+ */
+const toInstant = (date, time) => {
+    const wallClock = Date.parse(`${date}T${time}:00Z`);
+    // How far the zone is ahead of UTC around that time
+    const parts = getParts(new Date(wallClock));
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wallClock;
+    return new Date(wallClock - offset);
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} - 0 for Sunday to 6 for Saturday
+ */
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// 'HH:mm' <-> minutes since midnight
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const fromMinutes = (minutes) => {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+module.exports = {
+    MINUTE_MS,
+    getLocalDate,
+    toInstant,
+    addDays,
+    getWeekday,
+    toMinutes,
+    fromMinutes
+};
@@ -0,0 +1,110 @@
+// utils/login-throttle.js
+const User = require('../models/user.model');
+const config = require('../config');
+const sendEmail = require('./email');
+const emailTemplates = require('./email-templates');
+const { recordAudit } = require('./audit');
+
+/**
+ * Check whether a login attempt for this account may proceed
+ * @param {Object} user - The user trying to log in
+ * @returns {Promise<Object|null>} - null if allowed, otherwise { status, message, retryAfter }
+ */
+exports.checkLoginAllowed = async (user) => {
+    // An expired lock starts the user over with a clean slate
+    if (user.lockUntil && !user.isLocked()) {
+        await user.resetLoginAttempts();
+    }
+
+    if (user.isLocked()) {
+        return {
+            status: 423,
+            message: 'Account is temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+            retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+        };
+    }
+
+    const delay = user.getLoginDelay();
+    if (delay > 0) {
+        return {
+            status: 429,
+            message: 'Too many failed login attempts. Please wait before trying again.',
+            retryAfter: Math.ceil(delay / 1000)
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Send the rejection produced by checkLoginAllowed
+ * @param {Object} res - Express response
+ * @param {Object} rejection - { status, message, retryAfter }
+ */
+exports.sendLoginRejection = (res, rejection) => {
+    res.set('Retry-After', String(rejection.retryAfter));
+    return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message,
+        retryAfter: rejection.retryAfter
+    });
+};
+
+/**
+ * Record a failed password or 2FA attempt, emailing an unlock link when the
+ * account gets locked
+ * @param {Object} user - The user whose attempt failed
+ * @param {Object} req - Express request
+ * @param {string} method - What failed: 'password', 'totp' or 'backup_code'
+ */
+exports.recordFailedLogin = async (user, req, method) => {
+    const { user: updatedUser, justLocked } = await User.registerFailedLogin(user._id);
+
+    await recordAudit(req, {
+        action: 'auth.login_failed',
+        actor: null,
+        target: user._id,
+        outcome: 'failure',
+        metadata: { method, failedAttempts: updatedUser ? updatedUser.failedLoginAttempts : null }
+    });
+
+    if (!justLocked) return;
+
+    console.log(`Account locked after ${updatedUser.failedLoginAttempts} failed attempts: ${updatedUser.email}`);
+
+    await recordAudit(req, {
+        action: 'account.locked',
+        actor: null,
+        target: updatedUser._id,
+        metadata: { lockUntil: updatedUser.lockUntil }
+    });
+
+    const unlockToken = updatedUser.generateAccountUnlockToken();
+    await updatedUser.save();
+
+    const unlockUrl = `${req.protocol}://${req.get('host')}/api/auth/unlock/${unlockToken}`;
+    const emailTemplate = emailTemplates.accountLocked({
+        fullName: updatedUser.fullName,
+        unlockUrl,
+        lockMinutes: Math.round(config.loginThrottle.lockoutDurationMs / 60000)
+    });
+
+    try {
+        await sendEmail({
+            email: updatedUser.email,
+            subject: emailTemplate.subject,
+            message: emailTemplate.text,
+            html: emailTemplate.html
+        });
+    } catch (emailErr) {
+        console.error('Failed to send account locked email:', emailErr.message);
+    }
+};
+
+/**
+ * Clear the failed attempt counter after a successful login
+ * @param {Object} user
+ */
+exports.recordSuccessfulLogin = async (user) => {
+    await user.resetLoginAttempts();
+};
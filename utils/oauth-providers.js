@@ -0,0 +1,130 @@
+// utils/oauth-providers.js
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const OAuth2Strategy = require('passport-oauth2').Strategy;
+const oauthConfig = require('../config/oauth');
+
+/**
+ * Strategy types turn a provider from config/oauth.js into a Passport strategy:
+ *   factory(name, options, verify) => Strategy
+ * `verify(req, profile, done)` must be called with a normalised profile:
+ *   { id, email, emailVerified, displayName }
+ * More types can be added with registerOAuthStrategyType().
+ */
+const strategyTypes = {
+    google: (name, options, verify) => new GoogleStrategy({
+        clientID: options.clientID,
+        clientSecret: options.clientSecret,
+        callbackURL: options.callbackURL,
+        proxy: true, // For handling proxies in production
+        passReqToCallback: true
+    }, (req, accessToken, refreshToken, profile, done) => {
+        const email = profile.emails && profile.emails[0];
+
+        verify(req, {
+            id: profile.id,
+            email: email ? email.value : null,
+            emailVerified: !!email && email.verified !== false && email.verified !== 'false',
+            displayName: profile.displayName
+        }, done);
+    }),
+
+    // Any OpenID Connect provider: authorization code flow plus the userinfo endpoint
+    oidc: (name, options, verify) => {
+        const strategy = new OAuth2Strategy({
+            clientID: options.clientID,
+            clientSecret: options.clientSecret,
+            authorizationURL: options.authorizationURL,
+            tokenURL: options.tokenURL,
+            callbackURL: options.callbackURL,
+            passReqToCallback: true
+        }, (req, accessToken, refreshToken, profile, done) => verify(req, profile, done));
+
+        strategy._oauth2.useAuthorizationHeaderforGET(true);
+
+        strategy.userProfile = function(accessToken, done) {
+            this._oauth2.get(options.userInfoURL, accessToken, (err, body) => {
+                if (err) {
+                    return done(new Error(`Failed to fetch ${name} user info`));
+                }
+
+                try {
+                    const claims = JSON.parse(body);
+                    done(null, {
+                        id: String(claims.sub),
+                        email: claims.email || null,
+                        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+                        displayName: claims.name || claims.preferred_username || claims.email
+                    });
+                } catch (parseError) {
+                    done(new Error(`Invalid ${name} user info response`));
+                }
+            });
+        };
+
+        return strategy;
+    }
+};
+
+/**
+ * Register a strategy type for providers in config/oauth.js
+ * @param {string} type - Value of a provider's `type` setting
+ * @param {Function} factory - (name, options, verify) => Passport strategy
+ */
+const registerOAuthStrategyType = (type, factory) => {
+    strategyTypes[type] = factory;
+};
+
+/**
+ * Get an enabled provider by name
+ * @param {string} name
+ * @returns {Object|null} - Provider settings including its name and callbackURL
+ */
+const getOAuthProvider = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(oauthConfig.providers, name)) return null;
+
+    const provider = oauthConfig.providers[name];
+    if (!provider.enabled) return null;
+
+    return {
+        name,
+        callbackURL: `${oauthConfig.callbackBaseUrl}/${name}/callback`,
+        authorizeOptions: {},
+        ...provider
+    };
+};
+
+/**
+ * List the enabled providers
+ * @returns {Array<Object>}
+ */
+const getOAuthProviders = () => {
+    return Object.keys(oauthConfig.providers)
+        .map(getOAuthProvider)
+        .filter(Boolean);
+};
+
+/**
+ * Register a Passport strategy, named after the provider, for every enabled provider
+ * @param {Object} passport
+ * @param {Function} verify - (req, providerName, profile, done)
+ */
+const useOAuthProviders = (passport, verify) => {
+    getOAuthProviders().forEach(provider => {
+        const factory = strategyTypes[provider.type];
+        if (!factory) {
+            throw new Error(`Unknown OAuth provider type "${provider.type}" for ${provider.name}`);
+        }
+
+        const strategy = factory(provider.name, provider, (req, profile, done) => {
+            verify(req, provider.name, profile, done);
+        });
+        passport.use(provider.name, strategy);
+    });
+};
+
+module.exports = {
+    registerOAuthStrategyType,
+    getOAuthProvider,
+    getOAuthProviders,
+    useOAuthProviders
+};
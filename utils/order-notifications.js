@@ -0,0 +1,31 @@
+// utils/order-notifications.js
+//
+// Telling people about saved order changes. Kept apart from the order state
+// machine, which the Order model loads, so models don't pull in the socket server.
+const { emitToUser } = require('../socket');
+
+// Reference to a user, whether populated or not
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Side effects of a saved status change: tell the customer and every chef of
+ * the order over the socket connection
+ * @param {Object} order - The saved order
+ */
+const notifyStatusChange = (order) => {
+    const payload = {
+        orderId: order._id,
+        status: order.status,
+        chefItems: order.chefItems.map(chefItem => ({
+            chef: idOf(chefItem.chef),
+            status: chefItem.status
+        }))
+    };
+
+    emitToUser(idOf(order.user), 'orderStatusChanged', payload);
+    order.chefItems.forEach(chefItem => emitToUser(idOf(chefItem.chef), 'orderStatusChanged', payload));
+};
+
+module.exports = {
+    notifyStatusChange
+};
@@ -0,0 +1,42 @@
+// utils/order-settlement.js
+//
+// Once an order has changed (cancelled, items removed, delivered, payment
+// settled), what it holds is brought in line: the portions and delivery slots
+// of cancelled items are given back and the money is refunded or recorded.
+// Orders are saved with optimistic concurrency, so a request that lost a race
+// with another one fails before anything is given back.
+const { refundOverpayment, collectCashOnDelivery } = require('./payment-ledger');
+const { claimOrderPortions, releasePortions } = require('./inventory');
+const { claimOrderSlots, releaseSlot } = require('./delivery-slots');
+
+/**
+ * Save an order's new state and give back what it no longer needs
+ * @param {Object} order - Order document, changed in memory
+ * @param {Object} context - { chefItem, role, actor, reason }
+ * @returns {Promise<Object>} - The settled order (loaded again if another request saved it in between)
+ */
+const settleOrder = async (order, context) => {
+    // Saving claims the portions and slots, so only one request gives them back
+    const portions = claimOrderPortions(order);
+    const slots = claimOrderSlots(order);
+    await order.save();
+
+    for (const { product, reservation, quantity } of portions) {
+        await releasePortions(product, reservation, quantity);
+    }
+    for (const { chef, date, time } of slots) {
+        await releaseSlot(chef, { date, time });
+    }
+
+    // The amounts come from the ledger, so a retry doesn't move money twice
+    const settled = await order.saveWithRetry(async (current) => {
+        await refundOverpayment(current, context);
+        // Cash is paid for the whole order, not one chef's part
+        await collectCashOnDelivery(current, { role: context.role, actor: context.actor });
+    });
+    return settled || order;
+};
+
+module.exports = {
+    settleOrder
+};
@@ -0,0 +1,199 @@
+// utils/order-state-machine.js
+//
+// Every order status change goes through here. Each chef's part of an order
+// (order.chefItems[]) moves through the states on its own; the status and totals
+// of the whole order are derived from them and never set directly.
+//
+//   pending -> received -> in_progress -> ready -> delivered
+//      \__________\____________\____________\____> cancelled
+
+const ORDER_STATUSES = ['pending', 'received', 'in_progress', 'ready', 'delivered', 'cancelled'];
+
+// Nothing leaves these states
+const FINAL_STATUSES = ['delivered', 'cancelled'];
+
+// Who can cause a change: the customer, the chef of the items, staff with
+// orders:manage_any, or the server itself (timeouts, payment results, ...)
+const ACTOR_ROLES = ['customer', 'chef', 'admin', 'system'];
+
+const STAFF_TRANSITIONS = {
+    pending: ['received', 'cancelled'],
+    received: ['in_progress', 'cancelled'],
+    in_progress: ['ready', 'cancelled'],
+    ready: ['delivered', 'cancelled']
+};
+
+// Allowed moves per role: TRANSITIONS[role][from] = [to, ...]
+const TRANSITIONS = {
+    // Customers can only call off what no chef has accepted yet
+    customer: {
+        pending: ['cancelled']
+    },
+    // Chefs move one step at a time and can only back out before they start cooking
+    chef: {
+        pending: ['received', 'cancelled'],
+        received: ['in_progress', 'cancelled'],
+        in_progress: ['ready'],
+        ready: ['delivered']
+    },
+    admin: STAFF_TRANSITIONS,
+    system: STAFF_TRANSITIONS
+};
+
+// Extra conditions for entering a status. Return a message to refuse the change.
+const GUARDS = {
+    cancelled: ({ role, reason }) => {
+        if ((role === 'chef' || role === 'admin') && !reason) {
+            return 'A reason is required to cancel an order';
+        }
+        return null;
+    }
+};
+
+/**
+ * Statuses a role may move a chef's part of an order to
+ * @param {string} role - One of ACTOR_ROLES
+ * @param {string} from - Current status
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (role, from) => {
+    return (TRANSITIONS[role] && TRANSITIONS[role][from]) || [];
+};
+
+/**
+ * Build a status history entry
+ * @param {string} status
+ * @param {Object} context - { role, actor, reason }
+ * @returns {Object}
+ */
+const createHistoryEntry = (status, { role, actor, reason } = {}) => ({
+    status,
+    timestamp: new Date(),
+    actor: actor || null,
+    actorRole: role || null,
+    reason: reason || null
+});
+
+// Check a single move. Returns { status, message } to refuse it, or null.
+const checkTransition = (from, to, context) => {
+    if (!ORDER_STATUSES.includes(to)) {
+        return { status: 400, message: 'Invalid status value' };
+    }
+
+    if (!getAllowedTransitions(context.role, from).includes(to)) {
+        return {
+            status: 400,
+            message: FINAL_STATUSES.includes(from)
+                ? `The order is already ${from} and can no longer change`
+                : `Cannot change the status from ${from} to ${to}`
+        };
+    }
+
+    const guard = GUARDS[to];
+    const guardMessage = guard ? guard(context) : null;
+    return guardMessage ? { status: 400, message: guardMessage } : null;
+};
+
+// Work out the order status from its chefs' parts. Cancelled parts don't
+// hold up the rest; the order is only cancelled once every part is.
+const deriveOrderStatus = (chefItems) => {
+    const statuses = chefItems.map(chefItem => chefItem.status);
+    const active = statuses.filter(status => status !== 'cancelled');
+
+    if (active.length === 0) return 'cancelled';
+    if (active.every(status => status === 'delivered')) return 'delivered';
+    if (active.every(status => ['ready', 'delivered'].includes(status))) return 'ready';
+    if (active.some(status => ['in_progress', 'ready', 'delivered'].includes(status))) return 'in_progress';
+    if (active.every(status => status !== 'pending')) return 'received';
+    return 'pending';
+};
+
+// Bring the order status and totals in line with its chefs' parts (one history entry per real change)
+const syncOrderStatus = (order, context) => {
+    const status = deriveOrderStatus(order.chefItems);
+    order.recalculateTotals();
+
+    if (status !== order.status) {
+        order.status = status;
+        order.statusHistory.push(createHistoryEntry(status, context));
+    }
+};
+
+/**
+ * Move one chef's part of an order to a new status. Changes the order in
+ * memory only; the caller saves it and then calls notifyStatusChange()
+ * (utils/order-notifications.js).
+ * @param {Object} order - Order document
+ * @param {Object} chefItem - Entry of order.chefItems
+ * @param {string} to - New status
+ * @param {Object} context - { role, actor, reason }
+ * @returns {Object|null} - null on success, otherwise { status, message }
+ */
+const transitionChefItems = (order, chefItem, to, context) => {
+    const rejection = checkTransition(chefItem.status, to, context);
+    if (rejection) return rejection;
+
+    chefItem.status = to;
+    chefItem.statusHistory.push(createHistoryEntry(to, context));
+    syncOrderStatus(order, context);
+    return null;
+};
+
+/**
+ * Move every unfinished chef's part of an order to a new status (e.g. staff
+ * or the customer cancelling the whole order). Nothing changes unless every
+ * part may make the move.
+ * @param {Object} order - Order document
+ * @param {string} to - New status
+ * @param {Object} context - { role, actor, reason }
+ * @returns {Object|null} - null on success, otherwise { status, message }
+ */
+const transitionOrder = (order, to, context) => {
+    const open = order.chefItems.filter(chefItem => !FINAL_STATUSES.includes(chefItem.status));
+
+    if (open.length === 0) {
+        return { status: 400, message: `The order is already ${order.status} and can no longer change` };
+    }
+
+    for (const chefItem of open) {
+        const rejection = checkTransition(chefItem.status, to, context);
+        if (rejection) return rejection;
+    }
+
+    for (const chefItem of open) {
+        chefItem.status = to;
+        chefItem.statusHistory.push(createHistoryEntry(to, context));
+    }
+    syncOrderStatus(order, context);
+    return null;
+};
+
+/**
+ * Check whether items may be taken out of a chef's part of an order. That is
+ * allowed whenever the role could cancel the whole part.
+ * @param {Object} chefItem - Entry of order.chefItems
+ * @param {Object} context - { role, actor, reason }
+ * @returns {Object|null} - null if allowed, otherwise { status, message }
+ */
+const checkItemRemoval = (chefItem, context) => {
+    if (!getAllowedTransitions(context.role, chefItem.status).includes('cancelled')) {
+        return { status: 400, message: `Items can no longer be removed once the order is ${chefItem.status}` };
+    }
+
+    if ((context.role === 'chef' || context.role === 'admin') && !context.reason) {
+        return { status: 400, message: 'A reason is required to remove an item' };
+    }
+    return null;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    FINAL_STATUSES,
+    ACTOR_ROLES,
+    getAllowedTransitions,
+    createHistoryEntry,
+    deriveOrderStatus,
+    transitionChefItems,
+    transitionOrder,
+    checkItemRemoval
+};
@@ -0,0 +1,118 @@
+// utils/password-policy.js
+const fs = require('fs');
+const config = require('../config');
+
+// Letter swaps people use to dress up a common password (P@ssw0rd)
+const SUBSTITUTIONS = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+let blocklist = null;
+
+// The list is read once, on first use
+const getBlocklist = () => {
+    if (blocklist) return blocklist;
+
+    blocklist = new Set();
+    const { blocklistPath } = config.passwordPolicy;
+    if (!blocklistPath) return blocklist;
+
+    try {
+        fs.readFileSync(blocklistPath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'))
+            .forEach(line => blocklist.add(line));
+    } catch (err) {
+        console.error(`Could not read password blocklist ${blocklistPath}:`, err.message);
+    }
+    return blocklist;
+};
+
+// The password as typed, without digits and symbols around it, and without letter swaps
+const getBlocklistCandidates = (password) => {
+    const lower = password.toLowerCase();
+    const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+    const unswapped = core.replace(/[@48310!$57]/g, char => SUBSTITUTIONS[char]);
+    return [lower, core, unswapped].filter(Boolean);
+};
+
+/**
+ * Check a password against the configured policy (history is checked by the User model)
+ * @param {string} password
+ * @returns {Array<{rule: string, message: string}>} - Every rule the password breaks
+ */
+const checkPasswordPolicy = (password) => {
+    const policy = config.passwordPolicy;
+    const failures = [];
+    const fail = (rule, message) => failures.push({ rule, message });
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        fail('minLength', `Password must be at least ${policy.minLength} characters long`);
+        return failures;
+    }
+    if (Buffer.byteLength(password) > policy.maxLength) {
+        fail('maxLength', `Password must be at most ${policy.maxLength} characters long`);
+    }
+
+    // Long passphrases are strong enough without mixing character classes
+    const isPassphrase = policy.passphraseLength > 0 && password.length >= policy.passphraseLength;
+    if (!isPassphrase) {
+        if (policy.requireLowercase && !/[a-z]/.test(password)) {
+            fail('lowercase', 'Password must include a lowercase letter');
+        }
+        if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+            fail('uppercase', 'Password must include an uppercase letter');
+        }
+        if (policy.requireNumber && !/\d/.test(password)) {
+            fail('number', 'Password must include a number');
+        }
+        if (policy.requireSymbol && !/[^A-Za-z\d]/.test(password)) {
+            fail('symbol', 'Password must include a symbol or space');
+        }
+    }
+
+    const list = getBlocklist();
+    if (getBlocklistCandidates(password).some(candidate => list.has(candidate))) {
+        fail('common', 'Password is too common or has appeared in a data breach');
+    }
+
+    return failures;
+};
+
+/**
+ * Build the error thrown when a password breaks the policy
+ * @param {Array<{rule: string, message: string}>} failures - From checkPasswordPolicy()
+ * @returns {Error} - name "PasswordPolicyError", with the failures attached
+ */
+const createPasswordPolicyError = (failures) => {
+    const error = new Error(failures.map(failure => failure.message).join('. '));
+    error.name = 'PasswordPolicyError';
+    error.failures = failures;
+    return error;
+};
+
+/**
+ * The rules in a form clients can show next to the password field
+ * @returns {Object}
+ */
+const describePasswordPolicy = () => {
+    const policy = config.passwordPolicy;
+
+    return {
+        minLength: policy.minLength,
+        maxLength: policy.maxLength,
+        requireLowercase: policy.requireLowercase,
+        requireUppercase: policy.requireUppercase,
+        requireNumber: policy.requireNumber,
+        requireSymbol: policy.requireSymbol,
+        passphraseLength: policy.passphraseLength || null,
+        historyDepth: policy.historyDepth,
+        maxAgeDays: policy.maxAgeDays || null,
+        rejectsCommonPasswords: getBlocklist().size > 0
+    };
+};
+
+module.exports = {
+    checkPasswordPolicy,
+    createPasswordPolicyError,
+    describePasswordPolicy
+};
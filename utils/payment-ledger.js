@@ -0,0 +1,318 @@
+// utils/payment-ledger.js
+//
+// Every movement of money for an order is written to the ledger
+// (PaymentTransaction). The order keeps running totals (amountPaid,
+// amountRefunded) and its paymentStatus in line with the ledger. Card money
+// moves through the payment provider (utils/payments.js).
+const config = require('../config');
+const Order = require('../models/order.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const { getPaymentProvider } = require('./payments');
+const { FINAL_STATUSES, transitionOrder } = require('./order-state-machine');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * What the customer owes for the order as it stands (nothing once it is cancelled)
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+const getAmountDue = (order) => {
+    return order.status === 'cancelled' ? 0 : order.totalAmount;
+};
+
+/**
+ * Money taken for the order and not returned yet
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+const getRefundableAmount = (order) => {
+    return Math.max(0, roundAmount(order.amountPaid - order.amountRefunded));
+};
+
+// Derive the payment status from the running totals
+const updatePaymentStatus = (order) => {
+    if (order.amountPaid <= 0) {
+        if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+            order.paymentStatus = 'pending';
+        }
+    } else if (order.amountRefunded <= 0) {
+        order.paymentStatus = 'paid';
+    } else if (order.amountRefunded >= order.amountPaid) {
+        order.paymentStatus = 'refunded';
+    } else {
+        order.paymentStatus = 'partially_refunded';
+    }
+};
+
+/**
+ * Work the running totals out from the ledger again. The ledger may hold
+ * entries the order doesn't show yet, when a request wrote them and then lost
+ * the race to save the order; counting them keeps money from moving twice.
+ * Changes the order in memory; the caller saves it (order.saveWithRetry()).
+ * @param {Object} order - Order document
+ */
+const syncPaymentTotals = async (order) => {
+    const transactions = await PaymentTransaction
+        .find({ order: order._id, status: { $ne: 'failed' } })
+        .sort({ createdAt: 1, _id: 1 });
+
+    let amountPaid = 0;
+    let amountRefunded = 0;
+    for (const transaction of transactions) {
+        if (transaction.type === 'charge') {
+            amountPaid = roundAmount(amountPaid + transaction.amount);
+        } else if (transaction.type === 'adjustment') {
+            amountPaid = Math.max(0, roundAmount(amountPaid + transaction.amount));
+        } else {
+            amountRefunded = roundAmount(amountRefunded + transaction.amount);
+        }
+    }
+
+    order.amountPaid = amountPaid;
+    order.amountRefunded = amountRefunded;
+    updatePaymentStatus(order);
+};
+
+// Reference to a document, whether populated or not
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const createTransaction = (order, type, amount, { chefItem, reason, actor, role } = {}, providerDetails = {}) => {
+    return PaymentTransaction.create({
+        order: order._id,
+        customer: idOf(order.user),
+        chefItem: chefItem ? chefItem._id : null,
+        chef: chefItem ? idOf(chefItem.chef) : null,
+        type,
+        amount,
+        status: providerDetails.status || 'succeeded',
+        provider: providerDetails.provider || null,
+        providerReference: providerDetails.providerReference || null,
+        reason: reason || null,
+        createdBy: actor || null,
+        actorRole: role || null
+    });
+};
+
+// Whether the order was paid through the payment provider
+const paidThroughProvider = (order) => !!(order.payment && order.payment.intentId);
+
+/**
+ * Record that the customer paid for the order. Changes the order in memory;
+ * the caller saves it.
+ * @param {Object} order - Order document
+ * @param {Object} context - { role, actor, reason }
+ * @param {number} [amount] - Defaults to the order total
+ * @returns {Promise<Object>} - The ledger entry
+ */
+const recordCharge = async (order, context, amount = order.totalAmount) => {
+    const providerDetails = paidThroughProvider(order)
+        ? { provider: order.payment.provider, providerReference: order.payment.intentId }
+        : {};
+    const transaction = await createTransaction(order, 'charge', roundAmount(amount), context, providerDetails);
+
+    order.amountPaid = roundAmount(order.amountPaid + transaction.amount);
+    updatePaymentStatus(order);
+    return transaction;
+};
+
+/**
+ * Check a refund before issuing it
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @returns {Object|null} - null if allowed, otherwise { status, message }
+ */
+const checkRefund = (order, amount) => {
+    const refundable = getRefundableAmount(order);
+
+    if (refundable <= 0) {
+        return { status: 400, message: 'Nothing has been paid for this order that could be refunded' };
+    }
+    if (!(amount > 0)) {
+        return { status: 400, message: 'Refund amount must be greater than zero' };
+    }
+    if (roundAmount(amount) > refundable) {
+        return { status: 400, message: `At most ${refundable.toFixed(2)} can be refunded for this order` };
+    }
+    return null;
+};
+
+/**
+ * Return money to the customer, through the payment provider for card
+ * payments. Checked with checkRefund() first; changes the order in memory and
+ * the caller saves it. A refund the provider turns down is recorded as failed
+ * and leaves the amount refundable.
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} context - { chefItem, role, actor, reason }
+ * @returns {Promise<Object>} - The ledger entry
+ */
+const issueRefund = async (order, amount, context) => {
+    const roundedAmount = roundAmount(amount);
+    const type = roundedAmount >= getRefundableAmount(order) ? 'refund' : 'partial_refund';
+
+    const providerDetails = {};
+    if (paidThroughProvider(order)) {
+        providerDetails.provider = order.payment.provider;
+        try {
+            const refund = await getPaymentProvider().refundPayment({
+                intentId: order.payment.intentId,
+                amount: roundedAmount,
+                reason: context.reason
+            });
+            providerDetails.status = refund.status;
+            providerDetails.providerReference = refund.id;
+        } catch (error) {
+            console.error('Payment provider refund error:', error.message);
+            providerDetails.status = 'failed';
+        }
+    }
+
+    const transaction = await createTransaction(order, type, roundedAmount, context, providerDetails);
+
+    if (transaction.status !== 'failed') {
+        order.amountRefunded = roundAmount(order.amountRefunded + roundedAmount);
+        updatePaymentStatus(order);
+    }
+    return transaction;
+};
+
+/**
+ * Refund whatever was paid beyond what the order now costs, e.g. after it or
+ * part of it was cancelled. Safe to repeat after the order was saved by
+ * another request. Changes the order in memory; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {Object} context - { chefItem, role, actor, reason }
+ * @returns {Promise<Object|null>} - The ledger entry, or null if nothing was owed
+ */
+const refundOverpayment = async (order, context) => {
+    await syncPaymentTotals(order);
+
+    const overpaid = roundAmount(getRefundableAmount(order) - getAmountDue(order));
+    if (overpaid <= 0) return null;
+
+    return await issueRefund(order, overpaid, {
+        ...context,
+        reason: context.reason || 'Order changed after payment'
+    });
+};
+
+/**
+ * Correct the amount recorded as paid (negative lowers it). Changes the order
+ * in memory; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {number} amount
+ * @param {Object} context - { role, actor, reason }
+ * @returns {Promise<Object>} - The ledger entry
+ */
+const recordAdjustment = async (order, amount, context) => {
+    const transaction = await createTransaction(order, 'adjustment', roundAmount(amount), context);
+
+    order.amountPaid = Math.max(0, roundAmount(order.amountPaid + transaction.amount));
+    updatePaymentStatus(order);
+    return transaction;
+};
+
+/**
+ * Charge the order's card through the payment provider. Changes the order in
+ * memory; the caller saves it.
+ * @param {Object} order - Order document (saved, so it has an id)
+ * @param {Object} options - { paymentToken, returnUrl } from the client
+ * @returns {Promise<Object>} - The provider's intent, e.g. with a nextAction for 3-D Secure
+ */
+const startCardPayment = async (order, { paymentToken, returnUrl } = {}) => {
+    const provider = getPaymentProvider();
+    const intent = await provider.createPaymentIntent({
+        amount: order.totalAmount,
+        currency: config.payments.currency,
+        orderId: order._id,
+        paymentToken,
+        captureMethod: 'automatic',
+        returnUrl
+    });
+
+    order.payment = { provider: provider.name, intentId: intent.id };
+    await applyPaymentIntent(order, intent);
+    return intent;
+};
+
+/**
+ * Bring an order in line with the state of its payment at the provider:
+ * record the charge once it succeeded, or cancel the order once it failed.
+ * Safe to call again with the same result, also after the order was saved by
+ * another request. Anything cancelled while the payment was pending is
+ * refunded once the order is settled (see utils/order-settlement.js).
+ * Changes the order in memory; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {Object} intent - { id, status, failureReason, amount }
+ */
+const applyPaymentIntent = async (order, intent) => {
+    await syncPaymentTotals(order);
+    order.payment.status = intent.status;
+    order.payment.failureReason = intent.failureReason || undefined;
+
+    if (intent.status === 'succeeded' && order.amountPaid <= 0) {
+        await recordCharge(order, { role: 'system' }, intent.amount || order.totalAmount);
+    } else if (intent.status === 'failed' && order.amountPaid <= 0) {
+        order.paymentStatus = 'failed';
+
+        if (!FINAL_STATUSES.includes(order.status)) {
+            transitionOrder(order, 'cancelled', { role: 'system', reason: 'Payment failed' });
+        }
+    }
+};
+
+/**
+ * Record the cash a chef collected once the whole order has been delivered.
+ * Changes the order in memory; the caller saves it.
+ * @param {Object} order - Order document
+ * @param {Object} context - { role, actor }
+ * @returns {Promise<Object|null>} - The ledger entry, or null if nothing is owed
+ */
+const collectCashOnDelivery = async (order, context) => {
+    if (order.paymentMethod !== 'cash_on_delivery' || order.status !== 'delivered') return null;
+
+    await syncPaymentTotals(order);
+    const owed = roundAmount(getAmountDue(order) - getRefundableAmount(order));
+    if (owed <= 0) return null;
+
+    return await recordCharge(order, { ...context, reason: 'Cash collected on delivery' }, owed);
+};
+
+/**
+ * Apply the provider's final word on a refund (webhook)
+ * @param {string} refundId - Provider reference of the refund
+ * @param {boolean} succeeded
+ * @returns {Promise<Object|null>} - The ledger entry, or null if unknown
+ */
+const settleRefund = async (refundId, succeeded) => {
+    const transaction = await PaymentTransaction.findOne({ providerReference: refundId });
+    if (!transaction || transaction.status !== 'pending') return transaction;
+
+    transaction.status = succeeded ? 'succeeded' : 'failed';
+    await transaction.save();
+
+    // The money never left, so it can be refunded again
+    if (!succeeded) {
+        const order = await Order.findById(transaction.order);
+        if (order) {
+            await order.saveWithRetry(syncPaymentTotals);
+        }
+    }
+    return transaction;
+};
+
+module.exports = {
+    getAmountDue,
+    getRefundableAmount,
+    syncPaymentTotals,
+    recordCharge,
+    checkRefund,
+    issueRefund,
+    refundOverpayment,
+    recordAdjustment,
+    startCardPayment,
+    applyPaymentIntent,
+    collectCashOnDelivery,
+    settleRefund
+};
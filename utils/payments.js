@@ -0,0 +1,237 @@
+// utils/payments.js
+const crypto = require('crypto');
+const config = require('../config');
+
+// How customers can pay. Card payments go through the payment provider;
+// cash is collected by the chef on delivery.
+const PAYMENT_METHODS = ['card', 'cash_on_delivery'];
+
+const SIGNATURE_HEADER = 'X-Payment-Signature';
+
+/**
+ * Sign a webhook body: "t=<timestamp>,v1=<HMAC-SHA256 of `${timestamp}.${body}`>"
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Milliseconds since the epoch
+ * @returns {string} - Value of the X-Payment-Signature header
+ */
+const signWebhookPayload = (body, timestamp = Date.now()) => {
+    const signature = crypto
+        .createHmac('sha256', config.payments.webhookSecret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check the signature of a webhook body
+ * @param {string|Buffer} body - Raw body exactly as received
+ * @param {string} header - Value of the X-Payment-Signature header
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (body, header) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() - timestamp) > config.payments.webhookToleranceMs) {
+        return false;
+    }
+
+    // timingSafeEqual needs inputs of the same byte length, so only a hex
+    // SHA-256 digest gets that far
+    if (!/^[a-f0-9]{64}$/.test(parts.v1)) return false;
+
+    const expected = signWebhookPayload(body.toString('utf8'), timestamp).split('v1=')[1];
+    return crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
+};
+
+/**
+ * Payment providers implement:
+ *   createPaymentIntent({ amount, currency, orderId, paymentToken, captureMethod, returnUrl }) => Promise<intent>
+ *   capturePayment(intentId, amount) => Promise<intent>
+ *   refundPayment({ intentId, amount, reason }) => Promise<{ id, status }>
+ * An intent is { id, status, nextAction, failureReason } with status one of
+ * 'succeeded', 'processing', 'requires_action', 'requires_capture' or 'failed'.
+ * nextAction is { type: 'redirect', url } when the customer must confirm the
+ * payment (3-D Secure). Results that arrive later are sent to
+ * POST /api/payments/webhooks/<provider> as signed JSON events:
+ *   { id, type, data }, type one of payment_intent.succeeded,
+ *   payment_intent.payment_failed, refund.succeeded, refund.failed
+ * Real gateways can be plugged in with registerPaymentProvider().
+ */
+const providers = {
+    // Simulates a gateway in memory. The paymentToken picks the outcome:
+    //   mock_success (default), mock_decline, mock_3ds (customer confirms on
+    //   /mock-payments/authenticate/:id), mock_delayed, mock_delayed_decline
+    mock: (options) => {
+        const intents = new Map();
+        const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+        // Deliver a signed event to our own webhook endpoint, a little later like a real gateway
+        const sendWebhook = (type, data) => {
+            const timer = setTimeout(async () => {
+                const body = JSON.stringify({ id: newId('evt'), type, created: Date.now(), data });
+
+                try {
+                    await fetch(`${options.mock.serverUrl}/api/payments/webhooks/mock`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            [SIGNATURE_HEADER]: signWebhookPayload(body)
+                        },
+                        body
+                    });
+                } catch (error) {
+                    console.error(`Mock payment gateway could not deliver ${type}:`, error.message);
+                }
+            }, options.mock.webhookDelayMs);
+            timer.unref();
+        };
+
+        const toResult = (intent) => ({
+            id: intent.id,
+            status: intent.status,
+            nextAction: intent.status === 'requires_action'
+                ? { type: 'redirect', url: `${options.mock.serverUrl}/mock-payments/authenticate/${intent.id}` }
+                : null,
+            failureReason: intent.failureReason || null
+        });
+
+        // Move an intent on once the card was accepted or declined
+        const settle = (intent, approved) => {
+            if (!approved) {
+                intent.status = 'failed';
+                intent.failureReason = 'card_declined';
+                sendWebhook('payment_intent.payment_failed', {
+                    intentId: intent.id,
+                    orderId: intent.orderId,
+                    failureReason: intent.failureReason
+                });
+            } else if (intent.captureMethod === 'manual') {
+                intent.status = 'requires_capture';
+            } else {
+                intent.status = 'succeeded';
+                intent.amountCaptured = intent.amount;
+                sendWebhook('payment_intent.succeeded', {
+                    intentId: intent.id,
+                    orderId: intent.orderId,
+                    amount: intent.amount
+                });
+            }
+        };
+
+        return {
+            name: 'mock',
+
+            createPaymentIntent: async ({ amount, currency, orderId, paymentToken, captureMethod, returnUrl }) => {
+                const intent = {
+                    id: newId('pi'),
+                    amount,
+                    currency,
+                    orderId: String(orderId),
+                    captureMethod: captureMethod || 'automatic',
+                    returnUrl: returnUrl || null,
+                    status: 'processing',
+                    amountCaptured: 0,
+                    amountRefunded: 0
+                };
+                intents.set(intent.id, intent);
+
+                switch (paymentToken || 'mock_success') {
+                    case 'mock_success':
+                        settle(intent, true);
+                        break;
+                    case 'mock_decline':
+                        settle(intent, false);
+                        break;
+                    case 'mock_3ds':
+                        intent.status = 'requires_action';
+                        break;
+                    case 'mock_delayed':
+                    case 'mock_delayed_decline': {
+                        const timer = setTimeout(() => settle(intent, paymentToken === 'mock_delayed'), options.mock.webhookDelayMs);
+                        timer.unref();
+                        break;
+                    }
+                    default:
+                        intent.status = 'failed';
+                        intent.failureReason = 'invalid_payment_token';
+                }
+
+                return toResult(intent);
+            },
+
+            capturePayment: async (intentId, amount) => {
+                const intent = intents.get(intentId);
+                if (!intent || intent.status !== 'requires_capture') {
+                    throw new Error('Payment cannot be captured');
+                }
+
+                intent.amount = amount !== undefined ? Math.min(amount, intent.amount) : intent.amount;
+                settle(intent, true);
+                return toResult(intent);
+            },
+
+            refundPayment: async ({ intentId, amount }) => {
+                const intent = intents.get(intentId);
+                if (!intent || intent.status !== 'succeeded') {
+                    throw new Error('Payment not found or not captured');
+                }
+                if (intent.amountRefunded + amount > intent.amountCaptured + 0.001) {
+                    throw new Error('Refund exceeds the captured amount');
+                }
+
+                intent.amountRefunded += amount;
+                const refund = { id: newId('re'), status: 'pending' };
+                sendWebhook('refund.succeeded', { refundId: refund.id, intentId, amount });
+                return refund;
+            },
+
+            // Used by the mock 3-D Secure page only
+            getIntent: (intentId) => intents.get(intentId) || null,
+
+            completeAuthentication: (intentId, approved) => {
+                const intent = intents.get(intentId);
+                if (!intent || intent.status !== 'requires_action') return null;
+
+                settle(intent, approved);
+                return intent;
+            }
+        };
+    }
+};
+
+let provider = null;
+
+/**
+ * Register a payment provider
+ * @param {string} name - Provider name used in config.payments.provider
+ * @param {Function} factory - Returns an object implementing the methods above
+ */
+const registerPaymentProvider = (name, factory) => {
+    providers[name] = factory;
+    provider = null;
+};
+
+/**
+ * Get the configured payment provider
+ * @returns {Object}
+ */
+const getPaymentProvider = () => {
+    if (!provider) {
+        const factory = providers[config.payments.provider];
+        if (!factory) {
+            throw new Error(`Unknown payment provider: ${config.payments.provider}`);
+        }
+        provider = factory(config.payments);
+    }
+    return provider;
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    SIGNATURE_HEADER,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    registerPaymentProvider,
+    getPaymentProvider
+};
@@ -0,0 +1,229 @@
+// utils/permissions.js
+const Role = require('../models/role.model');
+
+// Every permission the API checks. Routes use requirePermission() with these names.
+const PERMISSIONS = {
+    'users:read': 'Look up any user account',
+    'users:manage': 'Edit, unlock and delete any user account',
+    'users:impersonate': 'Act as another user to reproduce problems they report',
+    'users:suspend': 'Suspend and ban accounts and decide on appeals',
+    'roles:manage': 'Create and edit roles and assign them to users',
+    'audit:read': 'Read the security audit log',
+    'chefs:approve': 'Review, approve and reject chef applications',
+    'chefs:manage_profile': 'Edit their own chef profile',
+    'products:manage_own': 'Create, edit and delete their own products',
+    'products:manage_any': 'Edit or delete any product',
+    'orders:fulfil': 'See and update orders placed with them as a chef',
+    'orders:read_any': 'Look up any order',
+    'orders:manage_any': 'Change the status of or cancel any order',
+    'orders:delete': 'Permanently delete orders',
+    'orders:refund': 'Refund orders',
+    'reviews:moderate': 'Edit or delete any review'
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+// Roles created on startup. Admins can change their permissions (except for
+// 'admin', which always has every permission) and add roles of their own.
+const BUILT_IN_ROLES = {
+    user: {
+        displayName: 'Customer',
+        description: 'Can order food and review it',
+        permissions: []
+    },
+    chef: {
+        displayName: 'Chef',
+        description: 'Sells their own dishes',
+        permissions: ['chefs:manage_profile', 'products:manage_own', 'orders:fulfil']
+    },
+    admin: {
+        displayName: 'Administrator',
+        description: 'Full access',
+        permissions: [ALL_PERMISSIONS]
+    },
+    support_agent: {
+        displayName: 'Support Agent',
+        description: 'Helps customers with their accounts and orders',
+        permissions: ['users:read', 'orders:read_any', 'audit:read']
+    },
+    content_moderator: {
+        displayName: 'Content Moderator',
+        description: 'Keeps reviews and product listings clean',
+        permissions: ['reviews:moderate', 'products:manage_any']
+    }
+};
+
+// Scopes an API key can be limited to. A key only reaches the routes of its
+// scopes (methods + path prefixes, where ':name' stands for one path segment)
+// and still needs its owner's role permissions there. A scope can only be
+// given to a key by someone holding one of `permissions`.
+const API_KEY_SCOPES = {
+    'products:read': {
+        description: 'Read your products and their condiments',
+        permissions: ['products:manage_own', 'products:manage_any'],
+        methods: ['GET'],
+        paths: ['/api/products']
+    },
+    'products:write': {
+        description: 'Create, edit and delete products and condiments',
+        permissions: ['products:manage_own', 'products:manage_any'],
+        methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+        paths: ['/api/products']
+    },
+    'orders:read': {
+        description: 'Read orders placed with you',
+        permissions: ['orders:fulfil', 'orders:read_any'],
+        methods: ['GET'],
+        paths: ['/api/orders']
+    },
+    'orders:write': {
+        description: 'Update the status of orders placed with you',
+        permissions: ['orders:fulfil', 'orders:manage_any'],
+        methods: ['PATCH'],
+        // Not cancelling, rejecting or removing items
+        paths: ['/api/orders/:id/status']
+    }
+};
+
+// Role permissions are looked up on every request, so keep them in memory for a short while
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Create the built-in roles that don't exist yet. Existing roles are left
+ * alone so that changes made by admins survive restarts.
+ */
+const ensureBuiltInRoles = async () => {
+    for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+        await Role.updateOne(
+            { name },
+            { $setOnInsert: { name, ...role, isSystem: true } },
+            { upsert: true }
+        );
+    }
+    cache.clear();
+};
+
+/**
+ * Get the permissions granted by a role
+ * @param {string} roleName
+ * @returns {Promise<Array<string>>}
+ */
+const getRolePermissions = async (roleName) => {
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).lean();
+
+    // Fall back to the defaults until the built-in roles have been created
+    let permissions = role
+        ? role.permissions
+        : (BUILT_IN_ROLES[roleName] ? BUILT_IN_ROLES[roleName].permissions : []);
+
+    // The admin role can never lose access, otherwise nobody could fix it
+    if (roleName === 'admin') {
+        permissions = [ALL_PERMISSIONS];
+    }
+
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+};
+
+// Forget cached permissions after a role has been changed
+const invalidateRoleCache = (roleName) => {
+    if (roleName) {
+        cache.delete(roleName);
+    } else {
+        cache.clear();
+    }
+};
+
+/**
+ * Check a permission list for a permission
+ * @param {Array<string>} permissions - Permissions held (e.g. req.permissions)
+ * @param {string|Array<string>} permission - Required permission; with an array any one is enough
+ * @returns {boolean}
+ */
+const hasPermission = (permissions, permission) => {
+    if (!Array.isArray(permissions)) return false;
+    if (permissions.includes(ALL_PERMISSIONS)) return true;
+
+    const required = Array.isArray(permission) ? permission : [permission];
+    return required.some(name => permissions.includes(name));
+};
+
+/**
+ * Check that someone holding `grantorPermissions` may hand out all of `permissions`.
+ * Prevents staff with roles:manage from granting themselves more than they have.
+ * @param {Array<string>} grantorPermissions
+ * @param {Array<string>} permissions
+ * @returns {boolean}
+ */
+const canGrant = (grantorPermissions, permissions) => {
+    if (grantorPermissions.includes(ALL_PERMISSIONS)) return true;
+    return permissions.every(name => name !== ALL_PERMISSIONS && grantorPermissions.includes(name));
+};
+
+/**
+ * Find permission names that don't exist
+ * @param {Array<string>} permissions
+ * @returns {Array<string>}
+ */
+const findUnknownPermissions = (permissions) => {
+    return permissions.filter(name => name !== ALL_PERMISSIONS && !PERMISSIONS[name]);
+};
+
+/**
+ * API key scopes someone holding `permissions` may hand out
+ * @param {Array<string>} permissions
+ * @returns {Array<string>}
+ */
+const getGrantableScopes = (permissions) => {
+    return Object.keys(API_KEY_SCOPES)
+        .filter(scope => hasPermission(permissions, API_KEY_SCOPES[scope].permissions));
+};
+
+// Whether a path is a scope path or below it
+const matchesScopePath = (pattern, path) => {
+    const patternSegments = pattern.split('/');
+    const pathSegments = path.split('/');
+
+    if (pathSegments.length < patternSegments.length) return false;
+    return patternSegments.every((segment, index) => {
+        return segment.startsWith(':') ? pathSegments[index] !== '' : segment === pathSegments[index];
+    });
+};
+
+/**
+ * Check whether any of an API key's scopes covers a request
+ * @param {Array<string>} scopes - Scopes of the key
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the query string
+ * @returns {boolean}
+ */
+const scopesAllowRequest = (scopes, method, path) => {
+    return scopes.some(scope => {
+        const definition = API_KEY_SCOPES[scope];
+        return definition &&
+            definition.methods.includes(method === 'HEAD' ? 'GET' : method) &&
+            definition.paths.some(pattern => matchesScopePath(pattern, path));
+    });
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    API_KEY_SCOPES,
+    BUILT_IN_ROLES,
+    ensureBuiltInRoles,
+    getRolePermissions,
+    invalidateRoleCache,
+    hasPermission,
+    canGrant,
+    findUnknownPermissions,
+    getGrantableScopes,
+    scopesAllowRequest
+};
@@ -0,0 +1,51 @@
+// utils/phone.js
+const config = require('../config');
+
+// E.164: a "+", a country code that doesn't start with 0, and at most 15 digits in total
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Check whether a value is a phone number in E.164 format
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isE164 = (value) => typeof value === 'string' && E164_REGEX.test(value);
+
+/**
+ * Normalise user input to E.164. Accepts "+977 984-1234567", "00977...", and -
+ * when SMS_DEFAULT_COUNTRY_CODE is set - national numbers such as "09841234567".
+ * @param {string|number} input
+ * @returns {string|null} - The E.164 number, or null if it can't be normalised
+ */
+const normalizePhoneNumber = (input) => {
+    if (input === null || input === undefined) return null;
+
+    let value = String(input).trim().replace(/[\s\-().]/g, '');
+
+    if (value.startsWith('00')) {
+        value = `+${value.slice(2)}`;
+    } else if (!value.startsWith('+')) {
+        const countryCode = config.sms.defaultCountryCode;
+        if (!countryCode) return null;
+        // Drop the national trunk prefix
+        value = `+${countryCode}${value.replace(/^0+/, '')}`;
+    }
+
+    return isE164(value) ? value : null;
+};
+
+/**
+ * Mask a phone number for display, e.g. "+97798*****567"
+ * @param {string} phoneNumber
+ * @returns {string|null}
+ */
+const maskPhoneNumber = (phoneNumber) => {
+    if (!phoneNumber) return null;
+    return phoneNumber.slice(0, 5) + '*'.repeat(Math.max(phoneNumber.length - 8, 0)) + phoneNumber.slice(-3);
+};
+
+module.exports = {
+    isE164,
+    normalizePhoneNumber,
+    maskPhoneNumber
+};
@@ -0,0 +1,73 @@
+// utils/redact.js
+
+// Fields that must never leave the server or show up in logs
+const SENSITIVE_FIELDS = [
+    'password',
+    'passwordHistory',
+    'confirmPassword',
+    'currentPassword',
+    'newPassword',
+    'twoFactorSecret',
+    'twoFactorTempSecret',
+    'twoFactorBackupCodes',
+    'twoFactorChallengeToken',
+    'challengeToken',
+    'backupCode',
+    'resetPasswordToken',
+    'emailVerificationToken',
+    'emailChangeUndoToken',
+    'magicLinkToken',
+    'oauthLinkToken',
+    'keyHash',
+    'phoneOtpHash',
+    'smsCode',
+    'accountUnlockToken',
+    'refreshToken',
+    'refreshTokenHash',
+    'previousRefreshTokenHash'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Return a copy of a value with every sensitive field masked, for logging
+ * @param {*} value - Object, array or primitive to redact
+ * @returns {*}
+ */
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+
+    // Mongoose documents and ObjectIds know how to serialise themselves
+    if (typeof value.toJSON === 'function') {
+        const json = value.toJSON();
+        if (json !== value) return redact(json);
+    }
+
+    const result = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        result[key] = SENSITIVE_FIELDS.includes(key) ? REDACTED : redact(fieldValue);
+    }
+    return result;
+};
+
+/**
+ * Mongoose toJSON/toObject transform that strips sensitive fields
+ */
+const stripSensitiveFields = (doc, ret) => {
+    SENSITIVE_FIELDS.forEach(field => {
+        delete ret[field];
+    });
+    return ret;
+};
+
+module.exports = {
+    SENSITIVE_FIELDS,
+    redact,
+    stripSensitiveFields
+};
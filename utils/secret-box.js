@@ -0,0 +1,119 @@
+// utils/secret-box.js
+const crypto = require('crypto');
+const config = require('../config');
+
+// Encrypted values look like "enc:v1:<keyId>:<wrappedKey>:<iv>:<tag>:<ciphertext>".
+// Every value gets its own random data key, which is itself encrypted ("wrapped")
+// with a master key from config. Rotating the master key only means re-wrapping.
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+// Encrypt with AES-256-GCM, returning [iv, tag, ciphertext] as base64
+const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64'));
+};
+
+const open = (key, iv, tag, ciphertext) => {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]);
+};
+
+const getMasterKey = (keyId) => {
+    const key = config.encryption.keys[keyId];
+    if (!key) {
+        throw new Error(`Unknown encryption key id: ${keyId}`);
+    }
+    return key;
+};
+
+/**
+ * Check whether a stored value is already encrypted
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * Encrypt a secret with the active master key
+ * @param {string} plaintext
+ * @returns {string|null} - The encrypted value (null stays null)
+ */
+const encrypt = (plaintext) => {
+    if (plaintext === null || plaintext === undefined) return null;
+
+    const keyId = config.encryption.activeKeyId;
+    const dataKey = crypto.randomBytes(32);
+
+    // Wrap the data key as one blob: iv.tag.ciphertext
+    const wrappedKey = seal(getMasterKey(keyId), dataKey).join('.');
+    const [iv, tag, ciphertext] = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+    return [PREFIX, keyId, wrappedKey, iv, tag, ciphertext].join(':');
+};
+
+const parse = (value) => {
+    const [, , keyId, wrappedKey, iv, tag, ciphertext] = value.split(':');
+    return { keyId, wrappedKey, iv, tag, ciphertext };
+};
+
+const unwrapDataKey = (keyId, wrappedKey) => {
+    const [iv, tag, ciphertext] = wrappedKey.split('.');
+    return open(getMasterKey(keyId), iv, tag, ciphertext);
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value
+ * @returns {string|null}
+ */
+const decrypt = (value) => {
+    if (value === null || value === undefined) return null;
+    if (!isEncrypted(value)) {
+        throw new Error('Value is not encrypted - run the 2FA secrets migration');
+    }
+
+    const { keyId, wrappedKey, iv, tag, ciphertext } = parse(value);
+    const dataKey = unwrapDataKey(keyId, wrappedKey);
+
+    return open(dataKey, iv, tag, ciphertext).toString('utf8');
+};
+
+/**
+ * Check whether a value was wrapped with a master key other than the active one
+ * @param {string} value
+ * @returns {boolean}
+ */
+const needsRewrap = (value) => isEncrypted(value) && parse(value).keyId !== config.encryption.activeKeyId;
+
+/**
+ * Re-wrap an encrypted value's data key with the active master key.
+ * The secret itself is never re-encrypted.
+ * @param {string} value
+ * @returns {string}
+ */
+const rewrap = (value) => {
+    const { keyId, wrappedKey, iv, tag, ciphertext } = parse(value);
+    const activeKeyId = config.encryption.activeKeyId;
+
+    if (keyId === activeKeyId) return value;
+
+    const dataKey = unwrapDataKey(keyId, wrappedKey);
+    const rewrappedKey = seal(getMasterKey(activeKeyId), dataKey).join('.');
+
+    return [PREFIX, activeKeyId, rewrappedKey, iv, tag, ciphertext].join(':');
+};
+
+module.exports = {
+    isEncrypted,
+    encrypt,
+    decrypt,
+    needsRewrap,
+    rewrap
+};
@@ -0,0 +1,89 @@
+// utils/sms.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * SMS drivers implement one method:
+ *   send({ to, body }) => Promise<{ id: string }>
+ * `to` is always an E.164 number. Real gateways can be plugged in with
+ * registerSmsDriver() and selected through the SMS_DRIVER setting.
+ */
+const drivers = {
+    // Prints messages to the server log (development)
+    console: () => ({
+        name: 'console',
+        send: async ({ to, body }) => {
+            const id = crypto.randomBytes(8).toString('hex');
+            console.log(`[SMS ${id}] To: ${to} | ${body}`);
+            return { id };
+        }
+    }),
+
+    // Appends messages as JSON lines to a file, so tests can read the codes back
+    file: () => ({
+        name: 'file',
+        send: async ({ to, body }) => {
+            const id = crypto.randomBytes(8).toString('hex');
+            const outboxPath = path.resolve(config.sms.outboxPath);
+
+            await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+            await fs.promises.appendFile(
+                outboxPath,
+                JSON.stringify({ id, to, body, sentAt: new Date().toISOString() }) + '\n'
+            );
+
+            return { id };
+        }
+    })
+};
+
+let provider = null;
+
+/**
+ * Register an SMS driver
+ * @param {string} name - Driver name used in config.sms.driver
+ * @param {Function} factory - Returns an object with a send({ to, body }) method
+ */
+const registerSmsDriver = (name, factory) => {
+    drivers[name] = factory;
+    provider = null;
+};
+
+/**
+ * Get the configured SMS provider
+ * @returns {Object}
+ */
+const getSmsProvider = () => {
+    if (!provider) {
+        const factory = drivers[config.sms.driver];
+        if (!factory) {
+            throw new Error(`Unknown SMS driver: ${config.sms.driver}`);
+        }
+        provider = factory(config.sms);
+    }
+    return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {Object} options
+ * @param {string} options.to - Recipient number in E.164 format
+ * @param {string} options.body - Message text
+ * @returns {Promise<Object>} - { id }
+ */
+const sendSms = async (options) => {
+    try {
+        return await getSmsProvider().send(options);
+    } catch (error) {
+        console.error('ERROR SENDING SMS:', error.message);
+        throw new Error(`Failed to send SMS: ${error.message}`);
+    }
+};
+
+module.exports = {
+    sendSms,
+    registerSmsDriver,
+    getSmsProvider
+};
@@ -1,11 +1,166 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
+const Session = require('../models/session.model');
 
-// Generate JWT token
-exports.generateToken = (userId) => {
+// Generate a short-lived JWT access token bound to a session
+exports.generateToken = (userId, sessionId) => {
     return jwt.sign(
-        { id: userId },
+        { id: userId, sid: sessionId },
         config.jwtSecretKey,
         { expiresIn: config.jwtExpiresIn }
     );
-};
\ No newline at end of file
+};
+
+// Refresh tokens have the form "<sessionId>.<secret>"; only the secret's hash is stored
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+    return { sessionId, secret };
+};
+
+/**
+ * Create a new login session and issue its access and refresh tokens
+ * @param {Object} user - The user logging in
+ * @param {Object} req - Express request (used for user agent and IP)
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+exports.issueAuthTokens = async (user, req) => {
+    const secret = crypto.randomBytes(40).toString('hex');
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: Session.hashToken(secret),
+        userAgent: req ? req.get('user-agent') : null,
+        ip: req ? req.ip : null,
+        expiresAt: Date.now() + config.refreshTokenExpiresIn
+    });
+
+    return {
+        token: exports.generateToken(user._id, session._id),
+        refreshToken: buildRefreshToken(session._id, secret),
+        session
+    };
+};
+
+/**
+ * Start an impersonation session: a short-lived access token that acts as
+ * `user` on behalf of `impersonator`. No refresh token is issued, so the
+ * session simply ends when the access token expires.
+ * @param {Object} user - The user to act as
+ * @param {Object} impersonator - The staff member acting
+ * @param {string} reason - Why (e.g. a support ticket reference)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { token, session }
+ */
+exports.issueImpersonationToken = async (user, impersonator, reason, req) => {
+    const expiresInMs = config.impersonation.expiresInMs;
+
+    const session = await Session.create({
+        user: user._id,
+        // Nobody knows this secret, so the session can never be refreshed
+        refreshTokenHash: Session.hashToken(crypto.randomBytes(40).toString('hex')),
+        userAgent: req ? req.get('user-agent') : null,
+        ip: req ? req.ip : null,
+        expiresAt: Date.now() + expiresInMs,
+        impersonatedBy: impersonator._id,
+        impersonationReason: reason
+    });
+
+    const token = jwt.sign(
+        { id: user._id, sid: session._id, imp: impersonator._id },
+        config.jwtSecretKey,
+        { expiresIn: Math.floor(expiresInMs / 1000) }
+    );
+
+    return { token, session };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token.
+ * Presenting the refresh token that was just rotated away revokes the whole
+ * session; any other wrong secret is simply refused.
+ * @param {string} refreshToken - The refresh token presented by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { token, refreshToken, session } or null if invalid
+ */
+exports.rotateRefreshToken = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) return null;
+
+    const presentedHash = Session.hashToken(parsed.secret);
+    if (session.previousRefreshTokenHash === presentedHash) {
+        // The token was already used once - assume it was stolen
+        await session.revoke('refresh_token_reuse');
+        return null;
+    }
+
+    // Only the request that still holds the current secret gets to rotate it
+    const secret = crypto.randomBytes(40).toString('hex');
+    const update = {
+        refreshTokenHash: Session.hashToken(secret),
+        previousRefreshTokenHash: presentedHash,
+        lastSeenAt: new Date()
+    };
+    if (req) {
+        update.userAgent = req.get('user-agent') || session.userAgent;
+        update.ip = req.ip || session.ip;
+    }
+
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        { $set: update },
+        { new: true }
+    );
+    if (!rotated) return null;
+
+    return {
+        token: exports.generateToken(rotated.user, rotated._id),
+        refreshToken: buildRefreshToken(rotated._id, secret),
+        session: rotated
+    };
+};
+
+/**
+ * Find the active session a refresh token belongs to
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>}
+ */
+exports.findSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.refreshTokenHash !== Session.hashToken(parsed.secret)) {
+        return null;
+    }
+
+    return session;
+};
+
+// Refresh token cookie, scoped to the auth routes that consume it
+const refreshCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth'
+};
+
+exports.setRefreshCookie = (res, refreshToken) => {
+    res.cookie('refreshToken', refreshToken, {
+        ...refreshCookieOptions,
+        maxAge: config.refreshTokenExpiresIn
+    });
+};
+
+exports.clearRefreshCookie = (res) => {
+    res.clearCookie('refreshToken', refreshCookieOptions);
+};
@@ -0,0 +1,47 @@
+// utils/transaction.js
+const mongoose = require('mongoose');
+
+// Unknown until the first transaction has been tried
+let transactionsSupported = null;
+
+// A standalone server (no replica set) can't run transactions
+const isTransactionsUnsupportedError = (error) => {
+    return error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || '');
+};
+
+/**
+ * Run a function in a MongoDB transaction: every write made with the session
+ * is committed together or not at all. Passes the session to `fn`, which may
+ * run more than once when MongoDB retries after a conflict, so it must not
+ * have side effects outside the database.
+ *
+ * Transactions need a replica set. On a standalone server (common in
+ * development) `fn` runs without one, with `session` set to null.
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>} - What `fn` returned
+ */
+const runInTransaction = async (fn) => {
+    if (transactionsSupported === false) {
+        return await fn(null);
+    }
+
+    try {
+        let result;
+        await mongoose.connection.transaction(async (session) => {
+            result = await fn(session);
+        });
+        transactionsSupported = true;
+        return result;
+    } catch (error) {
+        if (transactionsSupported === null && isTransactionsUnsupportedError(error)) {
+            transactionsSupported = false;
+            console.warn('MongoDB does not support transactions here (no replica set); writes will run without one');
+            return await fn(null);
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    runInTransaction
+};